@@ -3,6 +3,7 @@ import Template from "../models/Template.model.js";
 import Website from "../models/Website.model.js";
 import { validateSlug, generateUniqueSlug } from "../utils/slugUtils.js";
 import { sanitizeHtml, sanitizeTailwindHtml } from "../utils/sanitizer.js";
+import { deleteWebsiteAndData } from "../utils/websiteUtils.js";
 
 /**
  * Get all templates with pagination and filtering
@@ -396,13 +397,9 @@ export async function createWebsite(req, res) {
       isPublished: false,
     });
 
+    // The Website pre-save hook increments the template usage count
     const savedWebsite = await newWebsite.save();
 
-    // Increment template usage count
-    await Template.findByIdAndUpdate(templateId, {
-      $inc: { usageCount: 1 }
-    });
-
     res.status(201).json({
       success: true,
       message: "Website created successfully",
@@ -553,7 +550,7 @@ export async function deleteWebsite(req, res) {
       });
     }
 
-    const deletedWebsite = await Website.findByIdAndDelete(websiteId);
+    const deletedWebsite = await deleteWebsiteAndData(websiteId);
 
     if (!deletedWebsite) {
       return res.status(404).json({
@@ -562,16 +559,6 @@ export async function deleteWebsite(req, res) {
       });
     }
 
-    // Decrement template usage count
-    if (deletedWebsite.templateId) {
-      await Template.findByIdAndUpdate(deletedWebsite.templateId, {
-        $inc: { usageCount: -1 }
-      });
-    }
-
-    // TODO: Also delete associated subscriptions
-    // await Subscription.deleteMany({ websiteId });
-
     res.status(200).json({
       success: true,
       message: "Website deleted successfully",
@@ -2,8 +2,45 @@
 import Website from "../models/Website.model.js";
 import Template from "../models/Template.model.js";
 import Subscription from "../models/Subscription.model.js";
+import Workspace from "../models/Workspace.model.js";
+import WebsiteRevision from "../models/WebsiteRevision.model.js";
 import { validateSlug, generateUniqueSlug } from "../utils/slugUtils.js";
 import { sanitizeTailwindHtml } from "../utils/sanitizer.js";
+import { createRevision, createRevisionSafely } from "../utils/revisionUtils.js";
+import { buildPublishedSnapshot, hasUnpublishedChanges } from "../utils/publishUtils.js";
+import { syncWebsiteSchedule } from "../lib/publishScheduler.js";
+import { generateDomainToken, getRequiredDnsRecords, verifyDomainRecords, isApexDomain } from "../lib/dnsVerification.js";
+import { requestCertificate, removeCertificates } from "../lib/certificateManager.js";
+import { invalidateWebsite } from "../lib/siteRenderer.js";
+import { isReservedSlug } from "../utils/platformUtils.js";
+import { isOwnerSuspended } from "../utils/accountStatus.js";
+import { deleteWebsiteAndData } from "../utils/websiteUtils.js";
+import {
+  hasWorkspaceRole,
+  getMemberRole,
+  getWorkspaceRole,
+  getPersonalWorkspace,
+  websiteAccessFilter
+} from "../utils/workspaceUtils.js";
+import {
+  ACCESS_MODES,
+  getSiteAccessInfo,
+  PREVIEW_TOKEN_PARAM,
+  checkSiteAccess,
+  createPreviewToken,
+  setAccessCookie,
+  verifySitePassword
+} from "../lib/siteAccess.js";
+import bcrypt from "bcryptjs";
+import {
+  DOMAIN_REGEX,
+  normalizeDomain,
+  findDomainEntry,
+  ensurePrimaryDomain,
+  isDomainServable,
+  getDomainLimit,
+  servedDomainFilter
+} from "../utils/domainUtils.js";
 
 /**
  * Create website from template
@@ -11,21 +48,21 @@ import { sanitizeTailwindHtml } from "../utils/sanitizer.js";
  */
 export async function createWebsite(req, res) {
   try {
-    const { userId, templateId, customName } = req.body;
+    const { templateId, customName, workspaceId } = req.body;
 
     // Validation
-    if (!userId || !templateId) {
+    if (!templateId) {
       return res.status(400).json({
         success: false,
-        message: "userId and templateId are required"
+        message: "templateId is required"
       });
     }
 
-    // Validate MongoDB ObjectIds
-    if (!userId.match(/^[0-9a-fA-F]{24}$/) || !templateId.match(/^[0-9a-fA-F]{24}$/)) {
+    // Validate MongoDB ObjectId
+    if (!templateId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
         success: false,
-        message: "Invalid userId or templateId"
+        message: "Invalid templateId"
       });
     }
 
@@ -45,16 +82,43 @@ export async function createWebsite(req, res) {
       });
     }
 
+    // Sites are created in the user's personal workspace unless they pick one they can edit
+    let workspace;
+    if (workspaceId) {
+      if (!String(workspaceId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid workspace ID"
+        });
+      }
+
+      workspace = await Workspace.findById(workspaceId);
+
+      if (!workspace || !hasWorkspaceRole(getMemberRole(workspace, req.user._id), 'editor')) {
+        return res.status(403).json({
+          success: false,
+          message: "You can't create websites in this workspace",
+          code: "FORBIDDEN"
+        });
+      }
+    } else {
+      workspace = await getPersonalWorkspace(req.user._id);
+    }
+
+    // The site is stored under (and billed to) the workspace owner
+    const userId = workspace.ownerId;
+
     // Sanitize HTML with Tailwind classes only
     const sanitizedHtml = sanitizeTailwindHtml(template.previewJson.html);
     const htmlWithTailwind = ensureTailwindCDN(sanitizedHtml);
 
     // Generate unique slug
     const baseName = customName || template.name;
-    const slug = await generateUniqueSlug(baseName, userId);
+    const slug = await generateUniqueSlug(baseName);
 
     const newWebsite = new Website({
       userId,
+      workspaceId: workspace._id,
       templateId,
       name: baseName,
       thumbnail: template.thumbnail,
@@ -66,18 +130,15 @@ export async function createWebsite(req, res) {
       isPublished: false,
     });
 
+    // The Website pre-save hook increments the template usage count
     const savedWebsite = await newWebsite.save();
 
-    // Increment template usage count
-    await Template.findByIdAndUpdate(templateId, {
-      $inc: { usageCount: 1 }
-    });
-
     res.status(201).json({
       success: true,
       message: "Website created successfully",
       data: {
         websiteId: savedWebsite._id,
+        workspaceId: savedWebsite.workspaceId,
         slug: savedWebsite.slug,
         name: savedWebsite.name,
       }
@@ -102,7 +163,9 @@ export async function createWebsite(req, res) {
 }
 
 /**
- * Publish website with subscription check
+ * Publish website with subscription check.
+ * Accepts optional publishAt/unpublishAt (ISO dates, or null to clear)
+ * to schedule publishing and unpublishing.
  * @route PUT /api/templates/websites/:websiteId/publish
  */
 export async function publishWebsite(req, res) {
@@ -117,6 +180,16 @@ export async function publishWebsite(req, res) {
       });
     }
 
+    const publishAt = parseScheduleDate(req.body.publishAt);
+    const unpublishAt = parseScheduleDate(req.body.unpublishAt);
+
+    if (publishAt.error || unpublishAt.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishAt.error || unpublishAt.error
+      });
+    }
+
     const website = await Website.findById(websiteId);
 
     if (!website) {
@@ -133,8 +206,8 @@ export async function publishWebsite(req, res) {
       status: 'active'
     });
 
-    // If trying to publish, check subscription
-    if (isPublished === true) {
+    // If trying to publish (now or later), check subscription
+    if (isPublished === true || publishAt.value) {
       if (!subscription) {
         return res.status(403).json({
           success: false,
@@ -160,7 +233,9 @@ export async function publishWebsite(req, res) {
       if (!isValidSlug) {
         return res.status(400).json({
           success: false,
-          message: "Invalid slug format. Use only lowercase letters, numbers, and hyphens"
+          message: isReservedSlug(slug)
+            ? "This slug is reserved"
+            : "Invalid slug format. Use 3-63 lowercase letters, numbers, and hyphens"
         });
       }
 
@@ -181,24 +256,54 @@ export async function publishWebsite(req, res) {
     }
 
     // Update publish status
-    website.isPublished = isPublished;
-    
-    if (isPublished) {
-      website.publishedAt = new Date();
-    } else {
-      website.publishedAt = null;
+    if (typeof isPublished === 'boolean') {
+      website.isPublished = isPublished;
+
+      if (isPublished) {
+        // Promote the current draft to the live snapshot
+        website.published = buildPublishedSnapshot(website);
+        website.publishedAt = new Date();
+        // Publishing now supersedes a pending scheduled publish
+        if (publishAt.value === undefined) website.publishAt = null;
+      } else {
+        website.publishedAt = null;
+        if (unpublishAt.value === undefined) website.unpublishAt = null;
+      }
+    }
+
+    // Update schedule
+    if (publishAt.value !== undefined) website.publishAt = publishAt.value;
+    if (unpublishAt.value !== undefined) website.unpublishAt = unpublishAt.value;
+
+    if (website.publishAt && website.unpublishAt && website.unpublishAt <= website.publishAt) {
+      return res.status(400).json({
+        success: false,
+        message: "unpublishAt must be later than publishAt"
+      });
     }
 
     await website.save();
+    syncWebsiteSchedule(website);
+    invalidateWebsite(website._id);
+
+    let message;
+    if (typeof isPublished === 'boolean') {
+      message = isPublished ? "Website published successfully" : "Website unpublished";
+    } else {
+      message = "Publishing schedule updated";
+    }
 
     res.status(200).json({
       success: true,
-      message: isPublished ? "Website published successfully" : "Website unpublished",
+      message,
       data: {
         websiteId: website._id,
         slug: website.slug,
         isPublished: website.isPublished,
         publishedAt: website.publishedAt,
+        publishAt: website.publishAt,
+        unpublishAt: website.unpublishAt,
+        hasUnpublishedChanges: hasUnpublishedChanges(website),
         publicUrl: website.publicUrl
       }
     });
@@ -214,13 +319,15 @@ export async function publishWebsite(req, res) {
 }
 
 /**
- * Set custom domain with subscription check
- * @route POST /api/templates/websites/:websiteId/custom-domain
+ * Add a custom domain to a website (subscription required).
+ * The first domain becomes primary; pass makePrimary to switch later.
+ * With includeWww, adding an apex domain also adds its www. variant.
+ * @route POST /api/websites/:websiteId/custom-domain
  */
 export async function setCustomDomain(req, res) {
   try {
     const { websiteId } = req.params;
-    const { domain } = req.body;
+    const { domain, makePrimary = false, includeWww = false } = req.body;
 
     if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({
@@ -237,10 +344,9 @@ export async function setCustomDomain(req, res) {
     }
 
     // Validate domain format
-    const domainRegex = /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/;
-    const cleanDomain = domain.toLowerCase().trim();
+    const cleanDomain = normalizeDomain(domain);
 
-    if (!domainRegex.test(cleanDomain)) {
+    if (!DOMAIN_REGEX.test(cleanDomain)) {
       return res.status(400).json({
         success: false,
         message: "Invalid domain format. Use format: example.com"
@@ -281,9 +387,23 @@ export async function setCustomDomain(req, res) {
       });
     }
 
+    const requested = [cleanDomain];
+    if (includeWww && isApexDomain(cleanDomain)) {
+      requested.push(`www.${cleanDomain}`);
+    }
+
+    const newDomains = requested.filter(d => !findDomainEntry(website, d));
+
+    if (website.domains.length + newDomains.length > getDomainLimit()) {
+      return res.status(400).json({
+        success: false,
+        message: `A website can have at most ${getDomainLimit()} custom domains`
+      });
+    }
+
     // Check if domain is already taken
     const existingWebsite = await Website.findOne({
-      customDomain: cleanDomain,
+      'domains.domain': { $in: requested },
       _id: { $ne: websiteId }
     });
 
@@ -294,26 +414,42 @@ export async function setCustomDomain(req, res) {
       });
     }
 
-    // Update domain
-    website.customDomain = cleanDomain;
-    website.isCustomDomainVerified = false; // Reset verification status
-    website.domainVerifiedAt = null;
+    newDomains.forEach(d => {
+      website.domains.push({
+        domain: d,
+        isVerified: false,
+        verificationToken: generateDomainToken()
+      });
+    });
+
+    // Entries migrated from the legacy single-domain fields have no token yet
+    requested.forEach(d => {
+      const entry = findDomainEntry(website, d);
+      if (!entry.verificationToken) {
+        entry.verificationToken = generateDomainToken();
+      }
+    });
+
+    if (makePrimary) {
+      website.domains.forEach(entry => {
+        entry.isPrimary = entry.domain === cleanDomain;
+      });
+    }
+    ensurePrimaryDomain(website);
 
     await website.save();
 
+    const added = requested.map(d => findDomainEntry(website, d));
+
     res.status(200).json({
       success: true,
-      message: "Custom domain set successfully. Please verify your domain.",
+      message: "Custom domain set successfully. Add the DNS records below, then verify your domain.",
       data: {
         websiteId: website._id,
         customDomain: website.customDomain,
         isCustomDomainVerified: website.isCustomDomainVerified,
-        dnsRecords: {
-          type: 'CNAME',
-          name: cleanDomain,
-          value: `${website.slug}.yourdomain.com`, // Replace with your actual domain
-          ttl: '3600'
-        }
+        domains: website.domains.map(formatDomainEntry),
+        dnsRecords: added.flatMap(entry => getRequiredDnsRecords(entry.domain, entry.verificationToken))
       }
     });
 
@@ -328,8 +464,8 @@ export async function setCustomDomain(req, res) {
 }
 
 /**
- * Verify custom domain
- * @route GET /api/templates/verify-domain/:domain
+ * Verify one of a website's custom domains
+ * @route GET /api/websites/verify-domain/:domain?siteid=:websiteId
  */
 export async function verifyCustomDomain(req, res) {
   try {
@@ -352,10 +488,12 @@ export async function verifyCustomDomain(req, res) {
       });
     }
 
-    if (website.customDomain !== domain.toLowerCase()) {
+    const entry = findDomainEntry(website, domain);
+
+    if (!entry) {
       return res.status(400).json({
         success: false,
-        message: "Domain does not match website's custom domain"
+        message: "Domain is not one of this website's custom domains"
       });
     }
 
@@ -374,32 +512,56 @@ export async function verifyCustomDomain(req, res) {
       });
     }
 
-    // TODO: Implement actual DNS verification
-    // For now, we'll simulate verification
-    const dnsVerified = await verifyDNSRecord(domain, website.slug);
-
-    if (dnsVerified) {
-      website.isCustomDomainVerified = true;
-      website.domainVerifiedAt = new Date();
+    let verification;
+    try {
+      verification = await verifyDomainRecords(entry.domain, entry.verificationToken);
+    } catch (error) {
+      console.error(`DNS lookup error for ${entry.domain}:`, error.message);
+      return res.status(503).json({
+        success: false,
+        message: "DNS lookup failed. Please try again in a few minutes.",
+        error: error.message
+      });
+    }
+    const { verified, records } = verification;
+
+    if (verified) {
+      entry.isVerified = true;
+      entry.verifiedAt = new Date();
+      entry.lastCheckedAt = entry.verifiedAt;
+      entry.checkFailures = 0;
+      entry.checkError = null;
+      entry.failedAt = null;
       await website.save();
 
+      // Order a TLS certificate in the background
+      const certificateRequested = requestCertificate(entry.domain, website._id);
+
       res.status(200).json({
         success: true,
         message: "Domain verified successfully",
         data: {
-          domain,
+          domain: entry.domain,
           isVerified: true,
-          verifiedAt: website.domainVerifiedAt
+          isPrimary: entry.isPrimary,
+          verifiedAt: entry.verifiedAt,
+          certificateRequested,
+          records
         }
       });
     } else {
+      const problems = records.filter(record => record.status !== 'ok');
+
       res.status(400).json({
         success: false,
-        message: "Domain verification failed. Please check your DNS settings.",
+        message: `Domain verification failed: ${problems.map(p => p.message).join('; ')}`,
         data: {
-          domain,
+          domain: entry.domain,
           isVerified: false,
-          instructions: "Add a CNAME record pointing to your website's subdomain"
+          records,
+          requiredRecords: entry.verificationToken
+            ? getRequiredDnsRecords(entry.domain, entry.verificationToken)
+            : []
         }
       });
     }
@@ -414,6 +576,130 @@ export async function verifyCustomDomain(req, res) {
   }
 }
 
+/**
+ * Make a verified custom domain the primary one
+ * @route PUT /api/websites/:websiteId/custom-domain/:domain/primary
+ */
+export async function setPrimaryDomain(req, res) {
+  try {
+    const { websiteId, domain } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId);
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    const entry = findDomainEntry(website, domain);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain is not one of this website's custom domains"
+      });
+    }
+
+    if (!isDomainServable(entry)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only a verified domain can be made primary"
+      });
+    }
+
+    website.domains.forEach(d => {
+      d.isPrimary = d.domain === entry.domain;
+    });
+    await website.save();
+    invalidateWebsite(website._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${entry.domain} is now the primary domain`,
+      data: {
+        websiteId: website._id,
+        customDomain: website.customDomain,
+        domains: website.domains.map(formatDomainEntry),
+        publicUrl: website.publicUrl
+      }
+    });
+  } catch (error) {
+    console.error("Error setting primary domain:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error setting primary domain",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove a custom domain from a website
+ * @route DELETE /api/websites/:websiteId/custom-domain/:domain
+ */
+export async function removeCustomDomain(req, res) {
+  try {
+    const { websiteId, domain } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId);
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    const entry = findDomainEntry(website, domain);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain is not one of this website's custom domains"
+      });
+    }
+
+    website.domains = website.domains.filter(d => d.domain !== entry.domain);
+    ensurePrimaryDomain(website);
+    await website.save();
+    await removeCertificates([entry.domain]);
+    invalidateWebsite(website._id);
+
+    res.status(200).json({
+      success: true,
+      message: `${entry.domain} removed`,
+      data: {
+        websiteId: website._id,
+        customDomain: website.customDomain,
+        domains: website.domains.map(formatDomainEntry)
+      }
+    });
+  } catch (error) {
+    console.error("Error removing custom domain:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing custom domain",
+      error: error.message
+    });
+  }
+}
+
 /**
  * Get website by ID for editing
  * @route GET /api/templates/website/:websiteId
@@ -430,7 +716,7 @@ export async function getWebsiteEdit(req, res) {
     }
 
     const website = await Website.findById(websiteId)
-      .select("-thumbnail.data")
+      .select("-thumbnail.data -published.html -published.css -published.js -published.components")
       .lean();
 
     if (!website) {
@@ -454,6 +740,7 @@ export async function getWebsiteEdit(req, res) {
       success: true,
       data: {
         ...website,
+        hasUnpublishedChanges: website.isPublished ? hasUnpublishedChanges(website) : false,
         hasActiveSubscription: !!subscription,
         subscription: subscription ? {
           status: subscription.status,
@@ -473,38 +760,64 @@ export async function getWebsiteEdit(req, res) {
 }
 
 /**
- * Get all websites for a user
+ * Get all websites of the user's workspaces (or of one workspace with ?workspaceId=)
  * @route GET /api/templates/website-list/:userId
  */
 export async function getWebsiteList(req, res) {
   try {
-    const { userId } = req.params;
-
-    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid user ID"
-      });
-    }
+    // :userId is checked against the token by requireSelf
+    const userId = req.user._id;
+    const { workspaceId } = req.query;
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const [websites, total] = await Promise.all([
-      Website.find({ userId })
-        .select("name thumbnail customDomain isPublished slug isCustomDomainVerified createdAt updatedAt viewCount")
+    let filter;
+    if (workspaceId) {
+      if (!String(workspaceId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid workspace ID"
+        });
+      }
+
+      if (!(await getWorkspaceRole(workspaceId, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not a member of this workspace",
+          code: "FORBIDDEN"
+        });
+      }
+
+      filter = { workspaceId };
+    } else {
+      filter = await websiteAccessFilter(userId);
+    }
+
+    const [websites, total, workspaces] = await Promise.all([
+      Website.find(filter)
+        .select("name thumbnail customDomain domains isPublished slug isCustomDomainVerified workspaceId createdAt updatedAt viewCount")
         .sort({ updatedAt: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
-      Website.countDocuments({ userId })
+      Website.countDocuments(filter),
+      Workspace.find({ "members.userId": userId }).select("name members").lean()
     ]);
 
+    // The caller's role decides what the UI offers for each site
+    const workspaceMap = {};
+    workspaces.forEach(workspace => {
+      workspaceMap[workspace._id.toString()] = {
+        name: workspace.name,
+        role: getMemberRole(workspace, userId)
+      };
+    });
+
     // Get subscription status for each website
     const websiteIds = websites.map(w => w._id);
     const subscriptions = await Subscription.find({
-      userId,
       websiteId: { $in: websiteIds },
       status: 'active'
     }).lean();
@@ -524,7 +837,11 @@ export async function getWebsiteList(req, res) {
       isPublished: website.isPublished,
       slug: website.slug,
       isCustomDomainVerified: website.isCustomDomainVerified,
+      domains: (website.domains || []).map(formatDomainEntry),
       viewCount: website.viewCount || 0,
+      workspaceId: website.workspaceId,
+      workspaceName: workspaceMap[website.workspaceId?.toString()]?.name || null,
+      role: workspaceMap[website.workspaceId?.toString()]?.role || 'owner',
       createdAt: website.createdAt,
       updatedAt: website.updatedAt,
       hasActiveSubscription: !!subscriptionMap[website._id.toString()],
@@ -583,11 +900,22 @@ export async function updateTemplate(req, res) {
     if (components !== undefined) updateData.components = components;
     if (name !== undefined) updateData.name = name;
 
+    const contentChanged = html !== undefined || js !== undefined || components !== undefined;
+
+    // Websites created before revision history have no snapshot yet:
+    // keep the content we are about to overwrite as the baseline revision
+    if (contentChanged && !(await WebsiteRevision.exists({ websiteId }))) {
+      const previous = await Website.findById(websiteId).select("-thumbnail.data").lean();
+      if (previous) {
+        await createRevision(previous, { userId: previous.userId, source: 'baseline' });
+      }
+    }
+
     const updatedWebsite = await Website.findByIdAndUpdate(
       websiteId,
       updateData,
       { new: true, runValidators: true }
-    ).select("-thumbnail.data");
+    ).select("-thumbnail.data -published.html -published.css -published.js -published.components");
 
     if (!updatedWebsite) {
       return res.status(404).json({
@@ -596,10 +924,19 @@ export async function updateTemplate(req, res) {
       });
     }
 
+    if (contentChanged) {
+      await createRevisionSafely(updatedWebsite, { userId: req.user?._id, source: 'update' });
+    }
+
+    invalidateWebsite(updatedWebsite._id);
+
     res.status(200).json({
       success: true,
       message: "Website updated successfully",
-      data: updatedWebsite
+      data: {
+        ...updatedWebsite.toObject(),
+        hasUnpublishedChanges: updatedWebsite.isPublished ? hasUnpublishedChanges(updatedWebsite) : false
+      }
     });
   } catch (error) {
     console.error("Error updating website:", error);
@@ -626,7 +963,7 @@ export async function deleteWebsite(req, res) {
       });
     }
 
-    const deletedWebsite = await Website.findByIdAndDelete(websiteId);
+    const deletedWebsite = await deleteWebsiteAndData(websiteId);
 
     if (!deletedWebsite) {
       return res.status(404).json({
@@ -635,16 +972,6 @@ export async function deleteWebsite(req, res) {
       });
     }
 
-    // Decrement template usage count
-    if (deletedWebsite.templateId) {
-      await Template.findByIdAndUpdate(deletedWebsite.templateId, {
-        $inc: { usageCount: -1 }
-      });
-    }
-
-    // Delete associated subscriptions
-    await Subscription.deleteMany({ websiteId });
-
     res.status(200).json({
       success: true,
       message: "Website and associated subscriptions deleted successfully",
@@ -660,6 +987,177 @@ export async function deleteWebsite(req, res) {
   }
 }
 
+/**
+ * List pending publish/unpublish schedules of the websites the current user can publish
+ * @route GET /api/websites/schedules
+ */
+export async function getPublishSchedules(req, res) {
+  try {
+    const websites = await Website.find({
+      $and: [
+        await websiteAccessFilter(req.user._id, 'editor'),
+        { $or: [{ publishAt: { $ne: null } }, { unpublishAt: { $ne: null } }] }
+      ]
+    })
+      .select("name slug isPublished publishAt unpublishAt")
+      .sort({ publishAt: 1, unpublishAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: websites.map(website => ({
+        websiteId: website._id,
+        name: website.name,
+        slug: website.slug,
+        isPublished: website.isPublished,
+        publishAt: website.publishAt,
+        unpublishAt: website.unpublishAt
+      })),
+      count: websites.length
+    });
+  } catch (error) {
+    console.error("Error fetching publish schedules:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching publish schedules",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cancel a pending scheduled publish and/or unpublish
+ * @route DELETE /api/websites/:websiteId/schedule?type=publish|unpublish
+ */
+export async function cancelPublishSchedule(req, res) {
+  try {
+    const { websiteId } = req.params;
+    const { type } = req.query;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    if (type && !['publish', 'unpublish'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "type must be 'publish' or 'unpublish'"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("userId publishAt unpublishAt");
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    if (!website.publishAt && !website.unpublishAt) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending schedule for this website"
+      });
+    }
+
+    if (!type || type === 'publish') website.publishAt = null;
+    if (!type || type === 'unpublish') website.unpublishAt = null;
+
+    await website.save();
+    syncWebsiteSchedule(website);
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule canceled",
+      data: {
+        websiteId: website._id,
+        publishAt: website.publishAt,
+        unpublishAt: website.unpublishAt
+      }
+    });
+  } catch (error) {
+    console.error("Error canceling publish schedule:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error canceling schedule",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Discard draft changes and reset the draft to the live content
+ * @route POST /api/websites/:websiteId/discard-draft
+ */
+export async function discardDraftChanges(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("-thumbnail.data");
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    if (website.published?.html == null) {
+      return res.status(400).json({
+        success: false,
+        message: "This website has never been published, there is nothing to reset to"
+      });
+    }
+
+    if (!hasUnpublishedChanges(website)) {
+      return res.status(200).json({
+        success: true,
+        message: "No draft changes to discard",
+        data: { websiteId: website._id, hasUnpublishedChanges: false }
+      });
+    }
+
+    // Keep the discarded draft in revision history so it can be restored
+    await createRevision(website, { userId: req.user?._id, source: 'update' });
+
+    website.html = website.published.html;
+    website.css = website.published.css;
+    website.js = website.published.js;
+    website.components = website.published.components;
+    await website.save();
+
+    await createRevisionSafely(website, { userId: req.user?._id, source: 'discard' });
+
+    res.status(200).json({
+      success: true,
+      message: "Draft changes discarded",
+      data: {
+        websiteId: website._id,
+        hasUnpublishedChanges: false,
+        updatedAt: website.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error discarding draft changes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error discarding draft changes",
+      error: error.message
+    });
+  }
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -693,25 +1191,62 @@ function ensureTailwindCDN(html) {
 }
 
 /**
- * Verify DNS record (simplified version)
- * In production, use DNS lookup libraries
+ * Domain entry as returned to clients
  */
-async function verifyDNSRecord(domain, targetSlug) {
-  try {
-    // TODO: Implement actual DNS verification using dns.resolve or similar
-    // For now, return true for testing
-    // In production, check if CNAME points to your platform
-    
-    // Example implementation:
-    // const dns = require('dns').promises;
-    // const records = await dns.resolveCname(domain);
-    // return records.some(record => record.includes(targetSlug));
-    
-    return true; // Temporary for testing
-  } catch (error) {
-    console.error('DNS verification error:', error);
-    return false;
+function formatDomainEntry(entry) {
+  return {
+    domain: entry.domain,
+    isPrimary: entry.isPrimary,
+    isVerified: entry.isVerified,
+    verifiedAt: entry.verifiedAt,
+    lastCheckedAt: entry.lastCheckedAt,
+    checkError: entry.checkError,
+    failedAt: entry.failedAt
+  };
+}
+
+/**
+ * Answer 401/403 for a protected site the requester may not view
+ * @returns {boolean} true when a response was sent
+ */
+function denySiteAccess(req, res, website) {
+  const access = checkSiteAccess(req, getSiteAccessInfo(website));
+  if (access === 'granted') return false;
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (access === 'password') {
+    res.status(401).json({
+      success: false,
+      message: "This website is password protected",
+      requiresPassword: true
+    });
+  } else {
+    res.status(403).json({
+      success: false,
+      message: "This website is private",
+      ownerOnly: true
+    });
+  }
+  return true;
+}
+
+/**
+ * Parse a publishAt/unpublishAt body value
+ * @returns {{ value?: Date|null, error?: string }} value is undefined when not provided
+ */
+function parseScheduleDate(input) {
+  if (input === undefined) return { value: undefined };
+  if (input === null || input === '') return { value: null };
+
+  const date = new Date(input);
+  if (isNaN(date.getTime())) {
+    return { error: "Invalid schedule date. Use an ISO 8601 timestamp" };
+  }
+  if (date <= new Date()) {
+    return { error: "Scheduled time must be in the future" };
   }
+
+  return { value: date };
 }
 
 /**
@@ -732,18 +1267,22 @@ export async function getPublishedWebsiteBySlug(req, res) {
     // Find published website by slug
     const website = await Website.findOne({
       slug: slug.toLowerCase().trim(),
-      isPublished: true
+      isPublished: true,
+      'published.html': { $ne: null }
     })
-      .select("name html css js slug customDomain viewCount publishedAt userId")
+      .select("name published slug customDomain viewCount publishedAt userId accessMode accessChangedAt")
       .lean();
 
-    if (!website) {
+    // Sites of suspended accounts are served as unpublished
+    if (!website || await isOwnerSuspended(website.userId)) {
       return res.status(404).json({
         success: false,
         message: "Website not found or not published"
       });
     }
 
+    if (denySiteAccess(req, res, website)) return;
+
     // Increment view count (non-blocking best practice)
     Website.findByIdAndUpdate(
       website._id,
@@ -767,9 +1306,9 @@ export async function getPublishedWebsiteBySlug(req, res) {
       success: true,
       data: {
         name: website.name,
-        html: website.html,
-        css: website.css || "",
-        js: website.js || "",
+        html: website.published.html,
+        css: website.published.css || "",
+        js: website.published.js || "",
         slug: website.slug,
         customDomain: website.customDomain,
         viewCount: (website.viewCount || 0) + 1,
@@ -813,20 +1352,22 @@ export async function getPublishedWebsiteByDomain(req, res) {
 
     // Find published website by custom domain
     const website = await Website.findOne({
-      customDomain: cleanDomain,
-      isCustomDomainVerified: true,
-      isPublished: true
+      ...servedDomainFilter(cleanDomain),
+      isPublished: true,
+      'published.html': { $ne: null }
     })
-      .select("name html css js slug customDomain viewCount publishedAt")
+      .select("name published slug customDomain viewCount publishedAt userId accessMode accessChangedAt")
       .lean();
 
-    if (!website) {
+    if (!website || await isOwnerSuspended(website.userId)) {
       return res.status(404).json({
         success: false,
         message: "Website not found or domain not verified"
       });
     }
 
+    if (denySiteAccess(req, res, website)) return;
+
     // Increment view count
     await Website.findByIdAndUpdate(
       website._id,
@@ -840,9 +1381,9 @@ export async function getPublishedWebsiteByDomain(req, res) {
       success: true,
       data: {
         name: website.name,
-        html: website.html,
-        css: website.css || "",
-        js: website.js || "",
+        html: website.published.html,
+        css: website.published.css || "",
+        js: website.published.js || "",
         slug: website.slug,
         customDomain: website.customDomain,
         viewCount: website.viewCount + 1,
@@ -858,4 +1399,202 @@ export async function getPublishedWebsiteByDomain(req, res) {
       error: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Unlock a password-protected published website (PUBLIC ROUTE).
+ * Sets the site-scoped access cookie on success.
+ * @route POST /api/websites/site/:slug/unlock
+ */
+export async function unlockPublishedWebsite(req, res) {
+  try {
+    const { slug } = req.params;
+    const { password } = req.body;
+
+    const website = await Website.findOne({
+      slug: (slug || '').toLowerCase().trim(),
+      isPublished: true,
+      'published.html': { $ne: null }
+    })
+      .select("userId accessMode accessChangedAt")
+      .lean();
+
+    if (!website || await isOwnerSuspended(website.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found or not published"
+      });
+    }
+
+    if (website.accessMode !== 'password') {
+      return res.status(400).json({
+        success: false,
+        message: "This website is not password protected"
+      });
+    }
+
+    const valid = await verifySitePassword(website._id, password);
+
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password"
+      });
+    }
+
+    setAccessCookie(res, getSiteAccessInfo(website));
+
+    res.status(200).json({
+      success: true,
+      message: "Website unlocked"
+    });
+  } catch (error) {
+    console.error("Error unlocking website:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unlocking website",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Link that opens the published website for its owner, whatever its access mode.
+ * Carries a short-lived preview token for this site only, never the owner's
+ * session token.
+ * @route POST /api/websites/:websiteId/preview-link
+ */
+export async function createPreviewLink(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId)
+      .select("userId slug domains isPublished published.html accessMode accessChangedAt");
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    if (!website.isPublished || website.published?.html == null || !website.publicUrl) {
+      return res.status(400).json({
+        success: false,
+        message: "Publish the website before previewing it"
+      });
+    }
+
+    if (website.accessMode === 'public') {
+      return res.status(200).json({
+        success: true,
+        data: { url: website.publicUrl, expiresAt: null }
+      });
+    }
+
+    const { token, expiresAt } = createPreviewToken(getSiteAccessInfo(website));
+    const url = new URL(website.publicUrl);
+    url.searchParams.set(PREVIEW_TOKEN_PARAM, token);
+
+    res.status(200).json({
+      success: true,
+      data: { url: url.toString(), expiresAt }
+    });
+  } catch (error) {
+    console.error("Error creating preview link:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating preview link",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Set who may view the published website
+ * @route PUT /api/websites/:websiteId/access
+ */
+export async function updateAccessSettings(req, res) {
+  try {
+    const { websiteId } = req.params;
+    const { accessMode, password } = req.body;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    if (!ACCESS_MODES.includes(accessMode)) {
+      return res.status(400).json({
+        success: false,
+        message: `accessMode must be one of: ${ACCESS_MODES.join(', ')}`
+      });
+    }
+
+    if (password !== undefined && (typeof password !== 'string' || password.length < 4)) {
+      return res.status(400).json({
+        success: false,
+        message: "Site password must be at least 4 characters long"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("+accessPasswordHash");
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    if (accessMode === 'password' && !password && !website.accessPasswordHash) {
+      return res.status(400).json({
+        success: false,
+        message: "A password is required for password-protected websites"
+      });
+    }
+
+    if (accessMode === 'password') {
+      if (password) {
+        website.accessPasswordHash = await bcrypt.hash(password, 12);
+      }
+    } else {
+      website.accessPasswordHash = null;
+    }
+
+    // Invalidates unlock cookies issued under the previous settings
+    if (website.accessMode !== accessMode || password) {
+      website.accessChangedAt = new Date();
+    }
+    website.accessMode = accessMode;
+
+    await website.save();
+    invalidateWebsite(website._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Access settings updated",
+      data: {
+        websiteId: website._id,
+        accessMode: website.accessMode,
+        hasPassword: !!website.accessPasswordHash
+      }
+    });
+  } catch (error) {
+    console.error("Error updating access settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating access settings",
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,231 @@
+// controllers/WebsiteRevision.controller.js - Website revision history
+import WebsiteRevision from "../models/WebsiteRevision.model.js";
+import { createRevision, createRevisionSafely, getRevisionRetention } from "../utils/revisionUtils.js";
+import { diffLines } from "../utils/diffUtils.js";
+
+/**
+ * List revisions for a website (newest first, content omitted)
+ * @route GET /api/websites/:websiteId/revisions
+ */
+export async function listRevisions(req, res) {
+  try {
+    // Loaded and ownership-checked by requireWebsiteOwner
+    const website = req.website;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const [revisions, total, retention] = await Promise.all([
+      WebsiteRevision.find({ websiteId: website._id })
+        .select("revisionNumber source restoredFrom name size userId createdAt")
+        .sort({ revisionNumber: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      WebsiteRevision.countDocuments({ websiteId: website._id }),
+      getRevisionRetention(website._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      retention,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching revisions",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get a single revision with its full content
+ * @route GET /api/websites/:websiteId/revisions/:revisionId
+ */
+export async function getRevision(req, res) {
+  try {
+    // Loaded and ownership-checked by requireWebsiteOwner
+    const website = req.website;
+
+    const { revisionId } = req.params;
+
+    if (!revisionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid revision ID"
+      });
+    }
+
+    const revision = await WebsiteRevision.findOne({
+      _id: revisionId,
+      websiteId: website._id
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error("Error fetching revision:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching revision",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Line-level diff between two revisions
+ * Use to=current to compare a revision with the website's current content
+ * @route GET /api/websites/:websiteId/revisions/diff?from=:revisionId&to=:revisionId|current
+ */
+export async function diffRevisions(req, res) {
+  try {
+    // Loaded and ownership-checked by requireWebsiteOwner
+    const website = req.website;
+
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: "Both from and to query parameters are required"
+      });
+    }
+
+    const ids = [from, to].filter(id => id !== 'current');
+    if (ids.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid revision ID"
+      });
+    }
+
+    const revisions = await WebsiteRevision.find({
+      _id: { $in: ids },
+      websiteId: website._id
+    }).lean();
+
+    const resolve = (id) => {
+      if (id === 'current') {
+        return { ...website.toObject(), _id: null, revisionNumber: null };
+      }
+      return revisions.find(r => r._id.toString() === id);
+    };
+
+    const fromContent = resolve(from);
+    const toContent = resolve(to);
+
+    if (!fromContent || !toContent) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: { revisionId: fromContent._id, revisionNumber: fromContent.revisionNumber },
+        to: { revisionId: toContent._id, revisionNumber: toContent.revisionNumber },
+        changes: {
+          html: diffLines(fromContent.html, toContent.html),
+          js: diffLines(fromContent.js, toContent.js),
+          components: diffLines(
+            JSON.stringify(fromContent.components || {}, null, 2),
+            JSON.stringify(toContent.components || {}, null, 2)
+          )
+        }
+      }
+    });
+  } catch (error) {
+    console.error("Error diffing revisions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error comparing revisions",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Restore a revision as the website's current content
+ * @route POST /api/websites/:websiteId/revisions/:revisionId/restore
+ */
+export async function restoreRevision(req, res) {
+  try {
+    // Loaded and ownership-checked by requireWebsiteOwner
+    const website = req.website;
+
+    const { revisionId } = req.params;
+
+    if (!revisionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid revision ID"
+      });
+    }
+
+    const revision = await WebsiteRevision.findOne({
+      _id: revisionId,
+      websiteId: website._id
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found"
+      });
+    }
+
+    // Make sure the content being replaced is itself recoverable
+    await createRevision(website, { userId: req.user._id, source: 'update' });
+
+    website.html = revision.html;
+    website.css = revision.css;
+    website.js = revision.js;
+    website.components = revision.components;
+    await website.save();
+
+    const restored = await createRevisionSafely(website, {
+      userId: req.user._id,
+      source: 'restore',
+      restoredFrom: revision.revisionNumber
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Revision ${revision.revisionNumber} restored successfully`,
+      data: {
+        websiteId: website._id,
+        restoredFrom: revision.revisionNumber,
+        revisionNumber: restored?.revisionNumber ?? null,
+        updatedAt: website.updatedAt
+      }
+    });
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring revision",
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,499 @@
+// controllers/account.Controller.js - Self-service account management (profile, password, email)
+import bcrypt from "bcryptjs";
+import validator from "validator";
+import User from "../models/User.js";
+import MagicLinkToken from "../models/MagicLinkToken.model.js";
+import { CODE_PURPOSES, issueCode, verifyCode, clearCodes } from "../lib/oneTimeCodeService.js";
+import { sendVerificationEmail, sendEmailChangedEmail } from "../lib/emailService.js";
+import { revokeUserTokens } from "../utils/refreshTokenUtils.js";
+import { validatePassword } from "../utils/passwordUtils.js";
+import { parseAvatar, formatUserResponse } from "../utils/profileUtils.js";
+import { buildAccountExport, scheduleAccountDeletion, cancelAccountDeletion } from "../lib/accountData.js";
+
+const EMAIL_CHANGE_CODE_MESSAGES = {
+  missing: "No email change in progress. Please request a new code.",
+  expired: "Verification code has expired. Please request a new one.",
+  invalid: "Invalid verification code"
+};
+
+/**
+ * Apply fullName / avatar from a request body to a user document
+ * (avatar: data URL to replace it, null to remove it)
+ * @returns {{ error?: string }}
+ */
+function applyProfileChanges(user, { fullName, avatar }) {
+  if (fullName !== undefined) {
+    const name = typeof fullName === 'string' ? validator.escape(fullName.trim()) : '';
+    if (name.length < 2 || name.length > 50) {
+      return { error: "Full name must be between 2 and 50 characters" };
+    }
+    user.fullName = name;
+  }
+
+  if (avatar === null) {
+    user.set('avatar.data', undefined);
+    user.avatar.contentType = null;
+    user.avatar.updatedAt = new Date();
+  } else if (avatar !== undefined) {
+    const parsed = parseAvatar(avatar);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    user.avatar.data = parsed.avatar.data;
+    user.avatar.contentType = parsed.avatar.contentType;
+    user.avatar.updatedAt = new Date();
+  }
+
+  return {};
+}
+
+/**
+ * Update the current user's profile
+ * @route PATCH /api/auth/profile
+ */
+export async function updateProfile(req, res) {
+  try {
+    const { fullName, avatar } = req.body;
+
+    if (fullName === undefined && avatar === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to update. Provide fullName and/or avatar."
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const result = applyProfileChanges(user, { fullName, avatar });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Profile updated successfully",
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating profile",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Serve a user's avatar image
+ * @route GET /api/auth/avatar/:userId
+ */
+export async function getAvatar(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const user = await User.findById(userId).select("+avatar.data");
+
+    if (!user?.avatar?.data || !user.avatar.contentType) {
+      return res.status(404).json({
+        success: false,
+        message: "Avatar not found"
+      });
+    }
+
+    // URLs are versioned (?v=) by getAvatarUrl, so they can be cached hard
+    res.set({
+      'Content-Type': user.avatar.contentType,
+      'Cache-Control': 'public, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(user.avatar.data);
+  } catch (error) {
+    console.error("Error fetching avatar:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching avatar",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Finish onboarding: optional profile details, then mark the account onboarded
+ * @route POST /api/auth/onboarding
+ */
+export async function completeOnboarding(req, res) {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isOnboarded) {
+      return res.status(400).json({
+        success: false,
+        message: "Onboarding is already completed"
+      });
+    }
+
+    const result = applyProfileChanges(user, req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    user.isOnboarded = true;
+    user.onboardedAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Onboarding completed",
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error("Error completing onboarding:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error completing onboarding",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Change the password (current password required); signs out every other session
+ * @route POST /api/auth/change-password
+ */
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Current and new password are required"
+      });
+    }
+
+    const passwordValidation = validatePassword(newPassword);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordValidation.message
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect"
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be different from the current one"
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    await user.save();
+
+    await clearCodes(user._id, CODE_PURPOSES.PASSWORD_RESET);
+    await revokeUserTokens(user._id, 'password-change', req.tokenData?.sid);
+
+    res.status(200).json({
+      success: true,
+      message: "Password changed. All other sessions have been signed out."
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error changing password",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Start an email change: send a code to the new address
+ * @route POST /api/auth/change-email
+ */
+export async function requestEmailChange(req, res) {
+  try {
+    const { newEmail, password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "New email and password are required"
+      });
+    }
+
+    if (typeof newEmail !== 'string' || !validator.isEmail(newEmail.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid email format"
+      });
+    }
+
+    const email = validator.normalizeEmail(newEmail.trim());
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password"
+      });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: "This is already your email address"
+      });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: "This email is already in use"
+      });
+    }
+
+    const issued = await issueCode(user._id, CODE_PURPOSES.EMAIL_CHANGE, { target: email });
+
+    if (issued.error) {
+      res.setHeader('Retry-After', issued.retryAfter);
+      return res.status(429).json({
+        success: false,
+        message: issued.error === 'locked'
+          ? "Too many invalid attempts. Please try again later."
+          : "Please wait before requesting a new code",
+        retryAfter: issued.retryAfter
+      });
+    }
+
+    const emailResult = await sendVerificationEmail(email, issued.code, user.fullName);
+
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: "Failed to send verification email. Please try again."
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `A verification code has been sent to ${email}`
+    });
+  } catch (error) {
+    console.error("Error requesting email change:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting email change",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Confirm an email change with the code sent to the new address
+ * @route POST /api/auth/change-email/verify
+ */
+export async function confirmEmailChange(req, res) {
+  try {
+    const otp = typeof req.body.otp === 'string' ? req.body.otp.trim() : '';
+
+    if (!/^\d{6}$/.test(otp)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid OTP format. Must be 6 digits."
+      });
+    }
+
+    const result = await verifyCode(req.user._id, CODE_PURPOSES.EMAIL_CHANGE, otp);
+
+    if (!result.valid) {
+      if (result.reason === 'locked') {
+        res.setHeader('Retry-After', result.retryAfter);
+        return res.status(429).json({
+          success: false,
+          message: "Too many invalid attempts. Please try again later.",
+          code: "CODE_LOCKED",
+          retryAfter: result.retryAfter
+        });
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: EMAIL_CHANGE_CODE_MESSAGES[result.reason],
+        ...(result.reason === 'invalid' && { attemptsRemaining: result.attemptsRemaining })
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousEmail = user.email;
+
+    user.email = result.target;
+    user.isEmailVerified = true;
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Someone registered the address after the code was sent
+      if (saveError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "This email is already in use"
+        });
+      }
+      throw saveError;
+    }
+
+    // Links and codes already mailed to the old address must stop working
+    await MagicLinkToken.updateMany({ userId: user._id, usedAt: null }, { usedAt: new Date() });
+    await clearCodes(user._id, CODE_PURPOSES.PASSWORD_RESET);
+
+    sendEmailChangedEmail(previousEmail, user.email, user.fullName).catch(error => {
+      console.error('Failed to send email changed notice:', error);
+    });
+
+    console.log(`📧 Email of user ${user._id} changed from ${previousEmail} to ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "Email address updated successfully",
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error("Error confirming email change:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error confirming email change",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Download everything stored about the current user as a .tar.gz archive
+ * @route GET /api/auth/export
+ */
+export async function exportAccountData(req, res) {
+  try {
+    const result = await buildAccountExport(req.user._id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${result.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(result.archive);
+  } catch (error) {
+    console.error("Error exporting account data:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error exporting account data",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Request account deletion; the account is deleted after a grace period
+ * @route POST /api/auth/delete-account
+ */
+export async function requestAccountDeletion(req, res) {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (user.status === 'pending-deletion') {
+      return res.status(400).json({
+        success: false,
+        message: "Account deletion is already scheduled",
+        deletionScheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password"
+      });
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toUTCString()}. Sign in before then to cancel.`,
+      deletionScheduledFor: scheduledFor
+    });
+  } catch (error) {
+    console.error("Error requesting account deletion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting account deletion",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Cancel a pending account deletion
+ * @route POST /api/auth/delete-account/cancel
+ */
+export async function cancelAccountDeletionRequest(req, res) {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.status !== 'pending-deletion') {
+      return res.status(400).json({
+        success: false,
+        message: "No account deletion is scheduled"
+      });
+    }
+
+    await cancelAccountDeletion(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Account deletion cancelled. Subscriptions set to end can be reactivated from billing.",
+      user: formatUserResponse(user)
+    });
+  } catch (error) {
+    console.error("Error cancelling account deletion:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling account deletion",
+      error: error.message
+    });
+  }
+}
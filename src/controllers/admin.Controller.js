@@ -0,0 +1,313 @@
+// controllers/admin.Controller.js - User administration (roles, account status)
+import User from "../models/User.js";
+import { ROLES, ROLE_PERMISSIONS, DEFAULT_ROLE, isValidRole, getRolePermissions } from "../utils/permissions.js";
+import { setAccountStatus } from "../utils/accountStatus.js";
+
+const USER_FIELDS = "fullName email isEmailVerified role roleUpdatedAt roleUpdatedBy status statusReason statusChangedAt statusChangedBy deletionScheduledFor createdAt";
+const ACCOUNT_STATUSES = User.schema.path("status").enumValues;
+
+function formatUser(user) {
+  return {
+    _id: user._id,
+    fullName: user.fullName,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    role: user.role || DEFAULT_ROLE,
+    permissions: getRolePermissions(user.role || DEFAULT_ROLE),
+    roleUpdatedAt: user.roleUpdatedAt || null,
+    roleUpdatedBy: user.roleUpdatedBy || null,
+    status: user.status || 'active',
+    statusReason: user.statusReason || null,
+    statusChangedAt: user.statusChangedAt || null,
+    statusChangedBy: user.statusChangedBy || null,
+    deletionScheduledFor: user.deletionScheduledFor || null,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Change a user's role on behalf of an admin
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function setUserRole(req, role) {
+  const { userId } = req.params;
+
+  if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, body: { success: false, message: "Invalid user ID" } };
+  }
+
+  // An admin demoting themselves could leave nobody able to manage roles
+  if (userId === req.user._id.toString()) {
+    return { status: 400, body: { success: false, message: "You cannot change your own role" } };
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { role, roleUpdatedAt: new Date(), roleUpdatedBy: req.user._id },
+    { new: true, runValidators: true }
+  ).select(USER_FIELDS);
+
+  if (!user) {
+    return { status: 404, body: { success: false, message: "User not found" } };
+  }
+
+  console.log(`🔑 Role of ${user.email} set to ${role} by ${req.user.email}`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: role === DEFAULT_ROLE ? "Role revoked" : `Role ${role} granted`,
+      data: formatUser(user)
+    }
+  };
+}
+
+/**
+ * List the available roles and the permissions each grants
+ * @route GET /api/admin/roles
+ */
+export async function listRoles(req, res) {
+  res.status(200).json({
+    success: true,
+    data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+}
+
+/**
+ * List users, optionally filtered by role/status or searched by email/name
+ * @route GET /api/admin/users
+ */
+export async function listUsers(req, res) {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) {
+      if (!isValidRole(req.query.role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      // Users created before roles existed have no role field
+      filter.role = req.query.role === DEFAULT_ROLE
+        ? { $in: [DEFAULT_ROLE, null] }
+        : req.query.role;
+    }
+    if (req.query.status) {
+      if (!ACCOUNT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${ACCOUNT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = req.query.status === 'active'
+        ? { $in: ['active', null] }
+        : req.query.status;
+    }
+    if (req.query.search) {
+      const pattern = String(req.query.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { email: { $regex: pattern, $options: 'i' } },
+        { fullName: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select(USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: users.map(formatUser),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      }
+    });
+  } catch (error) {
+    console.error("Error listing users:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing users",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Grant a role to a user (replaces their current role)
+ * @route PUT /api/admin/users/:userId/role
+ */
+export async function grantRole(req, res) {
+  try {
+    const { role } = req.body;
+
+    if (!role || !isValidRole(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const result = await setUserRole(req, role);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error granting role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error granting role",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Revoke a user's role, returning them to a regular user
+ * @route DELETE /api/admin/users/:userId/role
+ */
+export async function revokeRole(req, res) {
+  try {
+    const result = await setUserRole(req, DEFAULT_ROLE);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error revoking role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking role",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Suspend a user: blocks sign-in, revokes refresh tokens and takes their sites offline
+ * @route POST /api/admin/users/:userId/suspend
+ */
+export async function suspendUser(req, res) {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A suspension reason is required"
+      });
+    }
+
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: "Reason cannot exceed 500 characters"
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot suspend your own account"
+      });
+    }
+
+    const user = await User.findById(userId).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: "User is already suspended"
+      });
+    }
+
+    await setAccountStatus(user, 'suspended', { reason, actorId: req.user._id });
+
+    console.log(`⛔ ${user.email} suspended by ${req.user.email}: ${reason}`);
+
+    res.status(200).json({
+      success: true,
+      message: "User suspended",
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error suspending user",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Lift a suspension and bring the user's sites back online
+ * @route POST /api/admin/users/:userId/unsuspend
+ */
+export async function unsuspendUser(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const user = await User.findById(userId).select(USER_FIELDS);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found"
+      });
+    }
+
+    if (user.status !== 'suspended') {
+      return res.status(400).json({
+        success: false,
+        message: "User is not suspended"
+      });
+    }
+
+    await setAccountStatus(user, 'active', { actorId: req.user._id });
+
+    console.log(`✅ ${user.email} unsuspended by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: "User unsuspended",
+      data: formatUser(user)
+    });
+  } catch (error) {
+    console.error("Error unsuspending user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error unsuspending user",
+      error: error.message
+    });
+  }
+}
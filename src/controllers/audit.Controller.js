@@ -0,0 +1,110 @@
+// controllers/audit.Controller.js - Reading the security audit log
+import AuditEvent from "../models/AuditEvent.model.js";
+import { buildAuditFilter, formatAuditEvent } from "../lib/auditLog.js";
+
+function getPagination(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+async function findEvents(filter, { page, limit, skip }) {
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    AuditEvent.countDocuments(filter)
+  ]);
+
+  return {
+    events,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+    }
+  };
+}
+
+/**
+ * The current user's own security activity (sign-ins, failed attempts, changes)
+ * @route GET /api/auth/activity
+ */
+export async function getMyActivity(req, res) {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Failed sign-ins never got as far as a user, only the email that was typed
+    filter.$or = [
+      { "actor.userId": req.user._id },
+      { "actor.userId": null, "actor.email": req.user.email }
+    ];
+
+    const { events, pagination } = await findEvents(filter, getPagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      data: events.map(event => {
+        const { actor, ...rest } = formatAuditEvent(event);
+        return rest;
+      }),
+      pagination
+    });
+  } catch (error) {
+    console.error("Error fetching activity:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching account activity",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Query the audit log across all users
+ * @route GET /api/admin/audit-events
+ */
+export async function listAuditEvents(req, res) {
+  try {
+    const { filter, error } = buildAuditFilter(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const { actorId, actorEmail, targetType, targetId, ip } = req.query;
+
+    if (actorId) {
+      if (!String(actorId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid actor ID"
+        });
+      }
+      filter["actor.userId"] = actorId;
+    }
+    if (actorEmail) filter["actor.email"] = String(actorEmail).toLowerCase().trim();
+    if (targetType) filter["target.type"] = String(targetType);
+    if (targetId) filter["target.id"] = String(targetId);
+    if (ip) filter.ip = String(ip);
+
+    const { events, pagination } = await findEvents(filter, getPagination(req.query));
+
+    res.status(200).json({
+      success: true,
+      data: events.map(formatAuditEvent),
+      pagination
+    });
+  } catch (error) {
+    console.error("Error listing audit events:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing audit events",
+      error: error.message
+    });
+  }
+}
@@ -1,11 +1,19 @@
-import { generateAccessToken, generateRefreshToken } from "../utils/generateTokens.js";
+import { generateAccessToken, verifyRefreshToken, generateTwoFactorChallengeToken, verifyTwoFactorChallengeToken } from "../utils/generateTokens.js";
+import { TWO_FACTOR_SECRET_FIELDS, verifySecondFactor } from "../utils/twoFactorUtils.js";
+import { rotateRefreshToken, revokeRefreshToken, revokeUserTokens, getClientInfo } from "../utils/refreshTokenUtils.js";
+import { startSession, setRefreshCookie, clearRefreshCookie } from "../utils/sessionUtils.js";
 import User from '../models/User.js'
-import jwt from 'jsonwebtoken'
-import rateLimit from "express-rate-limit";
 import validator from "validator";
 import crypto from "crypto";
 import bcrypt from "bcryptjs";
-import { sendPasswordResetEmail, sendVerificationEmail, sendWelcomeEmail } from "../lib/emailService.js";
+import { sendPasswordResetEmail, sendVerificationEmail, sendWelcomeEmail, sendMagicLinkEmail } from "../lib/emailService.js";
+import MagicLinkToken from "../models/MagicLinkToken.model.js";
+import { CODE_PURPOSES, issueCode, verifyCode, hasActiveCode, clearCodes } from "../lib/oneTimeCodeService.js";
+import { getFrontendUrl } from "../utils/platformUtils.js";
+import { getRolePermissions } from "../utils/permissions.js";
+import { getBlockedAccountError } from "../utils/accountStatus.js";
+import { validatePassword } from "../utils/passwordUtils.js";
+import { formatUserResponse, getAvatarUrl } from "../utils/profileUtils.js";
 
 // Helper function to sanitize input
 const sanitizeInput = (input) => {
@@ -16,48 +24,65 @@ const sanitizeInput = (input) => {
     return input
 }
 
-// Helper function to validate password strength
-const validatePassword = (password) => {
-    const minLength = 8
-    const hasUpperCase = /[A-Z]/.test(password)
-    const hasLowerCase = /[a-z]/.test(password)
-    const hasNumbers = /\d/.test(password)
-    const hasNonalphas = /\W/.test(password)
+// Start a session for an authenticated user and send the login response
+const completeLogin = async (req, res, user, extra = {}) => {
+  user.lastLogin = new Date();
+  await user.save();
 
-    if(password.length < minLength){
-        return { vali: false, message: "Password must be at least 8 characters long" }
-    }
+  const { accessToken } = await startSession(req, res, user);
 
-    if (!hasUpperCase) {
-    return { valid: false, message: "Password must contain at least one uppercase letter" };
-  }
-  if (!hasLowerCase) {
-    return { valid: false, message: "Password must contain at least one lowercase letter" };
-  }
-  if (!hasNumbers) {
-    return { valid: false, message: "Password must contain at least one number" };
-  }
-  if (!hasNonalphas) {
-    return { valid: false, message: "Password must contain at least one special character" };
+  res.status(200).json({ 
+    success: true, 
+    user: formatUserResponse(user), 
+    accessToken,
+    message: "Login successful",
+    ...extra
+  });
+};
+
+// First factor passed: 2FA accounts get a challenge (no session until /login/2fa succeeds)
+const signInUser = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      success: true,
+      requiresTwoFactor: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id),
+      message: "Enter the code from your authenticator app"
+    });
   }
-  
-  return { valid: true };
-}
 
-// Helper function to set secure cookies
-const setSecureCookie = (res, name, value, maxAge = 7 * 24 * 60 * 60 * 1000) => {
-  res.cookie(name, value, {
-    maxAge,
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-    path: "/",
-  });
+  await completeLogin(req, res, user);
 };
 
-// Helper function to generate OTP
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+const VERIFICATION_CODE_MESSAGES = {
+  missing: "No verification code found. Please request a new one.",
+  expired: "Verification code has expired. Please request a new one.",
+  invalid: "Invalid verification code"
+};
+
+const RESET_CODE_MESSAGES = {
+  missing: "No reset request found. Please request a password reset.",
+  expired: "Reset code has expired. Please request a new one.",
+  invalid: "Invalid reset code"
+};
+
+// Answer for a failed one-time code check (see lib/oneTimeCodeService.js)
+const sendCodeError = (res, result, messages) => {
+  if (result.reason === 'locked') {
+    res.setHeader('Retry-After', result.retryAfter);
+    return res.status(429).json({
+      success: false,
+      message: "Too many invalid attempts. Please try again later.",
+      code: "CODE_LOCKED",
+      retryAfter: result.retryAfter
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: messages[result.reason],
+    ...(result.reason === 'invalid' && { attemptsRemaining: result.attemptsRemaining })
+  });
 };
 
 
@@ -117,21 +142,18 @@ export async function signUp(req,res) {
          const saltRounds = 12
          const hashedPassword = await bcrypt.hash(password, saltRounds)
 
-         // Generate OTP
-         const otp = generateOTP()
-         const otpExpiry = new Date(Date.now() + 10 * 60 * 1000) //10mins
-
          //create new user
          const newUser = await User.create({
             email,
             password: hashedPassword,
             fullName,
-            emailVerificationToken: otp,
-            emailVerificationExpires: otpExpiry,
             isEmailVerified: false,
             createdAt: new Date()
          })
 
+         // Generate OTP (valid for 10 mins)
+         const { code: otp } = await issueCode(newUser._id, CODE_PURPOSES.EMAIL_VERIFICATION)
+
          //send verification email
          const emailResult = await sendVerificationEmail(email, otp, fullName)
          if(!emailResult){
@@ -172,12 +194,10 @@ export async function verifyEmailOTP(req, res) {
     try {
         // Log the entire request body
         console.log('=== VERIFY EMAIL REQUEST ===');
-        console.log('Request body:', JSON.stringify(req.body, null, 2));
         console.log('Request headers:', req.headers['content-type']);
         
         let { email, otp } = req.body;
 
-        console.log('Extracted values:', { email, otp });
         console.log('Email type:', typeof email);
         console.log('OTP type:', typeof otp);
 
@@ -215,11 +235,10 @@ export async function verifyEmailOTP(req, res) {
         
         // Sanitize OTP and trim whitespace
         otp = sanitizeInput(otp).trim();
-        console.log('After sanitizing OTP:', otp);
 
         // Validate OTP format (should be 6 digits)
         if (!/^\d{6}$/.test(otp)) {
-            console.log('Invalid OTP format:', otp);
+            console.log('Invalid OTP format');
             return res.status(400).json({
                 success: false,
                 message: "Invalid OTP format. Must be 6 digits."
@@ -238,9 +257,7 @@ export async function verifyEmailOTP(req, res) {
 
         console.log('User found:', {
             email: user.email,
-            isVerified: user.isEmailVerified,
-            hasToken: !!user.emailVerificationToken,
-            tokenExpires: user.emailVerificationExpires
+            isVerified: user.isEmailVerified
         });
 
         // Check if already verified
@@ -252,74 +269,18 @@ export async function verifyEmailOTP(req, res) {
             });
         }
 
-        // Check if verification token exists
-        if (!user.emailVerificationToken || !user.emailVerificationExpires) {
-            console.log('No verification token found');
-            return res.status(400).json({
-                success: false,
-                message: "No verification token found. Please request a new one."
-            });
-        }
-
-        // Check if token expired
-        const now = new Date();
-        const expires = user.emailVerificationExpires;
-        console.log('Token expiry check:', {
-            now: now.toISOString(),
-            expires: expires.toISOString(),
-            expired: now > expires
-        });
-
-        if (now > expires) {
-            console.log('Token has expired');
-            return res.status(400).json({
-                success: false,
-                message: "Verification code has expired. Please request a new one."
-            });
-        }
-
-        // Check verification attempts (max 5)
-        if (user.verificationAttempts >= 5) {
-            console.log('Too many attempts:', user.verificationAttempts);
-            return res.status(429).json({
-                success: false,
-                message: "Too many verification attempts. Please request a new code."
-            });
-        }
+        // Checks expiry, counts the attempt and locks out after too many
+        const result = await verifyCode(user._id, CODE_PURPOSES.EMAIL_VERIFICATION, otp);
 
-        // Compare OTP (ensure both are strings and trimmed)
-        const storedOtp = String(user.emailVerificationToken).trim();
-        const providedOtp = String(otp).trim();
-
-        console.log('=== OTP COMPARISON ===');
-        console.log('Stored OTP:', storedOtp);
-        console.log('Provided OTP:', providedOtp);
-        console.log('Match:', storedOtp === providedOtp);
-        console.log('Stored length:', storedOtp.length);
-        console.log('Provided length:', providedOtp.length);
-
-        if (storedOtp !== providedOtp) {
-            user.verificationAttempts = (user.verificationAttempts || 0) + 1;
-            user.lastVerificationAttempt = new Date();
-            await user.save();
-
-            console.log(`Invalid OTP attempt for ${email}. Attempts: ${user.verificationAttempts}`);
-
-            return res.status(400).json({
-                success: false,
-                message: "Invalid verification code",
-                attemptsRemaining: Math.max(0, 5 - user.verificationAttempts)
-            });
+        if (!result.valid) {
+            console.log(`Invalid OTP attempt for ${email}: ${result.reason}`);
+            return sendCodeError(res, result, VERIFICATION_CODE_MESSAGES);
         }
 
         // Verification successful
         console.log('✅ Verification successful!');
         
         user.isEmailVerified = true;
-        user.emailVerificationToken = null;
-        user.emailVerificationExpires = null;
-        user.verificationAttempts = 0;
-        user.lastVerificationAttempt = null;
         await user.save();
 
         console.log(`Email verified successfully for: ${email}`);
@@ -329,12 +290,8 @@ export async function verifyEmailOTP(req, res) {
             console.error('Failed to send welcome email:', error);
         });
 
-        // Generate tokens
-        const accessToken = generateAccessToken(user._id);
-        const refreshToken = generateRefreshToken(user._id);
-
-        // Set refresh token in secure cookie
-        setSecureCookie(res, "refreshToken", refreshToken);
+        // Generate tokens (sets the refresh token cookie)
+        const { accessToken } = await startSession(req, res, user);
 
         const userResponse = {
             _id: user._id,
@@ -399,25 +356,21 @@ export async function resendVerificationOTP(req, res) {
       });
     }
 
-    // Check rate limiting
-    if (user.lastVerificationAttempt) {
-      const timeSinceLastAttempt = Date.now() - user.lastVerificationAttempt.getTime();
-      if (timeSinceLastAttempt < 60 * 1000) { // 1 minute
-        return res.status(429).json({
-          success: false,
-          message: "Please wait before requesting a new code",
-          retryAfter: Math.ceil((60 * 1000 - timeSinceLastAttempt) / 1000)
-        });
-      }
-    }
+    // At most one code per minute; none at all while locked out
+    const issued = await issueCode(user._id, CODE_PURPOSES.EMAIL_VERIFICATION);
 
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    if (issued.error) {
+      res.setHeader('Retry-After', issued.retryAfter);
+      return res.status(429).json({
+        success: false,
+        message: issued.error === 'locked'
+          ? "Too many invalid attempts. Please try again later."
+          : "Please wait before requesting a new code",
+        retryAfter: issued.retryAfter
+      });
+    }
 
-    user.emailVerificationToken = otp;
-    user.emailVerificationExpires = otpExpiry;
-    user.lastVerificationAttempt = new Date();
-    await user.save();
+    const otp = issued.code;
 
     const emailResult = await sendVerificationEmail(email, otp, user.fullName);
 
@@ -476,17 +429,17 @@ export async function forgotPassword(req, res) {
       });
     }
 
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
+    const issued = await issueCode(user._id, CODE_PURPOSES.PASSWORD_RESET);
 
-    user.passwordResetToken = otp;
-    user.passwordResetExpires = otpExpiry;
-    await user.save();
+    // Same answer either way: the previous code is still valid, or the account is locked out
+    if (issued.error) {
+      console.log(`Password reset code not sent for ${email}: ${issued.error}`);
+    } else {
+      const emailResult = await sendPasswordResetEmail(email, issued.code, user.fullName);
 
-    const emailResult = await sendPasswordResetEmail(email, otp, user.fullName);
-
-    if (!emailResult.success) {
-      console.error('Failed to send password reset email:', emailResult.error);
+      if (!emailResult.success) {
+        console.error('Failed to send password reset email:', emailResult.error);
+      }
     }
 
     res.status(200).json({
@@ -538,38 +491,24 @@ export async function resetPassword(req, res) {
       });
     }
 
-    if (!user.passwordResetToken || !user.passwordResetExpires) {
-      return res.status(400).json({
-        success: false,
-        message: "No reset request found. Please request a password reset."
-      });
-    }
+    const result = await verifyCode(user._id, CODE_PURPOSES.PASSWORD_RESET, otp);
 
-    if (new Date() > user.passwordResetExpires) {
-      return res.status(400).json({
-        success: false,
-        message: "Reset code has expired. Please request a new one."
-      });
-    }
-
-    if (user.passwordResetToken !== otp) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid reset code"
-      });
+    if (!result.valid) {
+      return sendCodeError(res, result, RESET_CODE_MESSAGES);
     }
 
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
     user.password = hashedPassword;
-    user.passwordResetToken = null;
-    user.passwordResetExpires = null;
     await user.save();
 
+    // Whoever knew the old password may still hold a session
+    await revokeUserTokens(user._id, 'password-reset');
+
     res.status(200).json({
       success: true,
-      message: "Password reset successfully. You can now login with your new password."
+      message: "Password reset successfully. All sessions have been signed out. You can now login with your new password."
     });
 
   } catch (error) {
@@ -609,25 +548,11 @@ export async function verifyResetOTP(req, res) {
       });
     }
 
-    if (!user.passwordResetToken || !user.passwordResetExpires) {
-      return res.status(400).json({
-        success: false,
-        message: "No reset request found. Please request a password reset."
-      });
-    }
-
-    if (new Date() > user.passwordResetExpires) {
-      return res.status(400).json({
-        success: false,
-        message: "Reset code has expired. Please request a new one."
-      });
-    }
+    // Check only - the code stays valid for /reset-password
+    const result = await verifyCode(user._id, CODE_PURPOSES.PASSWORD_RESET, otp, { consume: false });
 
-    if (user.passwordResetToken !== otp) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid reset code"
-      });
+    if (!result.valid) {
+      return sendCodeError(res, result, RESET_CODE_MESSAGES);
     }
 
     // OTP is valid - don't clear it yet, user still needs to reset password
@@ -685,26 +610,30 @@ export async function logIn(req, res) {
       });
     }
 
+    const blocked = getBlockedAccountError(user);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        message: blocked.message,
+        code: blocked.code
+      });
+    }
+
     // Check if email is verified
     if (!user.isEmailVerified) {
       // AUTO-RESEND OTP if expired or doesn't exist
-      const needsNewOTP = !user.emailVerificationToken || 
-                          !user.emailVerificationExpires || 
-                          new Date() > user.emailVerificationExpires;
+      const needsNewOTP = !(await hasActiveCode(user._id, CODE_PURPOSES.EMAIL_VERIFICATION));
 
       if (needsNewOTP) {
-        const otp = generateOTP();
-        const otpExpiry = new Date(Date.now() + 10 * 60 * 1000);
-
-        user.emailVerificationToken = otp;
-        user.emailVerificationExpires = otpExpiry;
-        await user.save();
+        const issued = await issueCode(user._id, CODE_PURPOSES.EMAIL_VERIFICATION);
 
         // Send new OTP
-         const emailResult = await sendVerificationEmail(email, otp, )
-         if(!emailResult){
+        if (!issued.error) {
+          const emailResult = await sendVerificationEmail(email, issued.code, user.fullName)
+          if(!emailResult.success){
             console.error('Failed to send verification email:', emailResult.error);
-            }
+          }
+        }
       }
  
 
@@ -716,31 +645,238 @@ export async function logIn(req, res) {
       });
     }
 
-    user.lastLogin = new Date();
-    await user.save();
+    await signInUser(req, res, user);
+
+  } catch (error) {
+    console.error("Error in login controller:", error);
+    res.status(500).json({ 
+      success: false,
+      message: "Internal server error. Please try again later." 
+    });
+  }
+}
 
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+// ---------------- MAGIC LINK: REQUEST ----------------
+export async function requestMagicLink(req, res) {
+  try {
+    let { email } = req.body;
 
-    setSecureCookie(res, "refreshToken", refreshToken);
+    email = sanitizeInput(email);
 
-    const userResponse = {
-      _id: user._id,
-      email: user.email,
-      fullName: user.fullName,
-      isEmailVerified: user.isEmailVerified,
-      lastLogin: user.lastLogin,
-    };
+    if (!email || !validator.isEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email is required"
+      });
+    }
 
-    res.status(200).json({ 
-      success: true, 
-      user: userResponse, 
-      accessToken,
-      message: "Login successful"
+    email = validator.normalizeEmail(email);
+    const ip = getClientInfo(req).ip;
+
+    const windowMs = (parseInt(process.env.MAGIC_LINK_WINDOW_MINUTES) || 15) * 60 * 1000;
+    const windowStart = new Date(Date.now() - windowMs);
+
+    // Limits count every request, so they don't reveal whether the account exists
+    const limits = [
+      { filter: { email }, max: parseInt(process.env.MAGIC_LINK_MAX_PER_EMAIL) || 3 },
+      { filter: { ip }, max: parseInt(process.env.MAGIC_LINK_MAX_PER_IP) || 10 }
+    ];
+
+    for (const { filter, max } of limits) {
+      const recent = await MagicLinkToken.find({ ...filter, createdAt: { $gt: windowStart } })
+        .select("createdAt")
+        .sort({ createdAt: 1 })
+        .limit(max)
+        .lean();
+
+      if (recent.length >= max) {
+        const retryAfter = Math.ceil((recent[0].createdAt.getTime() + windowMs - Date.now()) / 1000);
+        res.setHeader('Retry-After', Math.max(retryAfter, 1));
+        return res.status(429).json({
+          success: false,
+          message: "Too many sign-in link requests. Please try again later.",
+          retryAfter: Math.max(retryAfter, 1)
+        });
+      }
+    }
+
+    const ttlMinutes = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+    const user = await User.findOne({ email });
+
+    if (!user || getBlockedAccountError(user)) {
+      await MagicLinkToken.create({ email, ip, expiresAt });
+    } else {
+      const token = crypto.randomBytes(32).toString('base64url');
+
+      await MagicLinkToken.create({
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        userId: user._id,
+        email,
+        ip,
+        expiresAt
+      });
+
+      // The app page POSTs the token to /magic-link/verify, so link scanners
+      // that prefetch GET URLs can't burn it
+      const link = `${getFrontendUrl()}/auth/magic-link?token=${encodeURIComponent(token)}`;
+
+      const emailResult = await sendMagicLinkEmail(user.email, link, user.fullName, ttlMinutes);
+      if (!emailResult.success) {
+        console.error('Failed to send magic link email:', emailResult.error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "If an account exists for this email, a sign-in link has been sent."
     });
 
   } catch (error) {
-    console.error("Error in login controller:", error);
+    console.error("Error in magic link request:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error. Please try again later."
+    });
+  }
+}
+
+// ---------------- MAGIC LINK: VERIFY ----------------
+export async function verifyMagicLink(req, res) {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: "Token is required"
+      });
+    }
+
+    // Consume atomically: a link works once, even under concurrent clicks
+    const record = await MagicLinkToken.findOneAndUpdate(
+      {
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() }
+    );
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: "This sign-in link is invalid or has expired",
+        code: "INVALID_MAGIC_LINK"
+      });
+    }
+
+    const user = await User.findById(record.userId);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This sign-in link is invalid or has expired",
+        code: "INVALID_MAGIC_LINK"
+      });
+    }
+
+    const blocked = getBlockedAccountError(user);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        message: blocked.message,
+        code: blocked.code
+      });
+    }
+
+    // Receiving the link proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      // Saved now: with 2FA enabled, signInUser only returns a challenge
+      await user.save();
+      await clearCodes(user._id, CODE_PURPOSES.EMAIL_VERIFICATION);
+    }
+
+    await signInUser(req, res, user);
+
+  } catch (error) {
+    console.error("Error in magic link verify:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error. Please try again later."
+    });
+  }
+}
+
+// ---------------- LOGIN: TWO-FACTOR STEP ----------------
+export async function verifyTwoFactorLogin(req, res) {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and an authentication or recovery code are required"
+      });
+    }
+
+    const tokenResult = verifyTwoFactorChallengeToken(challengeToken);
+    if (!tokenResult.success) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge has expired. Please log in again.",
+        code: "INVALID_CHALLENGE"
+      });
+    }
+
+    const user = await User.findById(tokenResult.decoded.userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is no longer valid. Please log in again.",
+        code: "INVALID_CHALLENGE"
+      });
+    }
+
+    // Failed codes show up in the user's activity
+    res.locals.auditUser = user;
+
+    const blocked = getBlockedAccountError(user);
+    if (blocked) {
+      return res.status(403).json({
+        success: false,
+        message: blocked.message,
+        code: blocked.code
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!result.valid) {
+      if (result.locked) {
+        return res.status(429).json({
+          success: false,
+          message: "Too many invalid codes. Two-factor verification is locked for 15 minutes.",
+          code: "TWO_FACTOR_LOCKED"
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+        code: "INVALID_2FA_CODE"
+      });
+    }
+
+    await completeLogin(req, res, user, {
+      ...(result.method === 'recovery' && { remainingRecoveryCodes: result.remainingRecoveryCodes })
+    });
+
+  } catch (error) {
+    console.error("Error in 2FA login controller:", error);
     res.status(500).json({ 
       success: false,
       message: "Internal server error. Please try again later." 
@@ -749,14 +885,18 @@ export async function logIn(req, res) {
 }
 
 // ---------------- LOGOUT ----------------
-export function logOut(req, res) {
+export async function logOut(req, res) {
   try {
-    res.clearCookie("refreshToken", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
-      path: "/",
-    });
+    // Revoke the session server-side so a copied cookie stops working too
+    const refreshToken = req.cookies?.refreshToken;
+    if (refreshToken) {
+      const tokenResult = verifyRefreshToken(refreshToken);
+      if (tokenResult.success) {
+        await revokeRefreshToken(tokenResult.decoded.jti, 'logout');
+      }
+    }
+
+    clearRefreshCookie(res);
 
     res.status(200).json({ 
       success: true, 
@@ -783,44 +923,62 @@ export async function refreshAccessToken(req, res) {
       });
     }
 
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (error) {
-      res.clearCookie("refreshToken");
+    const tokenResult = verifyRefreshToken(refreshToken);
+    if (!tokenResult.success) {
+      clearRefreshCookie(res);
       return res.status(401).json({ 
         success: false,
         message: "Invalid or expired refresh token" 
       });
     }
 
+    const decoded = tokenResult.decoded;
+
     const user = await User.findById(decoded.userId).select("-password");
     if (!user) {
-      res.clearCookie("refreshToken");
+      clearRefreshCookie(res);
       return res.status(401).json({ 
         success: false,
         message: "User not found" 
       });
     }
 
-    const accessToken = generateAccessToken(user._id);
+    const blocked = getBlockedAccountError(user);
+    if (blocked) {
+      clearRefreshCookie(res);
+      return res.status(403).json({
+        success: false,
+        message: blocked.message,
+        code: blocked.code
+      });
+    }
+
+    // Every refresh token is single-use: swap it for the next one in its family
+    const rotated = await rotateRefreshToken(decoded, getClientInfo(req));
+    if (rotated.error) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ 
+        success: false,
+        message: rotated.error === 'reused'
+          ? "Refresh token reuse detected. Please log in again."
+          : "Refresh token has been revoked",
+        code: rotated.error === 'reused' ? "TOKEN_REUSED" : "TOKEN_REVOKED"
+      });
+    }
+
+    setRefreshCookie(res, rotated.token);
+
+    const accessToken = generateAccessToken(user._id, rotated.record.familyId);
 
     res.json({ 
       success: true, 
       accessToken,
-      user: {
-        _id: user._id,
-        email: user.email,
-        fullName: user.fullName,
-        profilePic: user.profilePic,
-        isOnBoarded: user.isOnBoarded || false,
-        isEmailVerified: user.isEmailVerified || false,
-      }
+      user: formatUserResponse(user)
     });
 
   } catch (error) {
     console.error("Error in refresh token controller:", error);
-    res.clearCookie("refreshToken");
+    clearRefreshCookie(res);
     res.status(401).json({ 
       success: false,
       message: "Invalid or expired refresh token" 
@@ -843,7 +1001,8 @@ export async function getCurrentUser(req, res) {
 
     res.status(200).json({
       success: true,
-      user
+      user: { ...user.toObject(), avatarUrl: getAvatarUrl(user) },
+      permissions: getRolePermissions(user.role)
     });
   } catch (error) {
     console.error("Error getting current user:", error);
@@ -0,0 +1,166 @@
+// controllers/certificate.Controller.js - ACME challenges and TLS certificate status
+import Website from "../models/Website.model.js";
+import Certificate from "../models/Certificate.model.js";
+import { findDomainEntry, isDomainServable } from "../utils/domainUtils.js";
+import { getChallengeResponse, issueCertificate, isAcmeEnabled } from "../lib/certificateManager.js";
+
+export const ACME_CHALLENGE_PATH = '/.well-known/acme-challenge/';
+
+/**
+ * Answer an ACME HTTP-01 challenge
+ * @route GET /.well-known/acme-challenge/:token
+ */
+export async function serveAcmeChallenge(req, res) {
+  try {
+    const token = req.params.token;
+
+    if (!token || !/^[A-Za-z0-9_-]+$/.test(token)) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+
+    const keyAuthorization = await getChallengeResponse(token);
+
+    if (!keyAuthorization) {
+      return res.status(404).type('text/plain').send('Not found');
+    }
+
+    res.status(200).type('text/plain').send(keyAuthorization);
+  } catch (error) {
+    console.error("Error serving ACME challenge:", error);
+    res.status(500).type('text/plain').send('Server Error');
+  }
+}
+
+function formatCertificate(certificate) {
+  return {
+    domain: certificate.domain,
+    status: certificate.status,
+    issuedAt: certificate.issuedAt || null,
+    expiresAt: certificate.expiresAt || null,
+    lastAttemptAt: certificate.lastAttemptAt || null,
+    failureCount: certificate.failureCount || 0,
+    lastError: certificate.lastError || null
+  };
+}
+
+/**
+ * TLS certificate status for each custom domain of a website
+ * @route GET /api/websites/:websiteId/certificates
+ */
+export async function getWebsiteCertificates(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("domains").lean();
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    const domains = (website.domains || []).map(d => d.domain);
+    const certificates = await Certificate.find({ domain: { $in: domains } }).lean();
+    const byDomain = new Map(certificates.map(cert => [cert.domain, cert]));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        acmeEnabled: isAcmeEnabled(),
+        certificates: domains.map(domain => byDomain.has(domain)
+          ? formatCertificate(byDomain.get(domain))
+          : { domain, status: 'none' })
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching certificates:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching certificates",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Request (or re-request) a certificate for a verified custom domain
+ * @route POST /api/websites/:websiteId/custom-domain/:domain/certificate
+ */
+export async function requestDomainCertificate(req, res) {
+  try {
+    const { websiteId, domain } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    if (!isAcmeEnabled()) {
+      return res.status(503).json({
+        success: false,
+        message: "Certificate provisioning is not enabled"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("domains").lean();
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    const entry = findDomainEntry(website, domain);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Domain is not one of this website's custom domains"
+      });
+    }
+
+    if (!isDomainServable(entry)) {
+      return res.status(400).json({
+        success: false,
+        message: "Verify the domain before requesting a certificate"
+      });
+    }
+
+    const certificate = await issueCertificate(entry.domain, website._id);
+
+    if (!certificate) {
+      return res.status(409).json({
+        success: false,
+        message: "A certificate request for this domain is already in progress"
+      });
+    }
+
+    const issued = certificate.status === 'issued' && !certificate.lastError;
+
+    res.status(issued ? 200 : 502).json({
+      success: issued,
+      message: issued
+        ? "Certificate issued successfully"
+        : `Certificate request failed: ${certificate.lastError}`,
+      data: formatCertificate(certificate)
+    });
+  } catch (error) {
+    console.error("Error requesting certificate:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting certificate",
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,274 @@
+// controllers/csp.Controller.js - Per-website Content Security Policy settings and reports
+import Website from "../models/Website.model.js";
+import CspViolation from "../models/CspViolation.model.js";
+import { CSP_ALLOWLIST_DIRECTIVES, validateCspAllowlist, buildSiteCsp } from "../lib/cspBuilder.js";
+import { invalidateWebsite } from "../lib/siteRenderer.js";
+
+const DEFAULT_REPORTS_PER_MINUTE = 60;
+const MAX_FIELD_LENGTH = 2048;
+
+// websiteId -> { windowStart, count }; bounds how fast one site can fill the collection
+const reportCounters = new Map();
+
+function formatAllowlist(allowlist) {
+  return Object.fromEntries(
+    Object.keys(CSP_ALLOWLIST_DIRECTIVES).map(key => [key, allowlist?.[key] || []])
+  );
+}
+
+function truncate(value) {
+  if (value === undefined || value === null) return null;
+  return String(value).slice(0, MAX_FIELD_LENGTH);
+}
+
+function isReportAllowed(websiteId) {
+  const limit = parseInt(process.env.CSP_REPORTS_PER_MINUTE) || DEFAULT_REPORTS_PER_MINUTE;
+  const now = Date.now();
+  const counter = reportCounters.get(websiteId);
+
+  // Forget old windows instead of growing without bound
+  if (reportCounters.size > 10000) reportCounters.clear();
+
+  if (!counter || now - counter.windowStart >= 60 * 1000) {
+    reportCounters.set(websiteId, { windowStart: now, count: 1 });
+    return true;
+  }
+
+  counter.count++;
+  return counter.count <= limit;
+}
+
+/**
+ * Normalize a report body. Supports the legacy report-uri format
+ * ({ "csp-report": {...} }) and Reporting API batches ([{ type, body }]).
+ * @returns {Array<Object>}
+ */
+function extractReports(body) {
+  if (Array.isArray(body)) {
+    return body
+      .filter(entry => entry && entry.type === 'csp-violation' && entry.body)
+      .map(entry => ({
+        documentUri: entry.body.documentURL,
+        violatedDirective: entry.body.effectiveDirective,
+        effectiveDirective: entry.body.effectiveDirective,
+        blockedUri: entry.body.blockedURL,
+        sourceFile: entry.body.sourceFile,
+        lineNumber: entry.body.lineNumber,
+        columnNumber: entry.body.columnNumber,
+        disposition: entry.body.disposition,
+        sample: entry.body.sample
+      }));
+  }
+
+  const report = body?.['csp-report'];
+  if (!report) return [];
+
+  return [{
+    documentUri: report['document-uri'],
+    violatedDirective: report['violated-directive'],
+    effectiveDirective: report['effective-directive'],
+    blockedUri: report['blocked-uri'],
+    sourceFile: report['source-file'],
+    lineNumber: report['line-number'],
+    columnNumber: report['column-number'],
+    disposition: report.disposition,
+    sample: report['script-sample']
+  }];
+}
+
+/**
+ * Receive CSP violation reports sent by browsers (PUBLIC ROUTE)
+ * @route POST /api/websites/csp-report/:websiteId
+ */
+export async function receiveCspReport(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    // Browsers ignore the response; always answer 204 so nothing is retried
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/) || !isReportAllowed(websiteId)) {
+      return res.status(204).end();
+    }
+
+    const reports = extractReports(req.body).slice(0, 10);
+    if (reports.length === 0 || !(await Website.exists({ _id: websiteId }))) {
+      return res.status(204).end();
+    }
+
+    await CspViolation.insertMany(reports.map(report => ({
+      websiteId,
+      documentUri: truncate(report.documentUri),
+      violatedDirective: truncate(report.violatedDirective),
+      effectiveDirective: truncate(report.effectiveDirective),
+      blockedUri: truncate(report.blockedUri),
+      sourceFile: truncate(report.sourceFile),
+      lineNumber: Number.isFinite(Number(report.lineNumber)) ? Number(report.lineNumber) : null,
+      columnNumber: Number.isFinite(Number(report.columnNumber)) ? Number(report.columnNumber) : null,
+      disposition: truncate(report.disposition),
+      sample: truncate(report.sample),
+      userAgent: truncate(req.headers['user-agent'])
+    })));
+
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error storing CSP report:", error);
+    res.status(204).end();
+  }
+}
+
+/**
+ * Get a website's CSP allowlist and the resulting policy
+ * (served pages also allow their own inline scripts by hash)
+ * @route GET /api/websites/:websiteId/csp
+ */
+export async function getCspSettings(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const website = await Website.findById(websiteId).select("cspAllowlist").lean();
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        allowlist: formatAllowlist(website.cspAllowlist),
+        policy: buildSiteCsp({
+          websiteId,
+          allowlist: website.cspAllowlist
+        })
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching CSP settings:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching CSP settings",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace a website's CSP allowlist (directives left out are cleared)
+ * @route PUT /api/websites/:websiteId/csp
+ */
+export async function updateCspAllowlist(req, res) {
+  try {
+    const { websiteId } = req.params;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const { allowlist, errors } = validateCspAllowlist(req.body.allowlist);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid CSP allowlist",
+        errors
+      });
+    }
+
+    const website = await Website.findByIdAndUpdate(
+      websiteId,
+      { cspAllowlist: formatAllowlist(allowlist) },
+      { new: true, runValidators: true }
+    ).select("cspAllowlist");
+
+    if (!website) {
+      return res.status(404).json({
+        success: false,
+        message: "Website not found"
+      });
+    }
+
+    invalidateWebsite(website._id);
+
+    res.status(200).json({
+      success: true,
+      message: "CSP allowlist updated",
+      data: {
+        allowlist: formatAllowlist(website.cspAllowlist),
+        policy: buildSiteCsp({
+          websiteId,
+          allowlist: website.cspAllowlist
+        })
+      }
+    });
+  } catch (error) {
+    console.error("Error updating CSP allowlist:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating CSP allowlist",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * List recent CSP violation reports of a website
+ * @route GET /api/websites/:websiteId/csp-reports
+ */
+export async function listCspReports(req, res) {
+  try {
+    const { websiteId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    if (!websiteId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid website ID"
+      });
+    }
+
+    const filter = { websiteId };
+    if (req.query.directive) {
+      filter.effectiveDirective = String(req.query.directive);
+    }
+
+    const [reports, total] = await Promise.all([
+      CspViolation.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("-__v -expiresAt")
+        .lean(),
+      CspViolation.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: reports,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching CSP reports:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching CSP reports",
+      error: error.message
+    });
+  }
+}
@@ -0,0 +1,238 @@
+// controllers/oidc.Controller.js - Sign in with an OpenID Connect provider
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import validator from "validator";
+import User from "../models/User.js";
+import OidcState from "../models/OidcState.model.js";
+import {
+  getConfiguredProviders,
+  getProviderConfig,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  completeAuthorization
+} from "../lib/oidcClient.js";
+import { startSession } from "../utils/sessionUtils.js";
+import { generateTwoFactorChallengeToken } from "../utils/generateTokens.js";
+import { getBlockedAccountError } from "../utils/accountStatus.js";
+import { getFrontendUrl } from "../utils/platformUtils.js";
+import { CODE_PURPOSES, clearCodes } from "../lib/oneTimeCodeService.js";
+
+const STATE_COOKIE = "oidc_state";
+const DEFAULT_REDIRECT_PATH = "/auth/callback";
+
+const getStateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // The provider redirects back with a top-level GET, which lax cookies survive
+  sameSite: "lax",
+  path: "/api/auth/oidc",
+});
+
+// Only same-app paths; never "//host" or absolute URLs (open redirect)
+function sanitizeRedirectPath(path) {
+  if (typeof path !== 'string' || !path.startsWith('/') || path.startsWith('//') || path.includes('\\')) {
+    return null;
+  }
+  return path.slice(0, 512);
+}
+
+function redirectWithError(res, error) {
+  // Errors are redirects too; don't let the audit log count them as successful logins
+  res.locals.auditOutcome = 'failure';
+  res.redirect(302, `${getFrontendUrl()}/login?error=${encodeURIComponent(error)}`);
+}
+
+// Passwords are required by the schema; OIDC-only accounts get one nobody knows
+async function createUnusablePassword() {
+  return bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+}
+
+function buildFullName(identity) {
+  const name = (identity.name || '').replace(/[<>]/g, '').trim().slice(0, 50);
+  return name.length >= 2 ? name : identity.email.split('@')[0].slice(0, 50);
+}
+
+/**
+ * Find the account for a verified identity, linking or creating one as needed
+ * @returns {Promise<{ user?: Object, error?: string }>}
+ */
+async function findOrCreateUser(provider, identity) {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider, subject: identity.subject } }
+  });
+
+  if (linked) {
+    const entry = linked.identities.find(i => i.provider === provider && i.subject === identity.subject);
+    entry.lastUsedAt = new Date();
+    return { user: linked };
+  }
+
+  // Linking by email is only safe when the provider vouches for the address
+  if (!identity.email || !identity.emailVerified) {
+    return { error: 'email_not_verified' };
+  }
+
+  // Stored emails are normalized the same way signUp does it
+  const email = validator.normalizeEmail(identity.email);
+  const existing = await User.findOne({ email });
+
+  if (existing) {
+    if (!existing.isEmailVerified) {
+      // Whoever signed up with this address never proved they own it;
+      // drop their password so only the verified owner gets in
+      existing.password = await createUnusablePassword();
+      existing.isEmailVerified = true;
+      await clearCodes(existing._id, CODE_PURPOSES.EMAIL_VERIFICATION);
+    }
+
+    existing.identities.push({
+      provider,
+      subject: identity.subject,
+      email: identity.email,
+      lastUsedAt: new Date()
+    });
+
+    console.log(`🔗 Linked ${provider} account to ${existing.email}`);
+    return { user: existing };
+  }
+
+  const user = new User({
+    email,
+    fullName: buildFullName(identity),
+    password: await createUnusablePassword(),
+    isEmailVerified: true,
+    identities: [{
+      provider,
+      subject: identity.subject,
+      email: identity.email,
+      lastUsedAt: new Date()
+    }]
+  });
+
+  console.log(`👤 Created account for ${identity.email} via ${provider}`);
+  return { user };
+}
+
+/**
+ * List the OIDC providers users can sign in with
+ * @route GET /api/auth/oidc/providers
+ */
+export async function listOidcProviders(req, res) {
+  res.status(200).json({
+    success: true,
+    data: getConfiguredProviders().map(name => ({
+      name,
+      displayName: getProviderConfig(name).displayName,
+      loginUrl: `/api/auth/oidc/${name}`
+    }))
+  });
+}
+
+/**
+ * Start a login: remember state/nonce/PKCE verifier and redirect to the provider
+ * @route GET /api/auth/oidc/:provider
+ */
+export async function startOidcLogin(req, res) {
+  try {
+    const provider = req.params.provider.toLowerCase();
+
+    if (!getConfiguredProviders().includes(provider)) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown login provider"
+      });
+    }
+
+    const config = getProviderConfig(provider);
+    const params = createAuthorizationParams();
+
+    await OidcState.create({
+      state: params.state,
+      provider,
+      nonce: params.nonce,
+      codeVerifier: params.codeVerifier,
+      redirectPath: sanitizeRedirectPath(req.query.redirect)
+    });
+
+    // Ties the attempt to this browser (login CSRF protection)
+    res.cookie(STATE_COOKIE, params.state, { ...getStateCookieOptions(), maxAge: 10 * 60 * 1000 });
+
+    res.redirect(302, await buildAuthorizationUrl(config, params));
+  } catch (error) {
+    console.error("Error starting OIDC login:", error);
+    redirectWithError(res, 'provider_unavailable');
+  }
+}
+
+/**
+ * Provider callback: check state, exchange the code, verify the ID token,
+ * then sign the user in the same way logIn does
+ * @route GET /api/auth/oidc/:provider/callback
+ */
+export async function handleOidcCallback(req, res) {
+  try {
+    const provider = req.params.provider.toLowerCase();
+    const { code, state, error } = req.query;
+    const cookieState = req.cookies?.[STATE_COOKIE];
+
+    res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+
+    if (error) {
+      return redirectWithError(res, error === 'access_denied' ? 'access_denied' : 'provider_error');
+    }
+
+    if (typeof code !== 'string' || typeof state !== 'string' || !cookieState || cookieState !== state) {
+      return redirectWithError(res, 'invalid_state');
+    }
+
+    // Single use: a replayed callback finds nothing
+    const pending = await OidcState.findOneAndDelete({ state, provider });
+
+    if (!pending || pending.expiresAt < new Date() || !getConfiguredProviders().includes(provider)) {
+      return redirectWithError(res, 'invalid_state');
+    }
+
+    let identity;
+    try {
+      identity = await completeAuthorization(getProviderConfig(provider), {
+        code,
+        codeVerifier: pending.codeVerifier,
+        nonce: pending.nonce
+      });
+    } catch (authError) {
+      console.error(`OIDC ${provider} authorization failed:`, authError.message);
+      return redirectWithError(res, 'authorization_failed');
+    }
+
+    const result = await findOrCreateUser(provider, identity);
+    if (result.error) {
+      return redirectWithError(res, result.error);
+    }
+
+    const { user } = result;
+
+    if (getBlockedAccountError(user)) {
+      return redirectWithError(res, user.status === 'suspended' ? 'account_suspended' : 'account_deactivated');
+    }
+
+    const landing = `${getFrontendUrl()}${pending.redirectPath || DEFAULT_REDIRECT_PATH}`;
+
+    // Accounts with 2FA still need a code; the app finishes with POST /login/2fa
+    if (user.twoFactor?.enabled) {
+      await user.save();
+      const challengeToken = generateTwoFactorChallengeToken(user._id);
+      return res.redirect(302, `${landing}#requiresTwoFactor=1&challengeToken=${encodeURIComponent(challengeToken)}`);
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Sets the refresh cookie; the app gets its access token from /api/auth/refresh
+    await startSession(req, res, user);
+
+    res.redirect(302, landing);
+  } catch (error) {
+    console.error("Error in OIDC callback:", error);
+    redirectWithError(res, 'login_failed');
+  }
+}
@@ -1,75 +1,299 @@
 // controllers/proxyController.js
 import Website from "../models/Website.model.js";
 import Subscription from "../models/Subscription.model.js";
+import { normalizeDomain, servedDomainFilter, getPrimaryDomain, isDomainServable } from "../utils/domainUtils.js";
+import { ACME_CHALLENGE_PATH, serveAcmeChallenge } from "./certificate.Controller.js";
+import { renderWebsite, getCachedPage, cachePage, sendPage } from "../lib/siteRenderer.js";
+import { isPlatformHost, getSubdomainSlug } from "../utils/platformUtils.js";
+import { isOwnerSuspended } from "../utils/accountStatus.js";
+import {
+  PREVIEW_TOKEN_PARAM,
+  checkSiteAccess,
+  verifyPreviewToken,
+  setAccessCookie,
+  verifySitePassword,
+  renderUnlockForm,
+  renderPrivatePage
+} from "../lib/siteAccess.js";
 
-export async function proxyCustomDomain(req, res) {
-  try {
-    const customDomain = req.headers['x-original-host'] || req.headers.host;
-    console.log('🌐 Custom domain request:', customDomain);
+const RENDER_FIELDS = "name userId published publishedAt updatedAt domains accessMode accessChangedAt cspAllowlist";
 
-    const cleanDomain = customDomain.split(':')[0].toLowerCase().trim();
+function countView(websiteId) {
+  Website.findByIdAndUpdate(
+    websiteId,
+    { $inc: { viewCount: 1 }, lastViewedAt: new Date() }
+  ).catch(err => console.error("ViewCount error:", err));
+}
 
-    // Don't proxy main application domain
-    if (cleanDomain === 'webgen.club' || 
-        cleanDomain === 'www.webgen.club' || 
-        cleanDomain === '54.234.33.110' ||
-        cleanDomain === 'localhost') {
-      return res.status(404).send('This is the main application domain');
-    }
+function notFoundHtml(message) {
+  return `
+    <!DOCTYPE html>
+    <html><head><title>Website Not Found</title></head>
+    <body style="font-family: Arial; text-align: center; padding: 50px;">
+      <h1>🌐 Website Not Found</h1>
+      <p>${message}</p>
+    </body></html>
+  `;
+}
 
-    // Find website by custom domain
-    const website = await Website.findOne({
-      customDomain: cleanDomain,
-      isCustomDomainVerified: true,
-      isPublished: true
-    }).lean();
+/**
+ * Resolve the page served for a custom domain
+ * @returns {Promise<{ page?: Object, status?: number, html?: string }>}
+ */
+async function resolveDomainPage(cleanDomain) {
+  const cacheKey = `host:${cleanDomain}`;
+  const cached = getCachedPage(cacheKey);
+  if (cached) return { page: cached };
 
-    if (!website) {
-      console.log('❌ Website not found for domain:', cleanDomain);
-      return res.status(404).send(`
-        <!DOCTYPE html>
-        <html><head><title>Website Not Found</title></head>
-        <body style="font-family: Arial; text-align: center; padding: 50px;">
-          <h1>🌐 Website Not Found</h1>
-          <p>The domain <b>${cleanDomain}</b> is not configured.</p>
-        </body></html>
-      `);
-    }
+  // Find website by any of its verified (and not failed) domains
+  const website = await Website.findOne({
+    ...servedDomainFilter(cleanDomain),
+    isPublished: true,
+    'published.html': { $ne: null }
+  })
+    .select(RENDER_FIELDS)
+    .lean();
 
-    // Check subscription
-    const now = new Date();
-    const subscription = await Subscription.findOne({
-      websiteId: website._id,
-      status: 'active',
-      currentPeriodEnd: { $gt: now }
-    }).lean();
-
-    if (!subscription) {
-      console.log('❌ No active subscription for domain:', cleanDomain);
-      return res.status(403).send(`
+  if (!website) {
+    console.log('❌ Website not found for domain:', cleanDomain);
+    return {
+      status: 404,
+      html: notFoundHtml(`The domain <b>${cleanDomain}</b> is not configured.`)
+    };
+  }
+
+  // Sites of suspended accounts are served as unpublished
+  if (await isOwnerSuspended(website.userId)) {
+    return { status: 404, html: notFoundHtml('This website does not exist or is not published.') };
+  }
+
+  // Check subscription
+  const now = new Date();
+  const subscription = await Subscription.findOne({
+    websiteId: website._id,
+    status: 'active',
+    currentPeriodEnd: { $gt: now }
+  }).lean();
+
+  if (!subscription) {
+    console.log('❌ No active subscription for domain:', cleanDomain);
+    return {
+      status: 403,
+      html: `
         <!DOCTYPE html>
         <html><head><title>Subscription Required</title></head>
         <body style="font-family: Arial; text-align: center; padding: 50px;">
           <h1>⚠️ Subscription Required</h1>
           <p>This website's subscription has expired.</p>
         </body></html>
-      `);
-    }
+      `
+    };
+  }
+
+  let page;
+
+  // Non-primary hosts (e.g. www vs apex) redirect to the primary domain
+  const primary = getPrimaryDomain(website);
+  if (primary && primary.domain !== cleanDomain && isDomainServable(primary)) {
+    page = { websiteId: website._id.toString(), redirectTo: primary.domain };
+  } else {
+    console.log('✅ Rendering website:', website.name, 'for domain:', cleanDomain);
+    page = renderWebsite(website);
+  }
 
-    console.log('✅ Serving website:', website.name, 'for domain:', cleanDomain);
+  cachePage(cacheKey, page);
+  return { page };
+}
 
-    // Increment view count (non-blocking)
-    Website.findByIdAndUpdate(
-      website._id,
-      { $inc: { viewCount: 1 }, lastViewedAt: new Date() }
-    ).catch(err => console.error("ViewCount error:", err));
+/**
+ * Resolve the page served for a slug (subdomain or slug route)
+ * @returns {Promise<{ page?: Object, status?: number, html?: string }>}
+ */
+async function resolveSlugPage(slug) {
+  const cacheKey = `slug:${slug}`;
+  const cached = getCachedPage(cacheKey);
+  if (cached) return { page: cached };
 
-    // Serve HTML
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(website.html);
+  const website = await Website.findOne({
+    slug,
+    isPublished: true,
+    'published.html': { $ne: null }
+  })
+    .select(RENDER_FIELDS)
+    .lean();
+
+  if (!website || await isOwnerSuspended(website.userId)) {
+    return { status: 404, html: notFoundHtml('This website does not exist or is not published.') };
+  }
+
+  const page = renderWebsite(website);
+  cachePage(cacheKey, page);
+  return { page };
+}
+
+/**
+ * Resolve the page for a proxied request (custom domain or platform subdomain)
+ */
+function resolveProxiedPage(cleanDomain) {
+  // <slug>.<PLATFORM_DOMAIN> serves the published site for that slug
+  const subdomainSlug = getSubdomainSlug(cleanDomain);
+  return subdomainSlug ? resolveSlugPage(subdomainSlug) : resolveDomainPage(cleanDomain);
+}
+
+/**
+ * Enforce a page's access mode.
+ * @param {string} requestPath - Path (and query) the visitor requested
+ * @returns {boolean} true when a response was already sent
+ */
+function enforceSiteAccess(req, res, page, requestPath) {
+  if (!page.accessMode || page.accessMode === 'public') return false;
+
+  // Owner preview link: ?preview_token=<site preview token> becomes a site cookie
+  const url = new URL(requestPath, 'http://site.local');
+  const previewToken = url.searchParams.get(PREVIEW_TOKEN_PARAM);
+  if (previewToken && verifyPreviewToken(page, previewToken)) {
+    setAccessCookie(res, page);
+    url.searchParams.delete(PREVIEW_TOKEN_PARAM);
+    res.redirect(302, `${url.pathname}${url.search}`);
+    return true;
+  }
+
+  const access = checkSiteAccess(req, page);
+  if (access === 'granted') return false;
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (access === 'password') {
+    res.status(401).send(renderUnlockForm({ name: page.name }));
+  } else {
+    res.status(403).send(renderPrivatePage());
+  }
+  return true;
+}
+
+/**
+ * Send a resolved page: redirect, error page, access gate or rendered HTML
+ */
+function sendResolvedPage(req, res, resolved, requestPath) {
+  if (!resolved.page) {
+    return res.status(resolved.status).send(resolved.html);
+  }
+
+  const { page } = resolved;
+
+  if (page.redirectTo) {
+    return res.redirect(301, `https://${page.redirectTo}${requestPath}`);
+  }
+
+  if (enforceSiteAccess(req, res, page, requestPath)) return;
+
+  // Increment view count (non-blocking)
+  countView(page.websiteId);
+
+  // Serve the rendered published snapshot (never the editor draft)
+  sendPage(req, res, page);
+}
+
+/**
+ * Check a submitted unlock password and set the site cookie
+ */
+async function unlockResolvedPage(req, res, resolved, requestPath) {
+  if (!resolved.page) {
+    return res.status(resolved.status).send(resolved.html);
+  }
+
+  const { page } = resolved;
+
+  // Nothing to unlock: just show the page
+  if (page.redirectTo || page.accessMode !== 'password') {
+    return res.redirect(303, requestPath);
+  }
+
+  const valid = await verifySitePassword(page.websiteId, req.body?.password);
+
+  if (!valid) {
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(401).send(renderUnlockForm({ name: page.name, error: 'Incorrect password' }));
+  }
+
+  setAccessCookie(res, page);
+  res.redirect(303, requestPath);
+}
+
+export async function proxyCustomDomain(req, res) {
+  try {
+    const customDomain = req.headers['x-original-host'] || req.headers.host;
+    console.log('🌐 Custom domain request:', customDomain);
+
+    const cleanDomain = normalizeDomain(customDomain);
+
+    // ACME HTTP-01 challenges must be answered before any site lookup/redirect
+    const originalUri = req.headers['x-original-uri'] || '';
+    if (originalUri.startsWith(ACME_CHALLENGE_PATH)) {
+      req.params.token = originalUri.slice(ACME_CHALLENGE_PATH.length).split('?')[0];
+      return serveAcmeChallenge(req, res);
+    }
+
+    // Don't proxy main application domain (or its reserved subdomains)
+    if (isPlatformHost(cleanDomain)) {
+      return res.status(404).send('This is the main application domain');
+    }
+
+    const resolved = await resolveProxiedPage(cleanDomain);
+    sendResolvedPage(req, res, resolved, originalUri || '/');
 
   } catch (error) {
     console.error("❌ Proxy error:", error);
     res.status(500).send('Server Error');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Unlock form submission for a password-protected proxied site
+ * @route POST /api/websites/proxy
+ */
+export async function unlockProxiedSite(req, res) {
+  try {
+    const cleanDomain = normalizeDomain(req.headers['x-original-host'] || req.headers.host);
+
+    if (isPlatformHost(cleanDomain)) {
+      return res.status(404).send('This is the main application domain');
+    }
+
+    const resolved = await resolveProxiedPage(cleanDomain);
+    await unlockResolvedPage(req, res, resolved, req.headers['x-original-uri'] || '/');
+
+  } catch (error) {
+    console.error("❌ Proxy unlock error:", error);
+    res.status(500).send('Server Error');
+  }
+}
+
+/**
+ * Serve a published website as a full HTML document by slug (PUBLIC ROUTE)
+ * @route GET /api/websites/site/:slug/html
+ */
+export async function serveSiteBySlug(req, res) {
+  try {
+    const slug = (req.params.slug || '').toLowerCase().trim();
+    const resolved = await resolveSlugPage(slug);
+    sendResolvedPage(req, res, resolved, req.originalUrl);
+  } catch (error) {
+    console.error("❌ Site render error:", error);
+    res.status(500).send('Server Error');
+  }
+}
+
+/**
+ * Unlock form submission for a password-protected site served by slug
+ * @route POST /api/websites/site/:slug/html
+ */
+export async function unlockSiteBySlug(req, res) {
+  try {
+    const slug = (req.params.slug || '').toLowerCase().trim();
+    const resolved = await resolveSlugPage(slug);
+    await unlockResolvedPage(req, res, resolved, req.originalUrl);
+  } catch (error) {
+    console.error("❌ Site unlock error:", error);
+    res.status(500).send('Server Error');
+  }
+}
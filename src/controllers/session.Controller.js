@@ -0,0 +1,104 @@
+// controllers/session.Controller.js - A user's signed-in sessions (one per refresh token family)
+import RefreshToken from "../models/RefreshToken.model.js";
+import { listUserSessions, revokeTokenFamily, revokeUserTokens } from "../utils/refreshTokenUtils.js";
+
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ */
+export async function getSessions(req, res) {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    const currentSessionId = req.tokenData?.sid || null;
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session.familyId,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.sessionStartedAt || session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.familyId === currentSessionId
+      }))
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing sessions",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Sign out one session
+ * @route DELETE /api/auth/sessions/:id
+ */
+export async function revokeSession(req, res) {
+  try {
+    const { id } = req.params;
+
+    const session = await RefreshToken.exists({
+      familyId: id,
+      userId: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found"
+      });
+    }
+
+    await revokeTokenFamily(id, 'session-revoked');
+
+    res.status(200).json({
+      success: true,
+      message: "Session signed out",
+      current: id === req.tokenData?.sid
+    });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Sign out every session except the one making the request
+ * @route POST /api/auth/sessions/revoke-others
+ */
+export async function revokeOtherSessions(req, res) {
+  try {
+    const currentSessionId = req.tokenData?.sid;
+
+    // Tokens issued before sessions were tracked carry no sid
+    if (!currentSessionId) {
+      return res.status(400).json({
+        success: false,
+        message: "Current session could not be identified. Please log in again."
+      });
+    }
+
+    await revokeUserTokens(req.user._id, 'session-revoked', currentSessionId);
+
+    res.status(200).json({
+      success: true,
+      message: "Signed out of all other sessions"
+    });
+  } catch (error) {
+    console.error("Error revoking other sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error signing out other sessions",
+      error: error.message
+    });
+  }
+}
@@ -1,6 +1,6 @@
 // controllers/subscriptionController.js - FIXED VERSION
 import Subscription from '../models/Subscription.model.js'
-import Website from '../models/Website.model.js'
+import { cancelStripeSubscription } from '../utils/subscriptionUtils.js'
 import dotenv from 'dotenv'
 dotenv.config();
 
@@ -13,13 +13,15 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
  */
 export async function createSubscription(req, res) {
   try {
-    const { priceId, email, websiteId, userId } = req.body;
+    const { priceId, websiteId } = req.body;
+    const userId = req.user._id.toString();
+    const email = req.body.email || req.user.email;
 
     // Validation
-    if (!priceId || !email || !websiteId || !userId) {
+    if (!priceId || !email || !websiteId) {
       return res.status(400).json({
         success: false,
-        message: "All fields are required: priceId, email, websiteId, userId"
+        message: "All fields are required: priceId, email, websiteId"
       });
     }
 
@@ -32,22 +34,8 @@ export async function createSubscription(req, res) {
       });
     }
 
-    // Validate MongoDB ObjectIds
-    if (!websiteId.match(/^[0-9a-fA-F]{24}$/) || !userId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid websiteId or userId"
-      });
-    }
-
-    // Check if website exists and belongs to user
-    const website = await Website.findOne({ _id: websiteId, userId });
-    if (!website) {
-      return res.status(404).json({
-        success: false,
-        message: "Website not found or you don't have permission"
-      });
-    }
+    // Loaded and ownership-checked by requireWebsiteOwner
+    const website = req.website;
 
     // Check if already has active subscription
     const existingSubscription = await Subscription.findOne({
@@ -100,12 +88,14 @@ export async function createSubscription(req, res) {
       metadata: {
         websiteId: websiteId,
         userId: userId,
+        workspaceId: String(website.workspaceId || ''),
         websiteName: website.name,
       },
       subscription_data: {
         metadata: {
           websiteId: websiteId,
           userId: userId,
+          workspaceId: String(website.workspaceId || ''),
         }
       },
       allow_promotion_codes: true,
@@ -152,18 +142,10 @@ export async function createSubscription(req, res) {
  */
 export async function checkSubscription(req, res) {
   try {
-    const { userId, websiteId } = req.params;
-
-    // Validate ObjectIds
-    if (!userId.match(/^[0-9a-fA-F]{24}$/) || !websiteId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid userId or websiteId"
-      });
-    }
+    // :userId and :websiteId (any workspace member) are checked by the route middleware
+    const { websiteId } = req.params;
 
     const subscription = await Subscription.findOne({
-      userId,
       websiteId,
       status: 'active',
       currentPeriodEnd: { $gte: new Date() }
@@ -204,32 +186,12 @@ export async function checkSubscription(req, res) {
  */
 export async function cancelSubscription(req, res) {
   try {
-    const { subscriptionId, userId, cancelImmediately = false } = req.body;
+    const { subscriptionId, cancelImmediately = false } = req.body;
 
-    console.log('Cancel request:', { subscriptionId, userId, cancelImmediately });
+    console.log('Cancel request:', { subscriptionId, userId: req.user._id, cancelImmediately });
 
-    if (!subscriptionId) {
-      return res.status(400).json({
-        success: false,
-        message: "subscriptionId is required"
-      });
-    }
-
-    const subscription = await Subscription.findOne({ subscriptionId });
-
-    if (!subscription) {
-      return res.status(404).json({
-        success: false,
-        message: "Subscription not found in database"
-      });
-    }
-
-    if (userId && subscription.userId.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have permission to cancel this subscription"
-      });
-    }
+    // Loaded and ownership-checked by requireSubscriptionOwner
+    const subscription = req.subscription;
 
     if (subscription.status === 'canceled') {
       return res.status(400).json({
@@ -238,36 +200,9 @@ export async function cancelSubscription(req, res) {
       });
     }
 
-    let updatedStripeSubscription;
-    let message;
-    let cancelAt = null;
-
-    if (cancelImmediately) {
-      console.log('Canceling immediately in Stripe...');
-      updatedStripeSubscription = await stripe.subscriptions.cancel(subscriptionId);
-      subscription.status = 'canceled';
-      subscription.canceledAt = new Date();
-      subscription.cancelAtPeriodEnd = false;
-      subscription.endedAt = new Date();
-      subscription.currentPeriodEnd = new Date();
-      message = "Subscription canceled immediately";
-      cancelAt = new Date();
-    } else {
-      console.log('Setting cancel at period end in Stripe...');
-      updatedStripeSubscription = await stripe.subscriptions.update(
-        subscriptionId,
-        { cancel_at_period_end: true }
-      );
-      subscription.cancelAtPeriodEnd = true;
-      subscription.canceledAt = new Date();
-      subscription.status = updatedStripeSubscription.status || 'active';
-      message = "Subscription will be canceled at the end of billing period";
-      cancelAt = updatedStripeSubscription.cancel_at 
-        ? new Date(updatedStripeSubscription.cancel_at * 1000)
-        : subscription.currentPeriodEnd;
-    }
-
-    await subscription.save();
+    const { message, cancelAt } = await cancelStripeSubscription(subscription, {
+      immediately: cancelImmediately
+    });
     console.log('✅ Subscription updated successfully');
 
     res.status(200).json({
@@ -318,16 +253,10 @@ export async function cancelSubscription(req, res) {
  */
 export async function getSubscriptionDetails(req, res) {
   try {
-    const { userId, websiteId } = req.params;
+    // :userId and :websiteId (any workspace member) are checked by the route middleware
+    const { websiteId } = req.params;
 
-    if (!userId.match(/^[0-9a-fA-F]{24}$/) || !websiteId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid userId or websiteId"
-      });
-    }
-
-    const subscription = await Subscription.findOne({ userId, websiteId })
+    const subscription = await Subscription.findOne({ websiteId })
       .sort({ createdAt: -1 })
       .lean();
 
@@ -386,30 +315,10 @@ export async function getSubscriptionDetails(req, res) {
  */
 export async function reactivateSubscription(req, res) {
   try {
-    const { subscriptionId, userId } = req.body;
-
-    if (!subscriptionId) {
-      return res.status(400).json({
-        success: false,
-        message: "subscriptionId is required"
-      });
-    }
+    const { subscriptionId } = req.body;
 
-    const subscription = await Subscription.findOne({ subscriptionId });
-
-    if (!subscription) {
-      return res.status(404).json({
-        success: false,
-        message: "Subscription not found"
-      });
-    }
-
-    if (userId && subscription.userId.toString() !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have permission to reactivate this subscription"
-      });
-    }
+    // Loaded and ownership-checked by requireSubscriptionOwner
+    const subscription = req.subscription;
 
     if (!subscription.cancelAtPeriodEnd) {
       return res.status(400).json({
@@ -453,14 +362,8 @@ export async function reactivateSubscription(req, res) {
  */
 export async function getUserSubscriptions(req, res) {
   try {
-    const { userId } = req.params;
-
-    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid userId"
-      });
-    }
+    // :userId is checked against the token by requireSelf
+    const userId = req.user._id;
 
     const subscriptions = await Subscription.find({ userId })
       .populate('websiteId', 'name slug customDomain')
@@ -0,0 +1,291 @@
+// controllers/twoFactor.Controller.js - TOTP two-factor enrollment and management
+import bcrypt from "bcryptjs";
+import User from "../models/User.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  getTotpIssuer,
+  generateRecoveryCodes,
+  verifySecondFactor
+} from "../utils/twoFactorUtils.js";
+
+/**
+ * Answer for a failed second factor
+ */
+function sendSecondFactorError(res, result) {
+  if (result.locked) {
+    return res.status(429).json({
+      success: false,
+      message: "Too many invalid codes. Two-factor verification is locked for 15 minutes.",
+      code: "TWO_FACTOR_LOCKED"
+    });
+  }
+
+  return res.status(400).json({
+    success: false,
+    message: "Invalid authentication code",
+    code: "INVALID_2FA_CODE"
+  });
+}
+
+/**
+ * Two-factor status of the current user
+ * @route GET /api/auth/2fa
+ */
+export async function getTwoFactorStatus(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactor.recoveryCodes");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        remainingRecoveryCodes: user.twoFactor?.enabled
+          ? user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+          : 0
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching 2FA status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching two-factor status",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Start enrollment: generate a secret and its otpauth URI.
+ * 2FA stays off until the first code is confirmed with /2fa/enable.
+ * @route POST /api/auth/2fa/setup
+ */
+export async function setupTwoFactor(req, res) {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password"
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: getTotpIssuer() })
+      }
+    });
+  } catch (error) {
+    console.error("Error starting 2FA setup:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error starting two-factor setup",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Confirm enrollment with a first code; returns the recovery codes (shown once)
+ * @route POST /api/auth/2fa/enable
+ */
+export async function enableTwoFactor(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authentication code is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled"
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first"
+      });
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+        code: "INVALID_2FA_CODE"
+      });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = null;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error("Error enabling 2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Turn 2FA off (password plus a current code or a recovery code)
+ * @route POST /api/auth/2fa/disable
+ */
+export async function disableTwoFactor(req, res) {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and an authentication or recovery code are required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: "Incorrect password"
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      return sendSecondFactorError(res, result);
+    }
+
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      enabledAt: null,
+      lastUsedStep: null,
+      recoveryCodes: [],
+      failedAttempts: 0,
+      lockedUntil: null
+    };
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled"
+    });
+  } catch (error) {
+    console.error("Error disabling 2FA:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error disabling two-factor authentication",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Replace all recovery codes (requires a current TOTP code)
+ * @route POST /api/auth/2fa/recovery-codes
+ */
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Authentication code is required"
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled"
+      });
+    }
+
+    const result = await verifySecondFactor(user, { code });
+    if (!result.valid) {
+      return sendSecondFactorError(res, result);
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error regenerating recovery codes",
+      error: error.message
+    });
+  }
+}
@@ -122,7 +122,8 @@ async function handleCheckoutCompleted(session) {
         currentPeriodEnd,
         trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
         cancelAtPeriodEnd: subscription.cancel_at_period_end,
-        metadata: subscription.metadata
+        metadata: subscription.metadata,
+        ...(subscription.metadata.workspaceId && { workspaceId: subscription.metadata.workspaceId })
       },
       { upsert: true, new: true }
     );
@@ -149,6 +150,12 @@ async function handlePaymentSucceeded(invoice) {
       return;
     }
 
+    // The owner deleted their account: don't copy their details back onto the record
+    if (await Subscription.exists({ subscriptionId, anonymizedAt: { $ne: null } })) {
+      console.log("⚠️ Ignoring invoice for anonymized subscription:", subscriptionId);
+      return;
+    }
+
     const customer = await stripe.customers.retrieve(invoice.customer);
     const subscription = await stripe.subscriptions.retrieve(subscriptionId);
 
@@ -184,6 +191,7 @@ async function handlePaymentSucceeded(invoice) {
         currentPeriodEnd,
         cancelAtPeriodEnd: subscription.cancel_at_period_end,
         trialEnd: subscription.trial_end ? new Date(subscription.trial_end * 1000) : null,
+        ...(subscription.metadata.workspaceId && { workspaceId: subscription.metadata.workspaceId }),
       },
       { upsert: true, new: true }
     );
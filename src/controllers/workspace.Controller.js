@@ -0,0 +1,635 @@
+// controllers/workspace.Controller.js - Team workspaces: members, roles and invitations
+import validator from "validator";
+import Workspace from "../models/Workspace.model.js";
+import WorkspaceInvitation from "../models/WorkspaceInvitation.model.js";
+import Website from "../models/Website.model.js";
+import { sendWorkspaceInvitationEmail } from "../lib/emailService.js";
+import { INVITABLE_ROLES, getMemberRole, getPersonalWorkspace } from "../utils/workspaceUtils.js";
+import { getAvatarUrl } from "../utils/profileUtils.js";
+import { getFrontendUrl } from "../utils/platformUtils.js";
+
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+
+function getInvitationTtlDays() {
+  return parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS) || DEFAULT_INVITATION_TTL_DAYS;
+}
+
+/**
+ * Validate and escape a workspace name from a request body
+ * @returns {{ name?: string, error?: string }}
+ */
+function parseWorkspaceName(value) {
+  const name = typeof value === 'string' ? validator.escape(value.trim()) : '';
+  if (name.length < 2 || name.length > 100) {
+    return { error: "Workspace name must be between 2 and 100 characters" };
+  }
+  return { name };
+}
+
+function formatWorkspace(workspace, userId, websiteCount = 0) {
+  return {
+    _id: workspace._id,
+    name: workspace.name,
+    isPersonal: workspace.isPersonal,
+    ownerId: workspace.ownerId,
+    role: getMemberRole(workspace, userId),
+    memberCount: workspace.members.length,
+    websiteCount,
+    createdAt: workspace.createdAt
+  };
+}
+
+// Members are loaded with populate("members.userId")
+function formatMember(member) {
+  const user = member.userId;
+  return {
+    userId: user?._id || user,
+    fullName: user?.fullName || null,
+    email: user?.email || null,
+    avatarUrl: user?.email ? getAvatarUrl(user) : null,
+    role: member.role,
+    addedAt: member.addedAt
+  };
+}
+
+function formatInvitation(invitation) {
+  return {
+    _id: invitation._id,
+    workspaceId: invitation.workspaceId?._id || invitation.workspaceId,
+    workspaceName: invitation.workspaceId?.name,
+    email: invitation.email,
+    role: invitation.role,
+    status: invitation.status,
+    invitedBy: invitation.invitedBy,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+  };
+}
+
+/**
+ * List the workspaces the current user belongs to
+ * @route GET /api/workspaces
+ */
+export async function listWorkspaces(req, res) {
+  try {
+    // Every user has a personal workspace, even before their first site
+    await getPersonalWorkspace(req.user._id);
+
+    const workspaces = await Workspace.find({ "members.userId": req.user._id })
+      .sort({ isPersonal: -1, createdAt: 1 })
+      .lean();
+
+    const counts = await Website.aggregate([
+      { $match: { workspaceId: { $in: workspaces.map(w => w._id) } } },
+      { $group: { _id: "$workspaceId", count: { $sum: 1 } } }
+    ]);
+
+    const countMap = {};
+    counts.forEach(entry => {
+      countMap[entry._id.toString()] = entry.count;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: workspaces.map(workspace =>
+        formatWorkspace(workspace, req.user._id, countMap[workspace._id.toString()] || 0)
+      ),
+      count: workspaces.length
+    });
+  } catch (error) {
+    console.error("Error listing workspaces:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing workspaces",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create a team workspace owned by the current user
+ * @route POST /api/workspaces
+ */
+export async function createWorkspace(req, res) {
+  try {
+    const { name, error } = parseWorkspaceName(req.body.name);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      ownerId: req.user._id,
+      members: [{ userId: req.user._id, role: 'owner' }]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Workspace created successfully",
+      data: formatWorkspace(workspace, req.user._id)
+    });
+  } catch (error) {
+    console.error("Error creating workspace:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating workspace",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Workspace details with its members
+ * @route GET /api/workspaces/:workspaceId
+ */
+export async function getWorkspace(req, res) {
+  try {
+    // Loaded and membership-checked by requireWorkspaceRole
+    const workspace = req.workspace;
+    const websiteCount = await Website.countDocuments({ workspaceId: workspace._id });
+    const summary = formatWorkspace(workspace, req.user._id, websiteCount);
+
+    await workspace.populate("members.userId", "fullName email avatar.contentType avatar.updatedAt");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        members: workspace.members.map(formatMember)
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching workspace:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching workspace",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Rename a workspace
+ * @route PATCH /api/workspaces/:workspaceId
+ */
+export async function updateWorkspace(req, res) {
+  try {
+    const { name, error } = parseWorkspaceName(req.body.name);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const workspace = req.workspace;
+    workspace.name = name;
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Workspace updated successfully",
+      data: formatWorkspace(workspace, req.user._id)
+    });
+  } catch (error) {
+    console.error("Error updating workspace:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating workspace",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Delete an empty team workspace
+ * @route DELETE /api/workspaces/:workspaceId
+ */
+export async function deleteWorkspace(req, res) {
+  try {
+    const workspace = req.workspace;
+
+    if (workspace.isPersonal) {
+      return res.status(400).json({
+        success: false,
+        message: "Your personal workspace cannot be deleted"
+      });
+    }
+
+    if (await Website.exists({ workspaceId: workspace._id })) {
+      return res.status(409).json({
+        success: false,
+        message: "Delete the workspace's websites before deleting the workspace"
+      });
+    }
+
+    await WorkspaceInvitation.deleteMany({ workspaceId: workspace._id });
+    await Workspace.deleteOne({ _id: workspace._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Workspace deleted successfully",
+      data: { workspaceId: workspace._id }
+    });
+  } catch (error) {
+    console.error("Error deleting workspace:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting workspace",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Change a member's role (editor or viewer)
+ * @route PATCH /api/workspaces/:workspaceId/members/:userId
+ */
+export async function updateMemberRole(req, res) {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const workspace = req.workspace;
+    const member = workspace.members.find(m => m.userId.toString() === userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed"
+      });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated",
+      data: { userId, role }
+    });
+  } catch (error) {
+    console.error("Error updating member role:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating member role",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Remove a member (owner), or leave the workspace (any member for themselves)
+ * @route DELETE /api/workspaces/:workspaceId/members/:userId
+ */
+export async function removeMember(req, res) {
+  try {
+    const { userId } = req.params;
+
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    const workspace = req.workspace;
+    const isSelf = userId === req.user._id.toString();
+
+    if (!isSelf && getMemberRole(workspace, req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: "Only the workspace owner can remove members",
+        code: "FORBIDDEN"
+      });
+    }
+
+    const member = workspace.members.find(m => m.userId.toString() === userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: "Member not found"
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The owner cannot leave or be removed from the workspace"
+      });
+    }
+
+    workspace.members = workspace.members.filter(m => m.userId.toString() !== userId);
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? "You left the workspace" : "Member removed",
+      data: { userId }
+    });
+  } catch (error) {
+    console.error("Error removing member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error removing member",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Invite someone by email; re-inviting a pending address refreshes the invitation
+ * @route POST /api/workspaces/:workspaceId/invitations
+ */
+export async function inviteMember(req, res) {
+  try {
+    const { email: rawEmail, role } = req.body;
+
+    if (typeof rawEmail !== 'string' || !validator.isEmail(rawEmail.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid email is required"
+      });
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${INVITABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const email = validator.normalizeEmail(rawEmail.trim());
+    const workspace = await req.workspace.populate("members.userId", "email");
+
+    if (workspace.members.some(m => m.userId?.email === email)) {
+      return res.status(409).json({
+        success: false,
+        message: "This person is already a member of the workspace"
+      });
+    }
+
+    const ttlDays = getInvitationTtlDays();
+    const invitation = await WorkspaceInvitation.findOneAndUpdate(
+      { workspaceId: workspace._id, email, status: 'pending' },
+      {
+        role,
+        invitedBy: req.user._id,
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    const link = `${getFrontendUrl()}/workspaces/invitations/${invitation._id}`;
+    const emailResult = await sendWorkspaceInvitationEmail(
+      email,
+      link,
+      req.user.fullName,
+      workspace.name,
+      role,
+      ttlDays
+    );
+
+    if (!emailResult.success) {
+      return res.status(500).json({
+        success: false,
+        message: "Invitation saved but the email could not be sent. Please try again."
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${email}`,
+      data: formatInvitation(invitation)
+    });
+  } catch (error) {
+    console.error("Error inviting member:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error inviting member",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Pending invitations of a workspace
+ * @route GET /api/workspaces/:workspaceId/invitations
+ */
+export async function listWorkspaceInvitations(req, res) {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      workspaceId: req.workspace._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: invitations.map(formatInvitation),
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error("Error listing invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error listing invitations",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Withdraw a pending invitation
+ * @route DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ */
+export async function revokeInvitation(req, res) {
+  try {
+    const { invitationId } = req.params;
+
+    if (!invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation ID"
+      });
+    }
+
+    const invitation = await WorkspaceInvitation.findOneAndUpdate(
+      { _id: invitationId, workspaceId: req.workspace._id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date(), respondedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: "Invitation not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked",
+      data: formatInvitation(invitation)
+    });
+  } catch (error) {
+    console.error("Error revoking invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking invitation",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Pending invitations addressed to the current user's email
+ * @route GET /api/workspaces/invitations
+ */
+export async function getMyInvitations(req, res) {
+  try {
+    const invitations = await WorkspaceInvitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate("workspaceId", "name")
+      .populate("invitedBy", "fullName")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: invitations.map(invitation => ({
+        ...formatInvitation(invitation),
+        invitedBy: invitation.invitedBy?.fullName || null
+      })),
+      count: invitations.length
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching invitations",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Answer an invitation addressed to the current user
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function respondToInvitation(req, accept) {
+  const { invitationId } = req.params;
+
+  if (!invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, body: { success: false, message: "Invalid invitation ID" } };
+  }
+
+  if (!req.user.isEmailVerified) {
+    return { status: 403, body: { success: false, message: "Please verify your email address first" } };
+  }
+
+  // Claimed atomically so an invitation is answered once
+  const invitation = await WorkspaceInvitation.findOneAndUpdate(
+    {
+      _id: invitationId,
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      status: accept ? 'accepted' : 'declined',
+      respondedAt: new Date(),
+      respondedBy: req.user._id
+    },
+    { new: true }
+  );
+
+  if (!invitation) {
+    return { status: 404, body: { success: false, message: "Invitation not found or expired" } };
+  }
+
+  if (!accept) {
+    return { status: 200, body: { success: true, message: "Invitation declined" } };
+  }
+
+  // Existing members keep their role
+  await Workspace.updateOne(
+    { _id: invitation.workspaceId, "members.userId": { $ne: req.user._id } },
+    { $push: { members: { userId: req.user._id, role: invitation.role, addedBy: invitation.invitedBy } } }
+  );
+
+  const workspace = await Workspace.findById(invitation.workspaceId).lean();
+
+  if (!workspace) {
+    return { status: 404, body: { success: false, message: "This workspace no longer exists" } };
+  }
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: `You joined ${workspace.name}`,
+      data: formatWorkspace(workspace, req.user._id)
+    }
+  };
+}
+
+/**
+ * Accept an invitation and join the workspace
+ * @route POST /api/workspaces/invitations/:invitationId/accept
+ */
+export async function acceptInvitation(req, res) {
+  try {
+    const result = await respondToInvitation(req, true);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error accepting invitation",
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Decline an invitation
+ * @route POST /api/workspaces/invitations/:invitationId/decline
+ */
+export async function declineInvitation(req, res) {
+  try {
+    const result = await respondToInvitation(req, false);
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error declining invitation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error declining invitation",
+      error: error.message
+    });
+  }
+}
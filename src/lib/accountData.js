@@ -0,0 +1,312 @@
+// lib/accountData.js - Personal data export and account deletion (with a grace period)
+import User from "../models/User.js";
+import Website from "../models/Website.model.js";
+import Subscription from "../models/Subscription.model.js";
+import AuditEvent from "../models/AuditEvent.model.js";
+import RefreshToken from "../models/RefreshToken.model.js";
+import OneTimeCode from "../models/OneTimeCode.model.js";
+import MagicLinkToken from "../models/MagicLinkToken.model.js";
+import Workspace from "../models/Workspace.model.js";
+import WorkspaceInvitation from "../models/WorkspaceInvitation.model.js";
+import { formatAuditEvent, recordAuditEvent } from "./auditLog.js";
+import { sendAccountDeletionScheduledEmail } from "./emailService.js";
+import { setAccountStatus } from "../utils/accountStatus.js";
+import { cancelStripeSubscription } from "../utils/subscriptionUtils.js";
+import { deleteWebsiteAndData } from "../utils/websiteUtils.js";
+import { getMemberRole } from "../utils/workspaceUtils.js";
+import { createTarGz } from "../utils/archiveUtils.js";
+
+const DEFAULT_GRACE_DAYS = 30;
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+// Retained billing records keep a placeholder: the schema requires an email
+const ANONYMIZED_EMAIL = "deleted-account@anonymized.invalid";
+
+const AVATAR_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+let intervalHandle = null;
+let running = false;
+
+export function getDeletionGraceDays() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+  return days >= 0 ? days : DEFAULT_GRACE_DAYS;
+}
+
+// Audit events about a user: signed-in actions plus attempts made with their email
+function auditEventFilter(user) {
+  return {
+    $or: [
+      { "actor.userId": user._id },
+      { "actor.userId": null, "actor.email": user.email }
+    ]
+  };
+}
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Build a .tar.gz with everything stored about a user: profile (and avatar),
+ * websites with their html/css/js/components, subscriptions, workspace
+ * memberships and audit events
+ * @param {string|ObjectId} userId
+ * @returns {Promise<{ filename: string, archive: Buffer } | null>} null if the user does not exist
+ */
+export async function buildAccountExport(userId) {
+  const user = await User.findById(userId).select("-password").lean();
+  if (!user) return null;
+
+  const [avatarOwner, websites, subscriptions, events, workspaces] = await Promise.all([
+    // Not lean: the image comes back as a Buffer
+    User.findById(user._id).select("avatar +avatar.data"),
+    Website.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+    Subscription.find({ userId: user._id }).sort({ createdAt: 1 }).lean(),
+    AuditEvent.find(auditEventFilter(user)).sort({ createdAt: -1 }).lean(),
+    Workspace.find({ "members.userId": user._id }).select("name isPersonal ownerId members createdAt").lean()
+  ]);
+
+  const exportedAt = new Date();
+  const root = `account-export-${exportedAt.toISOString().slice(0, 10)}`;
+  const files = [];
+
+  const { avatar, ...profile } = user;
+  files.push({
+    name: `${root}/account.json`,
+    content: toJson({
+      ...profile,
+      avatar: avatar?.contentType ? { contentType: avatar.contentType, updatedAt: avatar.updatedAt } : null,
+      exportedAt
+    })
+  });
+
+  const avatarData = avatarOwner?.avatar?.data;
+  if (avatarData && AVATAR_EXTENSIONS[avatar?.contentType]) {
+    files.push({
+      name: `${root}/avatar.${AVATAR_EXTENSIONS[avatar.contentType]}`,
+      content: avatarData
+    });
+  }
+
+  for (const website of websites) {
+    const dir = `${root}/websites/${website.slug || website._id}`;
+    files.push(
+      { name: `${dir}/website.json`, content: toJson(website) },
+      { name: `${dir}/index.html`, content: website.html || '' },
+      { name: `${dir}/styles.css`, content: website.css || '' },
+      { name: `${dir}/script.js`, content: website.js || '' },
+      { name: `${dir}/components.json`, content: toJson(website.components || {}) }
+    );
+  }
+
+  files.push(
+    { name: `${root}/subscriptions.json`, content: toJson(subscriptions) },
+    {
+      name: `${root}/workspaces.json`,
+      content: toJson(workspaces.map(workspace => ({
+        _id: workspace._id,
+        name: workspace.name,
+        isPersonal: workspace.isPersonal,
+        role: getMemberRole(workspace, user._id),
+        createdAt: workspace.createdAt
+      })))
+    },
+    {
+      name: `${root}/audit-events.json`,
+      content: toJson(events.map(event => {
+        const { actor, ...rest } = formatAuditEvent(event);
+        return rest;
+      }))
+    }
+  );
+
+  return { filename: `${root}.tar.gz`, archive: createTarGz(files) };
+}
+
+/**
+ * Put an account into its deletion grace period: sites go offline, renewals
+ * stop (subscriptions end with the current period) and the user is emailed.
+ * Signing in still works so the request can be cancelled.
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+export async function scheduleAccountDeletion(user) {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + getDeletionGraceDays() * 24 * 60 * 60 * 1000);
+
+  const subscriptions = await Subscription.find({
+    userId: user._id,
+    status: { $ne: 'canceled' },
+    cancelAtPeriodEnd: false
+  });
+
+  for (const subscription of subscriptions) {
+    try {
+      await cancelStripeSubscription(subscription);
+    } catch (error) {
+      // Deletion cancels whatever is still running
+      console.error(`Failed to stop renewal of subscription ${subscription.subscriptionId}:`, error.message);
+    }
+  }
+
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = scheduledFor;
+  await setAccountStatus(user, 'pending-deletion', { reason: "Deletion requested by the user" });
+
+  sendAccountDeletionScheduledEmail(user.email, user.fullName, scheduledFor).catch(error => {
+    console.error('Failed to send account deletion notice:', error);
+  });
+
+  console.log(`🗑️ Account ${user._id} scheduled for deletion on ${scheduledFor.toISOString()}`);
+
+  return scheduledFor;
+}
+
+/**
+ * Leave the grace period and reactivate the account.
+ * Subscriptions stay set to end with their period; the user can reactivate them.
+ * @param {Object} user - User document
+ */
+export async function cancelAccountDeletion(user) {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await setAccountStatus(user, 'active');
+
+  console.log(`↩️ Deletion of account ${user._id} cancelled`);
+}
+
+/**
+ * Permanently delete an account: end its subscriptions in Stripe, delete its
+ * websites and the workspaces it owns, anonymize the billing records and audit
+ * trail that are retained, then remove the user and their tokens and codes.
+ * Throws (leaving the account in place) if a subscription can't be cancelled.
+ * @param {Object} user - User document
+ */
+export async function deleteAccount(user) {
+  const userId = user._id;
+
+  const subscriptions = await Subscription.find({ userId, status: { $ne: 'canceled' } });
+
+  for (const subscription of subscriptions) {
+    try {
+      await cancelStripeSubscription(subscription, { immediately: true });
+    } catch (error) {
+      if (error.code !== 'resource_missing') {
+        throw error;
+      }
+      // Already gone in Stripe
+      subscription.status = 'canceled';
+      subscription.canceledAt = subscription.canceledAt || new Date();
+      subscription.cancelAtPeriodEnd = false;
+      await subscription.save();
+    }
+  }
+
+  // Workspaces they own go with their websites; elsewhere they just stop being a member
+  const ownedWorkspaceIds = (await Workspace.find({ ownerId: userId }).select("_id").lean())
+    .map(workspace => workspace._id);
+
+  const websites = await Website.find({
+    $or: [{ userId }, { workspaceId: { $in: ownedWorkspaceIds } }]
+  }).select("_id").lean();
+  for (const website of websites) {
+    await deleteWebsiteAndData(website._id, { keepSubscriptions: true });
+  }
+
+  await WorkspaceInvitation.deleteMany({
+    $or: [{ workspaceId: { $in: ownedWorkspaceIds } }, { email: user.email }]
+  });
+  await Workspace.deleteMany({ _id: { $in: ownedWorkspaceIds } });
+  await Workspace.updateMany({ "members.userId": userId }, { $pull: { members: { userId } } });
+
+  await Subscription.updateMany(
+    { userId },
+    { $set: { userId: null, email: ANONYMIZED_EMAIL, metadata: {}, anonymizedAt: new Date() } }
+  );
+
+  await AuditEvent.updateMany(auditEventFilter(user), {
+    $set: { "actor.email": null, ip: null, userAgent: null }
+  });
+
+  await RefreshToken.deleteMany({ userId });
+  await OneTimeCode.deleteMany({ userId });
+  await MagicLinkToken.deleteMany({ $or: [{ userId }, { email: user.email }] });
+  await User.deleteOne({ _id: userId });
+
+  await recordAuditEvent({
+    type: 'account_deleted',
+    category: 'account',
+    actor: { userId: null, email: null },
+    target: { type: 'user', id: userId },
+    metadata: { websites: websites.length, subscriptions: subscriptions.length }
+  });
+
+  console.log(`🗑️ Account ${userId} deleted (${websites.length} websites)`);
+}
+
+/**
+ * Delete every account whose grace period has ended
+ * @returns {Promise<{ deleted: number, failed: number }|null>} null if a run is in progress
+ */
+export async function purgeDueAccounts() {
+  if (running) return null;
+  running = true;
+
+  const summary = { deleted: 0, failed: 0 };
+
+  try {
+    const cursor = User.find({
+      status: 'pending-deletion',
+      deletionScheduledFor: { $ne: null, $lte: new Date() }
+    }).cursor();
+
+    for await (const user of cursor) {
+      try {
+        await deleteAccount(user);
+        summary.deleted++;
+      } catch (error) {
+        // Retried on the next run
+        console.error(`❌ Failed to delete account ${user._id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    if (summary.deleted || summary.failed) {
+      console.log('🗑️ Account deletion run finished:', JSON.stringify(summary));
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic purge of accounts past their grace period
+ * Interval: ACCOUNT_DELETION_CHECK_INTERVAL_MINUTES (default 60)
+ */
+export function startAccountDeletionJob() {
+  if (intervalHandle) return;
+
+  const minutes = parseInt(process.env.ACCOUNT_DELETION_CHECK_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  const run = () => {
+    purgeDueAccounts().catch(error => {
+      console.error('❌ Account deletion run failed:', error);
+    });
+  };
+
+  run();
+  intervalHandle = setInterval(run, minutes * 60 * 1000);
+  intervalHandle.unref?.();
+
+  console.log(`🗑️ Account deletion job started (every ${minutes} minutes)`);
+}
+
+export function stopAccountDeletionJob() {
+  if (!intervalHandle) return;
+  clearInterval(intervalHandle);
+  intervalHandle = null;
+}
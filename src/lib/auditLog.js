@@ -0,0 +1,123 @@
+// lib/auditLog.js - Writing and reading the security audit trail
+import validator from 'validator';
+import AuditEvent from '../models/AuditEvent.model.js';
+import { getClientInfo } from '../utils/refreshTokenUtils.js';
+
+/**
+ * Store one event. Never throws: auditing must not break the action it records.
+ * @param {Object} event - Fields of AuditEvent
+ */
+export async function recordAuditEvent(event) {
+  try {
+    await AuditEvent.create(event);
+  } catch (error) {
+    console.error(`Failed to record audit event ${event.type}:`, error.message);
+  }
+}
+
+/**
+ * Who made the request. Protected routes have req.user; public auth routes
+ * get the user from res.locals.auditUser once they sign someone in, and fall
+ * back to the email that was submitted.
+ */
+function getActor(req, res) {
+  const user = res.locals.auditUser || req.user;
+  if (user) {
+    return { userId: user._id, email: user.email };
+  }
+
+  const email = req.body?.email;
+  if (typeof email === 'string' && validator.isEmail(email.trim())) {
+    return { userId: null, email: validator.normalizeEmail(email.trim()) };
+  }
+
+  return { userId: null, email: null };
+}
+
+/**
+ * Record an event for a finished request
+ * @param {Object} req
+ * @param {Object} res - Already sent; statusCode decides the outcome
+ * @param {Object} options
+ * @param {string} options.type
+ * @param {string} options.category
+ * @param {{ type, id, label }} [options.target]
+ * @param {Object} [options.metadata]
+ */
+export function recordRequestEvent(req, res, { type, category, target, metadata = {} }) {
+  const client = getClientInfo(req);
+  const outcome = res.locals.auditOutcome || (res.statusCode < 400 ? 'success' : 'failure');
+
+  return recordAuditEvent({
+    type,
+    category,
+    actor: getActor(req, res),
+    ip: client.ip,
+    userAgent: client.userAgent,
+    target: {
+      type: target?.type || null,
+      id: target?.id ? String(target.id) : null,
+      label: target?.label || null
+    },
+    outcome,
+    statusCode: res.statusCode,
+    method: req.method,
+    // No query string: callbacks and links carry codes and tokens there
+    path: `${req.baseUrl}${req.path}`,
+    metadata
+  });
+}
+
+/**
+ * Filter for AuditEvent queries from request query parameters
+ * (type, category, outcome, from, to)
+ * @returns {{ filter?: Object, error?: string }}
+ */
+export function buildAuditFilter(query) {
+  const filter = {};
+
+  if (query.type) {
+    filter.type = String(query.type);
+  }
+  if (query.category) {
+    filter.category = String(query.category);
+  }
+  if (query.outcome) {
+    if (!['success', 'failure'].includes(query.outcome)) {
+      return { error: "Invalid outcome. Must be success or failure" };
+    }
+    filter.outcome = query.outcome;
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[param]) continue;
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date` };
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  return { filter };
+}
+
+export function formatAuditEvent(event) {
+  return {
+    _id: event._id,
+    type: event.type,
+    category: event.category,
+    actor: event.actor,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    target: event.target,
+    outcome: event.outcome,
+    statusCode: event.statusCode,
+    method: event.method,
+    path: event.path,
+    metadata: event.metadata || {},
+    createdAt: event.createdAt
+  };
+}
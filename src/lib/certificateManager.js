@@ -0,0 +1,332 @@
+// lib/certificateManager.js - ACME (Let's Encrypt protocol) certificates for custom domains
+import acme from "acme-client";
+import https from "https";
+import tls from "tls";
+import Website from "../models/Website.model.js";
+import Certificate from "../models/Certificate.model.js";
+import AcmeAccount from "../models/AcmeAccount.model.js";
+import AcmeChallenge from "../models/AcmeChallenge.model.js";
+import { encrypt, decrypt } from "../utils/encryption.js";
+
+const DEFAULT_RENEW_BEFORE_DAYS = 30;
+const DEFAULT_INTERVAL_MINUTES = 720;
+const MAX_RETRY_BACKOFF_HOURS = 24;
+
+// Domains with an issuance in progress in this process
+const inFlight = new Set();
+
+// domain -> tls.SecureContext, filled lazily by the SNI callback
+const contextCache = new Map();
+
+let clientPromise = null;
+let intervalHandle = null;
+
+/**
+ * ACME is opt-in so local/dev servers never talk to a real CA
+ * @returns {boolean}
+ */
+export function isAcmeEnabled() {
+  return process.env.ACME_ENABLED === 'true';
+}
+
+/**
+ * ACME directory URL. Point ACME_DIRECTORY_URL at a local Pebble server for testing.
+ * @returns {string}
+ */
+export function getDirectoryUrl() {
+  if (process.env.ACME_DIRECTORY_URL) return process.env.ACME_DIRECTORY_URL;
+
+  return process.env.NODE_ENV === 'production'
+    ? acme.directory.letsencrypt.production
+    : acme.directory.letsencrypt.staging;
+}
+
+/**
+ * Apply test-server friendly HTTP settings to acme-client's axios instance
+ */
+function configureAcmeHttp() {
+  // Pebble serves its directory with a self-signed certificate
+  if (process.env.ACME_SKIP_TLS_VERIFY === 'true') {
+    acme.axios.defaults.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+  }
+
+  // Port used by acme-client's own pre-check of the HTTP-01 challenge
+  if (process.env.ACME_HTTP_CHALLENGE_PORT) {
+    acme.axios.defaults.acmeSettings.httpChallengePort = parseInt(process.env.ACME_HTTP_CHALLENGE_PORT);
+  }
+}
+
+/**
+ * Load (or create) the ACME account for the configured directory
+ * @returns {Promise<{ client: acme.Client, account: Object }>}
+ */
+async function createAcmeClient() {
+  configureAcmeHttp();
+
+  const directoryUrl = getDirectoryUrl();
+  let account = await AcmeAccount.findOne({ directoryUrl });
+
+  if (!account) {
+    const accountKey = await acme.crypto.createPrivateKey();
+    account = await AcmeAccount.create({
+      directoryUrl,
+      accountKey: encrypt(accountKey),
+      email: process.env.ACME_EMAIL || null
+    });
+  }
+
+  const client = new acme.Client({
+    directoryUrl,
+    accountKey: decrypt(account.accountKey),
+    accountUrl: account.accountUrl || undefined
+  });
+
+  return { client, account };
+}
+
+function getAcmeClient() {
+  if (!clientPromise) {
+    clientPromise = createAcmeClient().catch(error => {
+      clientPromise = null;
+      throw error;
+    });
+  }
+  return clientPromise;
+}
+
+/**
+ * Key authorization for a pending HTTP-01 challenge token
+ * @param {string} token
+ * @returns {Promise<string|null>}
+ */
+export async function getChallengeResponse(token) {
+  const challenge = await AcmeChallenge.findOne({ token }).lean();
+  return challenge ? challenge.keyAuthorization : null;
+}
+
+/**
+ * Order a certificate for a domain and store it encrypted.
+ * Renewals keep serving the previous certificate if the new order fails.
+ * @param {string} domain - Verified custom domain
+ * @param {string} websiteId - Owning website
+ * @returns {Promise<Object|null>} Certificate document, or null if already in progress
+ */
+export async function issueCertificate(domain, websiteId) {
+  if (inFlight.has(domain)) return null;
+  inFlight.add(domain);
+
+  try {
+    const record = await Certificate.findOneAndUpdate(
+      { domain },
+      {
+        $set: { websiteId, lastAttemptAt: new Date() },
+        $setOnInsert: { status: 'pending' }
+      },
+      { upsert: true, new: true }
+    );
+
+    return await orderCertificate(domain, record);
+  } finally {
+    inFlight.delete(domain);
+  }
+}
+
+/**
+ * Run the ACME order for a domain and record the outcome on its certificate record
+ * @param {string} domain
+ * @param {Object} record - Certificate document
+ * @returns {Promise<Object>} The updated certificate document
+ */
+async function orderCertificate(domain, record) {
+  try {
+    const { client, account } = await getAcmeClient();
+    const [privateKey, csr] = await acme.crypto.createCsr({ commonName: domain });
+
+    const certificate = await client.auto({
+      csr,
+      email: process.env.ACME_EMAIL || undefined,
+      termsOfServiceAgreed: true,
+      challengePriority: ['http-01'],
+      skipChallengeVerification: process.env.ACME_SKIP_CHALLENGE_VERIFICATION === 'true',
+      challengeCreateFn: async (authz, challenge, keyAuthorization) => {
+        if (challenge.type !== 'http-01') {
+          throw new Error(`Unsupported challenge type: ${challenge.type}`);
+        }
+        await AcmeChallenge.findOneAndUpdate(
+          { token: challenge.token },
+          { keyAuthorization, domain: authz.identifier.value },
+          { upsert: true }
+        );
+      },
+      challengeRemoveFn: async (authz, challenge) => {
+        await AcmeChallenge.deleteOne({ token: challenge.token });
+      }
+    });
+
+    // Remember the account URL so later orders skip account lookup
+    const accountUrl = client.getAccountUrl();
+    if (accountUrl && account.accountUrl !== accountUrl) {
+      account.accountUrl = accountUrl;
+      await account.save();
+    }
+
+    const info = acme.crypto.readCertificateInfo(certificate);
+
+    record.certificate = encrypt(certificate);
+    record.privateKey = encrypt(privateKey);
+    record.status = 'issued';
+    record.issuedAt = new Date();
+    record.expiresAt = info.notAfter;
+    record.failureCount = 0;
+    record.lastError = null;
+    await record.save();
+
+    contextCache.delete(domain);
+    console.log(`🔐 Certificate issued for ${domain}, expires ${info.notAfter.toISOString()}`);
+
+    return record;
+  } catch (error) {
+    console.error(`❌ Certificate issuance failed for ${domain}:`, error.message);
+
+    record.failureCount = (record.failureCount || 0) + 1;
+    record.lastError = error.message;
+    // Keep an existing certificate in service until it actually expires
+    if (record.status !== 'issued' || (record.expiresAt && record.expiresAt <= new Date())) {
+      record.status = 'failed';
+    }
+    await record.save();
+
+    return record;
+  }
+}
+
+/**
+ * Fire-and-forget issuance, e.g. right after a domain is verified
+ * @returns {boolean} Whether issuance was started
+ */
+export function requestCertificate(domain, websiteId) {
+  if (!isAcmeEnabled()) return false;
+
+  issueCertificate(domain, websiteId).catch(error => {
+    console.error(`❌ Certificate request failed for ${domain}:`, error);
+  });
+  return true;
+}
+
+/**
+ * Delete stored certificates for domains no longer attached to a website
+ * @param {Array<string>} domains
+ */
+export async function removeCertificates(domains) {
+  if (!domains || domains.length === 0) return;
+
+  await Certificate.deleteMany({ domain: { $in: domains } });
+  domains.forEach(domain => contextCache.delete(domain));
+}
+
+/**
+ * Exponential backoff between failed attempts, capped at a day
+ */
+function isRetryDue(certificate, now) {
+  if (!certificate.lastAttemptAt) return true;
+  const hours = Math.min(2 ** (certificate.failureCount || 0), MAX_RETRY_BACKOFF_HOURS);
+  return now - certificate.lastAttemptAt >= hours * 60 * 60 * 1000;
+}
+
+/**
+ * Issue missing certificates for verified domains and renew ones close to expiry
+ * @returns {Promise<Object>} Counts of issued/renewed/failed orders
+ */
+export async function renewCertificates() {
+  const now = new Date();
+  const renewBeforeDays = parseInt(process.env.CERT_RENEW_BEFORE_DAYS) || DEFAULT_RENEW_BEFORE_DAYS;
+  const renewBefore = new Date(now.getTime() + renewBeforeDays * 24 * 60 * 60 * 1000);
+
+  const websites = await Website.find({ 'domains.isVerified': true })
+    .select("domains")
+    .lean();
+
+  const wanted = websites.flatMap(website =>
+    website.domains
+      .filter(entry => entry.isVerified && !entry.failedAt)
+      .map(entry => ({ domain: entry.domain, websiteId: website._id }))
+  );
+
+  const existing = await Certificate.find({ domain: { $in: wanted.map(w => w.domain) } }).lean();
+  const byDomain = new Map(existing.map(cert => [cert.domain, cert]));
+
+  const summary = { issued: 0, renewed: 0, failed: 0 };
+
+  for (const { domain, websiteId } of wanted) {
+    const current = byDomain.get(domain);
+
+    const due = !current
+      || (current.status === 'issued' && current.expiresAt && current.expiresAt <= renewBefore)
+      || (current.status !== 'issued' && isRetryDue(current, now));
+
+    if (!due) continue;
+
+    const result = await issueCertificate(domain, websiteId);
+    if (!result) continue;
+
+    if (result.failureCount > 0 && result.lastError) {
+      summary.failed++;
+    } else if (current) {
+      summary.renewed++;
+    } else {
+      summary.issued++;
+    }
+  }
+
+  console.log('🔐 Certificate renewal run finished:', JSON.stringify(summary));
+  return summary;
+}
+
+/**
+ * Start the periodic issuance/renewal job (only when ACME_ENABLED=true)
+ * Interval: CERT_RENEWAL_INTERVAL_MINUTES (default 12 hours)
+ */
+export function startCertificateManager() {
+  if (!isAcmeEnabled() || intervalHandle) return;
+
+  const minutes = parseInt(process.env.CERT_RENEWAL_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  const run = () => renewCertificates().catch(error => {
+    console.error('❌ Certificate renewal run failed:', error);
+  });
+
+  intervalHandle = setInterval(run, minutes * 60 * 1000);
+  intervalHandle.unref?.();
+  run();
+
+  console.log(`🔐 Certificate manager started (${getDirectoryUrl()}, every ${minutes} minutes)`);
+}
+
+/**
+ * SNI callback for an HTTPS server serving custom domains from stored certificates
+ * @returns {Function} (servername, callback) => void
+ */
+export function createSNICallback() {
+  return (servername, callback) => {
+    const domain = String(servername).toLowerCase();
+    const cached = contextCache.get(domain);
+
+    if (cached && cached.expiresAt > new Date()) {
+      return callback(null, cached.context);
+    }
+
+    Certificate.findOne({ domain, status: 'issued' })
+      .select("+certificate +privateKey expiresAt")
+      .lean()
+      .then(record => {
+        if (!record) return callback(new Error(`No certificate for ${domain}`));
+
+        const context = tls.createSecureContext({
+          cert: decrypt(record.certificate),
+          key: decrypt(record.privateKey)
+        });
+        contextCache.set(domain, { context, expiresAt: record.expiresAt });
+        callback(null, context);
+      })
+      .catch(error => callback(error));
+  };
+}
@@ -0,0 +1,145 @@
+// lib/cspBuilder.js - Content Security Policy for served websites
+import crypto from "crypto";
+import { getApiBaseUrl } from "../utils/platformUtils.js";
+
+export const TAILWIND_CDN_ORIGIN = 'https://cdn.tailwindcss.com';
+
+// Allowlist keys owners can edit -> CSP directive
+export const CSP_ALLOWLIST_DIRECTIVES = {
+  scriptSrc: 'script-src',
+  styleSrc: 'style-src',
+  imgSrc: 'img-src',
+  fontSrc: 'font-src',
+  connectSrc: 'connect-src',
+  frameSrc: 'frame-src',
+  mediaSrc: 'media-src'
+};
+
+export const MAX_SOURCES_PER_DIRECTIVE = 20;
+
+// https origins, optionally with a leading wildcard label, port and path
+const SOURCE_REGEX = /^https:\/\/(\*\.)?([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}(:\d{1,5})?(\/[^\s;,'"]*)?$/;
+
+// Scheme sources allowed for passive content only
+const SCHEME_SOURCES = {
+  imgSrc: ['data:', 'blob:'],
+  fontSrc: ['data:'],
+  mediaSrc: ['data:', 'blob:']
+};
+
+/**
+ * Validate and normalize one allowlist entry
+ * @param {string} key - Allowlist key (e.g. scriptSrc)
+ * @param {string} source
+ * @returns {string|null} Normalized source, or null when not allowed
+ */
+export function normalizeCspSource(key, source) {
+  if (typeof source !== 'string') return null;
+  const clean = source.trim().toLowerCase();
+
+  if ((SCHEME_SOURCES[key] || []).includes(clean)) return clean;
+  return SOURCE_REGEX.test(clean) ? clean : null;
+}
+
+/**
+ * Validate a whole allowlist as sent by the owner
+ * @param {Object} input - { scriptSrc?: string[], styleSrc?: string[], ... }
+ * @returns {{ allowlist?: Object, errors?: Array<string> }}
+ */
+export function validateCspAllowlist(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { errors: ['allowlist must be an object'] };
+  }
+
+  const errors = [];
+  const allowlist = {};
+
+  for (const [key, sources] of Object.entries(input)) {
+    if (!CSP_ALLOWLIST_DIRECTIVES[key]) {
+      errors.push(`Unknown directive "${key}"`);
+      continue;
+    }
+    if (!Array.isArray(sources)) {
+      errors.push(`${key} must be an array of origins`);
+      continue;
+    }
+    if (sources.length > MAX_SOURCES_PER_DIRECTIVE) {
+      errors.push(`${key} allows at most ${MAX_SOURCES_PER_DIRECTIVE} entries`);
+      continue;
+    }
+
+    const normalized = [];
+    for (const source of sources) {
+      const value = normalizeCspSource(key, source);
+      if (!value) {
+        errors.push(`${key}: "${source}" is not an allowed source (use https:// origins)`);
+      } else if (!normalized.includes(value)) {
+        normalized.push(value);
+      }
+    }
+    allowlist[key] = normalized;
+  }
+
+  return errors.length > 0 ? { errors } : { allowlist };
+}
+
+/**
+ * CSP hash sources for the document's inline <script> elements.
+ * Hashes rather than nonces: a rendered page is cached and revalidated as a
+ * static document, and a nonce repeated on every response would be a fixed
+ * token. External scripts are not hashed: their origin must be allowlisted.
+ * @param {string} html - Rendered document
+ * @returns {Array<string>} e.g. ["'sha256-...'"]
+ */
+export function getInlineScriptHashes(html) {
+  const hashes = [];
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+
+  for (const [, attributes, content] of html.matchAll(scriptRegex)) {
+    if (/\bsrc\s*=/i.test(attributes)) continue;
+    const digest = crypto.createHash('sha256').update(content, 'utf8').digest('base64');
+    hashes.push(`'sha256-${digest}'`);
+  }
+
+  return [...new Set(hashes)];
+}
+
+/**
+ * Report endpoint for a website's violations
+ */
+export function getCspReportUri(websiteId) {
+  return `${getApiBaseUrl()}/api/websites/csp-report/${websiteId}`;
+}
+
+/**
+ * Build the Content-Security-Policy header value for a served website
+ * @param {Object} options
+ * @param {string} options.websiteId
+ * @param {Array<string>} [options.scriptHashes] - Hash sources of the page's inline scripts
+ * @param {Object} [options.allowlist] - Website's extra origins per directive
+ * @returns {string}
+ */
+export function buildSiteCsp({ websiteId, scriptHashes = [], allowlist = {} }) {
+  const extra = (key) => allowlist?.[key] || [];
+
+  const directives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", ...scriptHashes, TAILWIND_CDN_ORIGIN, ...extra('scriptSrc')],
+    // Tailwind's CDN runtime injects <style> elements and templates use style attributes
+    'style-src': ["'self'", "'unsafe-inline'", ...extra('styleSrc')],
+    'img-src': ["'self'", 'data:', 'https:', ...extra('imgSrc')],
+    'font-src': ["'self'", 'data:', ...extra('fontSrc')],
+    'connect-src': ["'self'", ...extra('connectSrc')],
+    'frame-src': extra('frameSrc').length > 0 ? extra('frameSrc') : ["'none'"],
+    'media-src': ["'self'", ...extra('mediaSrc')],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'self'"],
+    'report-uri': [getCspReportUri(websiteId)]
+  };
+
+  return Object.entries(directives)
+    .map(([name, sources]) => `${name} ${[...new Set(sources)].join(' ')}`)
+    .join('; ');
+}
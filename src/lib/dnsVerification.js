@@ -0,0 +1,259 @@
+// lib/dnsVerification.js - Custom domain DNS verification
+import dns from "dns";
+import crypto from "crypto";
+import { getDomain } from "tldts";
+import { getPlatformDomain, getPlatformIp } from "../utils/platformUtils.js";
+
+// TXT ownership record lives at <prefix>.<domain>
+export const VERIFICATION_RECORD_PREFIX = '_webgen-verify';
+const VERIFICATION_VALUE_PREFIX = 'webgen-verify=';
+
+// DNS error codes meaning "this record does not exist". Anything else (ESERVFAIL,
+// timeouts, refused queries) is a resolver problem and is thrown to the caller.
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+/**
+ * Platform host customers CNAME to, and IP apex domains point an A record to.
+ * Read lazily so dotenv has loaded by the time we need them.
+ */
+export function getPlatformTarget() {
+  return {
+    host: getPlatformDomain(),
+    ip: getPlatformIp()
+  };
+}
+
+/**
+ * Default resolver backed by Node's dns module.
+ * Any object with resolveCname/resolve4/resolveTxt (promise based) can replace it.
+ */
+function createNodeResolver() {
+  const resolver = new dns.promises.Resolver();
+
+  if (process.env.DNS_SERVERS) {
+    resolver.setServers(process.env.DNS_SERVERS.split(',').map(s => s.trim()));
+  }
+
+  return {
+    resolveCname: (hostname) => resolver.resolveCname(hostname),
+    resolve4: (hostname) => resolver.resolve4(hostname),
+    resolveTxt: (hostname) => resolver.resolveTxt(hostname)
+  };
+}
+
+let activeResolver = null;
+
+/**
+ * Replace the resolver used for verification (e.g. with createMemoryResolver in tests)
+ * @param {Object|null} resolver - { resolveCname, resolve4, resolveTxt }, null restores the default
+ */
+export function setDnsResolver(resolver) {
+  activeResolver = resolver;
+}
+
+export function getDnsResolver() {
+  if (!activeResolver) activeResolver = createNodeResolver();
+  return activeResolver;
+}
+
+/**
+ * In-memory DNS fake with the same interface and error codes as Node's resolver
+ * @param {Object} records - { cname: { host: [target] }, a: { host: [ip] }, txt: { host: [[chunk]] } }
+ * @example createMemoryResolver({ cname: { 'www.example.com': ['webgen.club'] } })
+ */
+export function createMemoryResolver(records = {}) {
+  const lookup = (type, hostname) => {
+    const value = records[type]?.[hostname.toLowerCase()];
+    if (!value || value.length === 0) {
+      const error = new Error(`query${type.toUpperCase()} ENODATA ${hostname}`);
+      error.code = 'ENODATA';
+      error.hostname = hostname;
+      return Promise.reject(error);
+    }
+    return Promise.resolve(value);
+  };
+
+  return {
+    resolveCname: (hostname) => lookup('cname', hostname),
+    resolve4: (hostname) => lookup('a', hostname),
+    resolveTxt: (hostname) => lookup('txt', hostname)
+  };
+}
+
+/**
+ * Generate a new ownership token for a website's custom domain
+ * @returns {string}
+ */
+export function generateDomainToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Apex domains (example.com, example.co.uk) can't hold a CNAME, so they need an
+ * A record. Uses the public suffix list; hosts it doesn't know fall back to
+ * counting two labels.
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function isApexDomain(domain) {
+  const registrable = getDomain(domain, { allowPrivateDomains: true });
+  if (registrable) return registrable === domain;
+  return domain.split('.').length === 2;
+}
+
+/**
+ * DNS records a customer must create for a domain
+ * @param {string} domain - Custom domain
+ * @param {string} token - Website's domain verification token
+ * @returns {Array<Object>}
+ */
+export function getRequiredDnsRecords(domain, token) {
+  const { host, ip } = getPlatformTarget();
+
+  const routing = isApexDomain(domain)
+    ? { type: 'A', name: domain, value: ip, ttl: '3600' }
+    : { type: 'CNAME', name: domain, value: host, ttl: '3600' };
+
+  return [
+    routing,
+    {
+      type: 'TXT',
+      name: `${VERIFICATION_RECORD_PREFIX}.${domain}`,
+      value: `${VERIFICATION_VALUE_PREFIX}${token}`,
+      ttl: '3600'
+    }
+  ];
+}
+
+/**
+ * Resolve a record, mapping "does not exist" errors to an empty list
+ */
+async function safeResolve(fn, hostname) {
+  try {
+    return await fn(hostname);
+  } catch (error) {
+    if (NOT_FOUND_CODES.includes(error.code)) return [];
+    throw error;
+  }
+}
+
+function normalizeHost(host) {
+  return String(host).toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Check that a domain routes to the platform (CNAME or apex A record)
+ * @returns {Promise<Object>} Record check result
+ */
+async function checkRoutingRecord(domain, resolver) {
+  const { host, ip } = getPlatformTarget();
+
+  const cnames = (await safeResolve(resolver.resolveCname, domain)).map(normalizeHost);
+
+  if (cnames.length > 0) {
+    const pointsToPlatform = cnames.some(c => c === host || c.endsWith(`.${host}`));
+    return {
+      type: 'CNAME',
+      name: domain,
+      expected: host,
+      found: cnames,
+      status: pointsToPlatform ? 'ok' : 'mismatch',
+      message: pointsToPlatform
+        ? 'CNAME record points to the platform'
+        : `CNAME record points to ${cnames.join(', ')} instead of ${host}`
+    };
+  }
+
+  const addresses = await safeResolve(resolver.resolve4, domain);
+
+  if (addresses.length > 0) {
+    const pointsToPlatform = addresses.includes(ip);
+    return {
+      type: 'A',
+      name: domain,
+      expected: ip,
+      found: addresses,
+      status: pointsToPlatform ? 'ok' : 'mismatch',
+      message: pointsToPlatform
+        ? 'A record points to the platform'
+        : `A record points to ${addresses.join(', ')} instead of ${ip}`
+    };
+  }
+
+  const apex = isApexDomain(domain);
+  return {
+    type: apex ? 'A' : 'CNAME',
+    name: domain,
+    expected: apex ? ip : host,
+    found: [],
+    status: 'missing',
+    message: apex
+      ? `No A record found for ${domain}. Add an A record pointing to ${ip}`
+      : `No CNAME record found for ${domain}. Add a CNAME record pointing to ${host}`
+  };
+}
+
+/**
+ * Check the TXT ownership record for a domain
+ * @returns {Promise<Object>} Record check result
+ */
+async function checkOwnershipRecord(domain, token, resolver) {
+  const name = `${VERIFICATION_RECORD_PREFIX}.${domain}`;
+  const expected = `${VERIFICATION_VALUE_PREFIX}${token}`;
+
+  // TXT answers come back as arrays of chunks per record
+  const values = (await safeResolve(resolver.resolveTxt, name)).map(chunks => chunks.join(''));
+
+  if (values.length === 0) {
+    return {
+      type: 'TXT',
+      name,
+      expected,
+      found: [],
+      status: 'missing',
+      message: `No TXT record found at ${name}. Add a TXT record with value ${expected}`
+    };
+  }
+
+  const matches = values.some(value => value.trim() === expected);
+  return {
+    type: 'TXT',
+    name,
+    expected,
+    found: values,
+    status: matches ? 'ok' : 'mismatch',
+    message: matches
+      ? 'Ownership TXT record found'
+      : `TXT record at ${name} does not contain the expected token ${expected}`
+  };
+}
+
+/**
+ * Verify routing and ownership DNS records for a custom domain
+ * @param {string} domain - Custom domain
+ * @param {string} token - Website's domain verification token
+ * @param {Object} [resolver] - Optional resolver override
+ * @returns {Promise<{ verified: boolean, records: Array<Object> }>}
+ */
+export async function verifyDomainRecords(domain, token, resolver = getDnsResolver()) {
+  const cleanDomain = normalizeHost(domain);
+
+  const records = await Promise.all([
+    checkRoutingRecord(cleanDomain, resolver),
+    token
+      ? checkOwnershipRecord(cleanDomain, token, resolver)
+      : Promise.resolve({
+          type: 'TXT',
+          name: `${VERIFICATION_RECORD_PREFIX}.${cleanDomain}`,
+          expected: null,
+          found: [],
+          status: 'missing',
+          message: 'No verification token for this domain. Set the custom domain again to generate one'
+        })
+  ]);
+
+  return {
+    verified: records.every(record => record.status === 'ok'),
+    records
+  };
+}
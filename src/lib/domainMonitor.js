@@ -0,0 +1,164 @@
+// lib/domainMonitor.js - Periodic re-verification of custom domains
+import Website from "../models/Website.model.js";
+import User from "../models/User.js";
+import { verifyDomainRecords } from "./dnsVerification.js";
+import { sendDomainVerificationFailedEmail } from "./emailService.js";
+import { invalidateWebsite } from "./siteRenderer.js";
+
+const DEFAULT_INTERVAL_MINUTES = 360;
+const DEFAULT_MAX_FAILURES = 3;
+
+let intervalHandle = null;
+let running = false;
+
+function getMaxFailures() {
+  return parseInt(process.env.DOMAIN_RECHECK_MAX_FAILURES) || DEFAULT_MAX_FAILURES;
+}
+
+/**
+ * Re-check one verified domain entry of a website and record the outcome.
+ * Resolver errors (timeouts etc.) are not counted as failures.
+ * Results are written to that entry only, so domain changes made while the
+ * lookup runs are kept; an entry removed or re-added meanwhile is skipped.
+ * @param {Object} website - Website document (or lean object)
+ * @param {Object} entry - Entry of website.domains
+ * @returns {Promise<'ok'|'failing'|'failed'|'skipped'>}
+ */
+export async function recheckDomainEntry(website, entry) {
+  let result;
+  try {
+    result = await verifyDomainRecords(entry.domain, entry.verificationToken);
+  } catch (error) {
+    console.error(`⚠️ DNS lookup error for ${entry.domain}:`, error.message);
+    return 'skipped';
+  }
+
+  const now = new Date();
+  const entryFilter = {
+    _id: website._id,
+    domains: { $elemMatch: { domain: entry.domain, verificationToken: entry.verificationToken ?? null, isVerified: true } }
+  };
+
+  if (result.verified) {
+    const update = await Website.updateOne(entryFilter, {
+      $set: {
+        'domains.$.lastCheckedAt': now,
+        'domains.$.checkFailures': 0,
+        'domains.$.checkError': null
+      }
+    });
+    return update.matchedCount ? 'ok' : 'skipped';
+  }
+
+  const problems = result.records.filter(record => record.status !== 'ok');
+
+  const updated = await Website.findOneAndUpdate(
+    entryFilter,
+    {
+      $inc: { 'domains.$.checkFailures': 1 },
+      $set: {
+        'domains.$.lastCheckedAt': now,
+        'domains.$.checkError': problems.map(p => p.message).join('; ')
+      }
+    },
+    { new: true, projection: { domains: { $elemMatch: { domain: entry.domain } } } }
+  ).lean();
+
+  const current = updated?.domains?.[0];
+  if (!current) return 'skipped';
+
+  if (current.checkFailures < getMaxFailures()) {
+    return 'failing';
+  }
+
+  // Too many consecutive failures: stop serving the domain
+  const failed = await Website.updateOne(entryFilter, {
+    $set: {
+      'domains.$.isVerified': false,
+      'domains.$.failedAt': now,
+      // Legacy single-domain fields mirror the primary domain
+      ...(current.isPrimary && { isCustomDomainVerified: false })
+    }
+  });
+  if (!failed.matchedCount) return 'skipped';
+
+  invalidateWebsite(website._id);
+
+  console.log(`❌ Custom domain ${entry.domain} marked unverified after ${current.checkFailures} failed checks`);
+
+  const owner = await User.findById(website.userId).select("email fullName").lean();
+  if (owner) {
+    const emailResult = await sendDomainVerificationFailedEmail(
+      owner.email,
+      owner.fullName,
+      entry.domain,
+      problems
+    );
+    if (!emailResult.success) {
+      console.error('Failed to send domain failure email:', emailResult.error);
+    }
+  }
+
+  return 'failed';
+}
+
+/**
+ * Re-check every verified custom domain once
+ * @returns {Promise<Object>} Counts per outcome
+ */
+export async function recheckVerifiedDomains() {
+  if (running) return null;
+  running = true;
+
+  const summary = { ok: 0, failing: 0, failed: 0, skipped: 0 };
+
+  try {
+    const cursor = Website.find({ 'domains.isVerified': true })
+      .select("userId domains.domain domains.isVerified domains.verificationToken")
+      .lean()
+      .cursor();
+
+    for await (const website of cursor) {
+      for (const entry of website.domains.filter(d => d.isVerified)) {
+        try {
+          const outcome = await recheckDomainEntry(website, entry);
+          summary[outcome]++;
+        } catch (error) {
+          // One failed write must not abort the rest of the run
+          console.error(`❌ Failed to record re-check of ${entry.domain}:`, error.message);
+          summary.skipped++;
+        }
+      }
+    }
+
+    console.log('🔁 Custom domain re-check finished:', JSON.stringify(summary));
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic re-verification job
+ * Interval: DOMAIN_RECHECK_INTERVAL_MINUTES (default 6 hours)
+ */
+export function startDomainMonitor() {
+  if (intervalHandle) return;
+
+  const minutes = parseInt(process.env.DOMAIN_RECHECK_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+  intervalHandle = setInterval(() => {
+    recheckVerifiedDomains().catch(error => {
+      console.error('❌ Custom domain re-check failed:', error);
+    });
+  }, minutes * 60 * 1000);
+  intervalHandle.unref?.();
+
+  console.log(`🔁 Custom domain monitor started (every ${minutes} minutes)`);
+}
+
+export function stopDomainMonitor() {
+  if (!intervalHandle) return;
+  clearInterval(intervalHandle);
+  intervalHandle = null;
+}
@@ -516,6 +516,632 @@ export const sendWelcomeEmail = async (email, fullName) => {
   }
 };
 
+// Send notice when a custom domain fails repeated DNS re-verification
+export const sendDomainVerificationFailedEmail = async (email, fullName, domain, problems = []) => {
+  try {
+    const transporter = createTransporter();
+
+    const problemList = problems
+      .map(problem => `<li>${problem.message}</li>`)
+      .join('');
+
+    const mailOptions = {
+      from: `"Streamify" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Action required: ${domain} is no longer connected - Streamify`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f4f4f4;
+              margin: 0;
+              padding: 0;
+            }
+            .container { 
+              max-width: 600px; 
+              margin: 20px auto; 
+              background: white;
+              border-radius: 10px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+              padding: 40px 30px; 
+              text-align: center; 
+            }
+            .header h1 { 
+              color: white; 
+              margin: 0; 
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .content { 
+              padding: 40px 30px; 
+            }
+            .greeting {
+              font-size: 18px;
+              font-weight: 600;
+              margin-bottom: 20px;
+              color: #333;
+            }
+            .message {
+              font-size: 15px;
+              color: #666;
+              margin-bottom: 20px;
+              line-height: 1.8;
+            }
+            .warning {
+              background: #fff3cd;
+              border-left: 4px solid #ffc107;
+              padding: 15px 20px;
+              margin: 20px 0;
+              border-radius: 4px;
+              font-size: 14px;
+              color: #856404;
+            }
+            .footer { 
+              background: #f9f9f9;
+              text-align: center; 
+              padding: 30px;
+              color: #666; 
+              font-size: 13px;
+              border-top: 1px solid #eee;
+            }
+            .footer p {
+              margin: 5px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🌐 Domain Disconnected</h1>
+            </div>
+            <div class="content">
+              <div class="greeting">Hi ${fullName},</div>
+              <div class="message">
+                We could no longer verify the DNS settings for <strong>${domain}</strong>,
+                so your website is not being served on that domain anymore.
+              </div>
+              
+              <div class="warning">
+                <strong>What we found:</strong>
+                <ul>${problemList}</ul>
+              </div>
+              
+              <div class="message">
+                Please fix the DNS records with your domain provider, then verify the domain
+                again from your dashboard to bring it back online.
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Streamify. All rights reserved.</p>
+              <p style="margin-top: 10px;">This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Domain failure email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending domain failure email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a one-time sign-in link
+export const sendMagicLinkEmail = async (email, link, fullName, expiresInMinutes) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Streamify" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your sign-in link - Streamify',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f4f4f4;
+              margin: 0;
+              padding: 0;
+            }
+            .container { 
+              max-width: 600px; 
+              margin: 20px auto; 
+              background: white;
+              border-radius: 10px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+              padding: 40px 30px; 
+              text-align: center; 
+            }
+            .header h1 { 
+              color: white; 
+              margin: 0; 
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .content { 
+              padding: 40px 30px; 
+            }
+            .greeting {
+              font-size: 18px;
+              font-weight: 600;
+              margin-bottom: 20px;
+              color: #333;
+            }
+            .message {
+              font-size: 15px;
+              color: #666;
+              margin-bottom: 30px;
+              line-height: 1.8;
+            }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white !important;
+              text-decoration: none;
+              padding: 14px 36px;
+              border-radius: 8px;
+              font-weight: 600;
+              font-size: 16px;
+            }
+            .warning { 
+              background: #fff3cd; 
+              border-left: 4px solid #ffc107; 
+              padding: 20px; 
+              margin: 25px 0;
+              border-radius: 4px;
+              color: #856404;
+              font-size: 14px;
+            }
+            .footer { 
+              background: #f9f9f9;
+              text-align: center; 
+              padding: 30px;
+              color: #666; 
+              font-size: 13px;
+              border-top: 1px solid #eee;
+            }
+            .footer p {
+              margin: 5px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✨ Sign In</h1>
+            </div>
+            <div class="content">
+              <div class="greeting">Hi ${fullName},</div>
+              <div class="message">
+                Click the button below to sign in to your Streamify account. No password needed.
+              </div>
+              
+              <div class="button-box">
+                <a class="button" href="${link}">Sign in to Streamify</a>
+              </div>
+              
+              <div class="warning">
+                ⚠️ This link expires in ${expiresInMinutes} minutes and can only be used once.
+                If you didn't ask to sign in, you can safely ignore this email.
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Streamify. All rights reserved.</p>
+              <p style="margin-top: 10px;">This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Magic link email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending magic link email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Invite someone to a workspace (they accept or decline after signing in)
+export const sendWorkspaceInvitationEmail = async (email, link, inviterName, workspaceName, role, expiresInDays) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Streamify" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `${inviterName} invited you to ${workspaceName} - Streamify`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f4f4f4;
+              margin: 0;
+              padding: 0;
+            }
+            .container { 
+              max-width: 600px; 
+              margin: 20px auto; 
+              background: white;
+              border-radius: 10px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+              padding: 40px 30px; 
+              text-align: center; 
+            }
+            .header h1 { 
+              color: white; 
+              margin: 0; 
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .content { 
+              padding: 40px 30px; 
+            }
+            .greeting {
+              font-size: 18px;
+              font-weight: 600;
+              margin-bottom: 20px;
+              color: #333;
+            }
+            .message {
+              font-size: 15px;
+              color: #666;
+              margin-bottom: 30px;
+              line-height: 1.8;
+            }
+            .button-box {
+              text-align: center;
+              margin: 30px 0;
+            }
+            .button {
+              display: inline-block;
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+              color: white !important;
+              text-decoration: none;
+              padding: 14px 36px;
+              border-radius: 8px;
+              font-weight: 600;
+              font-size: 16px;
+            }
+            .warning { 
+              background: #fff3cd; 
+              border-left: 4px solid #ffc107; 
+              padding: 20px; 
+              margin: 25px 0;
+              border-radius: 4px;
+              color: #856404;
+              font-size: 14px;
+            }
+            .footer { 
+              background: #f9f9f9;
+              text-align: center; 
+              padding: 30px;
+              color: #666; 
+              font-size: 13px;
+              border-top: 1px solid #eee;
+            }
+            .footer p {
+              margin: 5px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>👥 Workspace Invitation</h1>
+            </div>
+            <div class="content">
+              <div class="greeting">Hi there,</div>
+              <div class="message">
+                <strong>${inviterName}</strong> invited you to join the <strong>${workspaceName}</strong>
+                workspace on Streamify as ${role === 'editor' ? 'an <strong>editor</strong> (edit and publish websites)' : 'a <strong>viewer</strong> (read-only access)'}.
+                Sign in or create an account with this email address to accept or decline.
+              </div>
+              
+              <div class="button-box">
+                <a class="button" href="${link}">View invitation</a>
+              </div>
+              
+              <div class="warning">
+                ⚠️ This invitation expires in ${expiresInDays} days.
+                If you don't know ${inviterName}, you can safely ignore this email.
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Streamify. All rights reserved.</p>
+              <p style="margin-top: 10px;">This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Workspace invitation email sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending workspace invitation email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Tell the previous address that the account email was changed
+export const sendEmailChangedEmail = async (email, newEmail, fullName) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Streamify" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your email address was changed - Streamify',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f4f4f4;
+              margin: 0;
+              padding: 0;
+            }
+            .container { 
+              max-width: 600px; 
+              margin: 20px auto; 
+              background: white;
+              border-radius: 10px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+              padding: 40px 30px; 
+              text-align: center; 
+            }
+            .header h1 { 
+              color: white; 
+              margin: 0; 
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .content { 
+              padding: 40px 30px; 
+            }
+            .greeting {
+              font-size: 18px;
+              font-weight: 600;
+              margin-bottom: 20px;
+              color: #333;
+            }
+            .message {
+              font-size: 15px;
+              color: #666;
+              margin-bottom: 30px;
+              line-height: 1.8;
+            }
+            .warning { 
+              background: #fff3cd; 
+              border-left: 4px solid #ffc107; 
+              padding: 20px; 
+              margin: 25px 0;
+              border-radius: 4px;
+              color: #856404;
+              font-size: 14px;
+            }
+            .footer { 
+              background: #f9f9f9;
+              text-align: center; 
+              padding: 30px;
+              color: #666; 
+              font-size: 13px;
+              border-top: 1px solid #eee;
+            }
+            .footer p {
+              margin: 5px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>📧 Email Changed</h1>
+            </div>
+            <div class="content">
+              <div class="greeting">Hi ${fullName},</div>
+              <div class="message">
+                The email address of your Streamify account was changed to <strong>${newEmail}</strong>.
+                From now on, sign in and account emails will go to the new address.
+              </div>
+              
+              <div class="warning">
+                ⚠️ If you didn't make this change, reset your password and contact support right away.
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Streamify. All rights reserved.</p>
+              <p style="margin-top: 10px;">This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Email changed notice sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending email changed notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Confirm an account deletion request and say how to cancel it
+export const sendAccountDeletionScheduledEmail = async (email, fullName, scheduledFor) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Streamify" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your account is scheduled for deletion - Streamify',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <style>
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f4f4f4;
+              margin: 0;
+              padding: 0;
+            }
+            .container { 
+              max-width: 600px; 
+              margin: 20px auto; 
+              background: white;
+              border-radius: 10px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+              padding: 40px 30px; 
+              text-align: center; 
+            }
+            .header h1 { 
+              color: white; 
+              margin: 0; 
+              font-size: 32px;
+              font-weight: 600;
+            }
+            .content { 
+              padding: 40px 30px; 
+            }
+            .greeting {
+              font-size: 18px;
+              font-weight: 600;
+              margin-bottom: 20px;
+              color: #333;
+            }
+            .message {
+              font-size: 15px;
+              color: #666;
+              margin-bottom: 30px;
+              line-height: 1.8;
+            }
+            .warning { 
+              background: #fff3cd; 
+              border-left: 4px solid #ffc107; 
+              padding: 20px; 
+              margin: 25px 0;
+              border-radius: 4px;
+              color: #856404;
+              font-size: 14px;
+            }
+            .footer { 
+              background: #f9f9f9;
+              text-align: center; 
+              padding: 30px;
+              color: #666; 
+              font-size: 13px;
+              border-top: 1px solid #eee;
+            }
+            .footer p {
+              margin: 5px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>🗑️ Account Deletion</h1>
+            </div>
+            <div class="content">
+              <div class="greeting">Hi ${fullName},</div>
+              <div class="message">
+                We received a request to delete your Streamify account. Your websites are offline and
+                your account, websites and personal data will be permanently deleted on
+                <strong>${new Date(scheduledFor).toUTCString()}</strong>.
+                <br><br>
+                Changed your mind? Sign in before then and cancel the deletion from your account settings.
+              </div>
+              
+              <div class="warning">
+                ⚠️ If you didn't request this, sign in, cancel the deletion and change your password right away.
+              </div>
+            </div>
+            <div class="footer">
+              <p>© ${new Date().getFullYear()} Streamify. All rights reserved.</p>
+              <p style="margin-top: 10px;">This is an automated email. Please do not reply.</p>
+            </div>
+          </div>
+        </body>
+        </html>
+      `,
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Account deletion notice sent successfully:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account deletion notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Optional: Test email connection
 export const testEmailConnection = async () => {
   try {
@@ -0,0 +1,251 @@
+// lib/oidcClient.js - Provider-agnostic OpenID Connect client (authorization code + PKCE)
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getApiBaseUrl } from '../utils/platformUtils.js';
+
+const HTTP_TIMEOUT_MS = 10000;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// issuer -> { metadata, fetchedAt }
+const discoveryCache = new Map();
+// jwks_uri -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+const envKey = (name, field) => `OIDC_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${field}`;
+
+/**
+ * Provider names enabled with OIDC_PROVIDERS (comma separated, e.g. "google,mock")
+ * @returns {string[]}
+ */
+export function getConfiguredProviders() {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => name && getProviderConfig(name));
+}
+
+/**
+ * Provider settings from OIDC_<NAME>_* variables.
+ * ISSUER alone is enough when the provider supports discovery; any endpoint
+ * (AUTHORIZATION_ENDPOINT, TOKEN_ENDPOINT, JWKS_URI, USERINFO_ENDPOINT) can be
+ * set explicitly, e.g. to point at a local mock server.
+ * @param {string} name
+ * @returns {Object|null} null when the provider is not configured
+ */
+export function getProviderConfig(name) {
+  const read = (field) => process.env[envKey(name, field)] || null;
+
+  const config = {
+    name,
+    displayName: read('DISPLAY_NAME') || name.charAt(0).toUpperCase() + name.slice(1),
+    issuer: read('ISSUER'),
+    clientId: read('CLIENT_ID'),
+    clientSecret: read('CLIENT_SECRET'),
+    scopes: read('SCOPES') || 'openid email profile',
+    authorizationEndpoint: read('AUTHORIZATION_ENDPOINT'),
+    tokenEndpoint: read('TOKEN_ENDPOINT'),
+    jwksUri: read('JWKS_URI'),
+    userinfoEndpoint: read('USERINFO_ENDPOINT')
+  };
+
+  if (!config.issuer || !config.clientId) return null;
+  return config;
+}
+
+/**
+ * Callback URL registered with the provider
+ */
+export function getRedirectUri(name) {
+  const base = (process.env.OIDC_REDIRECT_BASE_URL || getApiBaseUrl()).replace(/\/+$/, '');
+  return `${base}/api/auth/oidc/${name}/callback`;
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+  });
+
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`${url} responded ${response.status}: ${detail}`);
+  }
+
+  return body;
+}
+
+/**
+ * Fill in endpoints from the issuer's discovery document when not set explicitly
+ */
+async function resolveEndpoints(config) {
+  if (config.authorizationEndpoint && config.tokenEndpoint && config.jwksUri) {
+    return config;
+  }
+
+  let cached = discoveryCache.get(config.issuer);
+  if (!cached || Date.now() - cached.fetchedAt > DISCOVERY_TTL_MS) {
+    const metadata = await fetchJson(`${config.issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+    cached = { metadata, fetchedAt: Date.now() };
+    discoveryCache.set(config.issuer, cached);
+  }
+
+  return {
+    ...config,
+    authorizationEndpoint: config.authorizationEndpoint || cached.metadata.authorization_endpoint,
+    tokenEndpoint: config.tokenEndpoint || cached.metadata.token_endpoint,
+    jwksUri: config.jwksUri || cached.metadata.jwks_uri,
+    userinfoEndpoint: config.userinfoEndpoint || cached.metadata.userinfo_endpoint || null
+  };
+}
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Random state, nonce and PKCE verifier/challenge (S256) for one login attempt
+ */
+export function createAuthorizationParams() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+}
+
+/**
+ * URL to send the browser to
+ * @param {Object} config - From getProviderConfig
+ * @param {{ state, nonce, codeChallenge }} params
+ */
+export async function buildAuthorizationUrl(config, { state, nonce, codeChallenge }) {
+  const provider = await resolveEndpoints(config);
+
+  const url = new URL(provider.authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider.name),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+}
+
+async function getSigningKey(jwksUri, kid) {
+  const load = async () => {
+    const { keys } = await fetchJson(jwksUri);
+    const entry = { keys: keys || [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, entry);
+    return entry;
+  };
+
+  let cached = jwksCache.get(jwksUri);
+  if (!cached || Date.now() - cached.fetchedAt > JWKS_TTL_MS) {
+    cached = await load();
+  }
+
+  let jwk = cached.keys.find(key => !kid || key.kid === kid);
+
+  // Unknown kid: the provider may have rotated its keys
+  if (!jwk) {
+    cached = await load();
+    jwk = cached.keys.find(key => !kid || key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify an ID token's signature and claims (iss, aud, exp, nonce)
+ * @returns {Promise<Object>} claims
+ */
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(provider.jwksUri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Exchange the authorization code and return the verified identity
+ * @param {Object} config - From getProviderConfig
+ * @param {{ code: string, codeVerifier: string, nonce: string }} params
+ * @returns {Promise<{ subject: string, email: string|null, emailVerified: boolean, name: string|null }>}
+ */
+export async function completeAuthorization(config, { code, codeVerifier, nonce }) {
+  const provider = await resolveEndpoints(config);
+
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider.name),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    form.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(provider.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: form.toString()
+  });
+
+  if (!tokens?.id_token) {
+    throw new Error('Token response has no id_token');
+  }
+
+  let claims = await verifyIdToken(provider, tokens.id_token, nonce);
+
+  // Some providers only put the email in the userinfo response
+  if (!claims.email && provider.userinfoEndpoint && tokens.access_token) {
+    const userinfo = await fetchJson(provider.userinfoEndpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo?.sub === claims.sub) {
+      claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+    }
+  }
+
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase().trim() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+}
@@ -0,0 +1,207 @@
+// lib/oneTimeCodeService.js - Short numeric codes sent by email (hashed, single use, with lockout)
+import crypto from 'crypto';
+import OneTimeCode from '../models/OneTimeCode.model.js';
+import User from '../models/User.js';
+
+export const CODE_PURPOSES = {
+  EMAIL_VERIFICATION: 'email-verification',
+  PASSWORD_RESET: 'password-reset',
+  EMAIL_CHANGE: 'email-change'
+};
+
+const CODE_DIGITS = 6;
+const DEFAULT_TTL_MINUTES = 10;
+const DEFAULT_COOLDOWN_SECONDS = 60;
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * Keyed hash: a leaked collection alone is not enough to brute-force 6-digit codes.
+ * The user and purpose are mixed in so a hash can't be replayed elsewhere.
+ */
+function hashCode(userId, purpose, code) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET_KEY;
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+}
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Uniformly random code, zero-padded (crypto.randomInt, not Math.random)
+ * @returns {string}
+ */
+export function generateCode() {
+  return crypto.randomInt(0, 10 ** CODE_DIGITS).toString().padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Create a code for a user, replacing any previous code for the same purpose.
+ * @param {string|ObjectId} userId
+ * @param {string} purpose - One of CODE_PURPOSES
+ * @param {Object} [options]
+ * @param {number} [options.ttlMinutes=10]
+ * @param {number} [options.cooldownSeconds=60] - Minimum time between two codes
+ * @param {string} [options.target] - Returned by verifyCode (e.g. a pending new email)
+ * @returns {Promise<{ code?: string, expiresAt?: Date, error?: 'cooldown'|'locked', retryAfter?: number }>}
+ */
+export async function issueCode(userId, purpose, {
+  ttlMinutes = DEFAULT_TTL_MINUTES,
+  cooldownSeconds = DEFAULT_COOLDOWN_SECONDS,
+  target = null
+} = {}) {
+  const existing = await OneTimeCode.findOne({ userId, purpose });
+
+  if (existing?.lockedUntil && existing.lockedUntil > new Date()) {
+    return { error: 'locked', retryAfter: secondsUntil(existing.lockedUntil) };
+  }
+
+  if (existing?.codeHash && cooldownSeconds > 0) {
+    const nextAllowed = new Date(existing.sentAt.getTime() + cooldownSeconds * 1000);
+    if (nextAllowed > new Date()) {
+      return { error: 'cooldown', retryAfter: secondsUntil(nextAllowed) };
+    }
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await OneTimeCode.findOneAndUpdate(
+    { userId, purpose },
+    {
+      codeHash: hashCode(userId, purpose, code),
+      target,
+      attempts: 0,
+      lockedUntil: null,
+      sentAt: new Date(),
+      expiresAt
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+
+  return { code, expiresAt };
+}
+
+/**
+ * Whether the user has an unexpired, usable code for the purpose
+ */
+export async function hasActiveCode(userId, purpose) {
+  const count = await OneTimeCode.countDocuments({
+    userId,
+    purpose,
+    codeHash: { $ne: null },
+    expiresAt: { $gt: new Date() }
+  });
+  return count > 0;
+}
+
+/**
+ * Check a code. Every wrong guess counts; after MAX_ATTEMPTS the code is
+ * destroyed and no new one can be issued or checked for LOCKOUT_MINUTES.
+ * @param {string|ObjectId} userId
+ * @param {string} purpose - One of CODE_PURPOSES
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {boolean} [options.consume=true] - Delete the code on success (false to only check it)
+ * @returns {Promise<{ valid: boolean, target?: string, reason?: 'missing'|'expired'|'locked'|'invalid', attemptsRemaining?: number, retryAfter?: number }>}
+ */
+export async function verifyCode(userId, purpose, code, { consume = true } = {}) {
+  const record = await OneTimeCode.findOne({ userId, purpose });
+
+  if (!record) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  if (record.lockedUntil && record.lockedUntil > new Date()) {
+    return { valid: false, reason: 'locked', retryAfter: secondsUntil(record.lockedUntil) };
+  }
+
+  if (!record.codeHash || record.expiresAt <= new Date()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  // Count the attempt before comparing, so parallel guesses can't exceed the limit
+  const counted = await OneTimeCode.findOneAndUpdate(
+    { _id: record._id, codeHash: record.codeHash, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!counted) {
+    return { valid: false, reason: 'invalid', attemptsRemaining: 0 };
+  }
+
+  const expected = Buffer.from(counted.codeHash, 'hex');
+  const provided = Buffer.from(hashCode(userId, purpose, String(code || '').trim()), 'hex');
+
+  if (crypto.timingSafeEqual(expected, provided)) {
+    if (!consume) {
+      // A correct check shouldn't use up one of the guesses
+      await OneTimeCode.updateOne({ _id: counted._id }, { $inc: { attempts: -1 } });
+      return { valid: true, target: counted.target };
+    }
+
+    // Single use: only one concurrent request gets to delete it
+    const { deletedCount } = await OneTimeCode.deleteOne({ _id: counted._id, codeHash: counted.codeHash });
+    return deletedCount === 1 ? { valid: true, target: counted.target } : { valid: false, reason: 'expired' };
+  }
+
+  if (counted.attempts >= MAX_ATTEMPTS) {
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+    await OneTimeCode.updateOne(
+      { _id: counted._id },
+      { codeHash: null, lockedUntil, expiresAt: lockedUntil }
+    );
+    return { valid: false, reason: 'locked', retryAfter: secondsUntil(lockedUntil) };
+  }
+
+  return { valid: false, reason: 'invalid', attemptsRemaining: MAX_ATTEMPTS - counted.attempts };
+}
+
+/**
+ * Drop any outstanding code (e.g. the address got verified another way).
+ * Lockouts are kept until they run out.
+ */
+export async function clearCodes(userId, purpose) {
+  await OneTimeCode.deleteMany({ userId, purpose, lockedUntil: null });
+}
+
+/**
+ * One-off migration: remove plaintext OTPs and attempt counters that used to
+ * live on the user document.
+ * @returns {Promise<number>} Number of users cleaned up
+ */
+export async function purgeLegacyUserCodes() {
+  // Raw driver update: the legacy fields are no longer in the schema
+  const result = await User.collection.updateMany(
+    {
+      $or: [
+        { emailVerificationToken: { $exists: true } },
+        { passwordResetToken: { $exists: true } },
+        { verificationAttempts: { $exists: true } }
+      ]
+    },
+    {
+      $unset: {
+        emailVerificationToken: "",
+        emailVerificationExpires: "",
+        passwordResetToken: "",
+        passwordResetExpires: "",
+        verificationAttempts: "",
+        lastVerificationAttempt: ""
+      }
+    }
+  );
+
+  for (const index of ['emailVerificationToken_1', 'passwordResetToken_1']) {
+    await User.collection.dropIndex(index).catch(() => {});
+  }
+
+  if (result.modifiedCount > 0) {
+    console.log(`✅ Removed legacy plaintext codes from ${result.modifiedCount} user(s)`);
+  }
+
+  return result.modifiedCount;
+}
@@ -0,0 +1,172 @@
+// lib/publishScheduler.js - In-process scheduler for timed publish/unpublish
+import Website from "../models/Website.model.js";
+import { buildPublishedSnapshot } from "../utils/publishUtils.js";
+import { getActiveSubscription } from "../utils/subscriptionUtils.js";
+import { invalidateWebsite } from "./siteRenderer.js";
+
+// setTimeout overflows above ~24.8 days, longer delays are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+// websiteId -> { publish: Timeout, unpublish: Timeout }
+const timers = new Map();
+
+/**
+ * Arm a timer that fires `run` at `at`, re-arming for very long delays
+ */
+function armTimer(websiteId, type, at, run) {
+  clearTimer(websiteId, type);
+
+  const delay = Math.max(0, new Date(at).getTime() - Date.now());
+  const timeout = setTimeout(() => {
+    if (delay > MAX_TIMER_DELAY) {
+      armTimer(websiteId, type, at, run);
+      return;
+    }
+    clearTimer(websiteId, type);
+    run().catch(error => {
+      console.error(`❌ Scheduled ${type} failed for website ${websiteId}:`, error);
+    });
+  }, Math.min(delay, MAX_TIMER_DELAY));
+
+  // Don't keep the process alive just for pending schedules
+  timeout.unref?.();
+
+  const entry = timers.get(websiteId) || {};
+  entry[type] = timeout;
+  timers.set(websiteId, entry);
+}
+
+function clearTimer(websiteId, type) {
+  const entry = timers.get(websiteId);
+  if (!entry?.[type]) return;
+
+  clearTimeout(entry[type]);
+  delete entry[type];
+  if (!entry.publish && !entry.unpublish) timers.delete(websiteId);
+}
+
+/**
+ * Publish a website whose publishAt has passed.
+ * The conditional update makes this a no-op if the schedule was changed or
+ * already executed (e.g. by another instance).
+ */
+async function runScheduledPublish(websiteId, publishAt) {
+  const website = await Website.findOne({ _id: websiteId, publishAt })
+    .select("html css js components userId unpublishAt");
+
+  if (!website) return;
+
+  // The whole publish window passed while we were down: nothing to publish
+  if (website.unpublishAt && website.unpublishAt <= new Date()) {
+    await Website.updateOne(
+      { _id: websiteId, publishAt },
+      { $set: { publishAt: null, unpublishAt: null } }
+    );
+    return;
+  }
+
+  const subscription = await getActiveSubscription(websiteId);
+  if (!subscription) {
+    console.log(`⚠️ Skipping scheduled publish for ${websiteId}: no active subscription`);
+    await Website.updateOne({ _id: websiteId, publishAt }, { $set: { publishAt: null } });
+    return;
+  }
+
+  const now = new Date();
+  const result = await Website.updateOne(
+    { _id: websiteId, publishAt },
+    {
+      $set: {
+        isPublished: true,
+        publishedAt: now,
+        published: buildPublishedSnapshot(website),
+        publishAt: null
+      }
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    invalidateWebsite(websiteId);
+    console.log(`✅ Scheduled publish executed for website ${websiteId}`);
+  }
+}
+
+/**
+ * Unpublish a website whose unpublishAt has passed
+ */
+async function runScheduledUnpublish(websiteId, unpublishAt) {
+  const website = await Website.findOne({ _id: websiteId, unpublishAt })
+    .select("publishAt")
+    .lean();
+
+  if (!website) return;
+
+  const update = {
+    isPublished: false,
+    publishedAt: null,
+    unpublishAt: null
+  };
+
+  // A publish scheduled before this unpublish has been overtaken
+  if (website.publishAt && website.publishAt <= unpublishAt) {
+    update.publishAt = null;
+    clearTimer(websiteId, 'publish');
+  }
+
+  const result = await Website.updateOne({ _id: websiteId, unpublishAt }, { $set: update });
+
+  if (result.modifiedCount > 0) {
+    invalidateWebsite(websiteId);
+    console.log(`✅ Scheduled unpublish executed for website ${websiteId}`);
+  }
+}
+
+/**
+ * (Re)arm timers from a website's publishAt/unpublishAt fields.
+ * Call after saving schedule changes.
+ * @param {Object} website - Website document with _id, publishAt, unpublishAt
+ */
+export function syncWebsiteSchedule(website) {
+  const websiteId = website._id.toString();
+
+  if (website.publishAt) {
+    const publishAt = website.publishAt;
+    armTimer(websiteId, 'publish', publishAt, () => runScheduledPublish(websiteId, publishAt));
+  } else {
+    clearTimer(websiteId, 'publish');
+  }
+
+  if (website.unpublishAt) {
+    const unpublishAt = website.unpublishAt;
+    armTimer(websiteId, 'unpublish', unpublishAt, () => runScheduledUnpublish(websiteId, unpublishAt));
+  } else {
+    clearTimer(websiteId, 'unpublish');
+  }
+}
+
+/**
+ * Drop all in-memory timers for a website (e.g. on delete)
+ * @param {string} websiteId
+ */
+export function clearWebsiteSchedule(websiteId) {
+  clearTimer(websiteId.toString(), 'publish');
+  clearTimer(websiteId.toString(), 'unpublish');
+}
+
+/**
+ * Load pending schedules from Mongo and arm timers.
+ * Overdue schedules (missed while the server was down) fire immediately.
+ * @returns {Promise<number>} Number of websites with pending schedules
+ */
+export async function initPublishScheduler() {
+  const pending = await Website.find({
+    $or: [{ publishAt: { $ne: null } }, { unpublishAt: { $ne: null } }]
+  })
+    .select("_id publishAt unpublishAt")
+    .lean();
+
+  pending.forEach(syncWebsiteSchedule);
+
+  console.log(`⏰ Publish scheduler started with ${pending.length} pending schedule(s)`);
+  return pending.length;
+}
@@ -0,0 +1,116 @@
+// lib/rateLimitStore.js - Hit counter stores for express-rate-limit / express-slow-down
+import { MemoryStore } from 'express-rate-limit';
+import RateLimitHit from '../models/RateLimitHit.model.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Fixed-window counters in MongoDB, so every instance behind a load balancer
+ * sees the same counts. Implements the express-rate-limit Store interface.
+ * @param {string} prefix - Unique per limiter (stores can't be shared)
+ */
+export function createMongoStore(prefix) {
+  let windowMs = 60 * 1000;
+  const fullKey = (key) => `${prefix}:${key}`;
+
+  const increment = async (key, retried = false) => {
+    const now = new Date();
+    const stillOpen = { $gt: ['$resetTime', now] };
+
+    try {
+      // One atomic round trip: start a new window if the last one ended, else count the hit
+      const doc = await RateLimitHit.findOneAndUpdate(
+        { key: fullKey(key) },
+        [{
+          $set: {
+            hits: { $cond: [stillOpen, { $add: ['$hits', 1] }, 1] },
+            resetTime: { $cond: [stillOpen, '$resetTime', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+
+      return { totalHits: doc.hits, resetTime: doc.resetTime };
+    } catch (error) {
+      // Two first hits raced on the upsert; the second one now finds the document
+      if (error.code === DUPLICATE_KEY && !retried) {
+        return increment(key, true);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    localKeys: false,
+    prefix,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const doc = await RateLimitHit.findOne({ key: fullKey(key), resetTime: { $gt: new Date() } }).lean();
+      return doc ? { totalHits: doc.hits, resetTime: doc.resetTime } : undefined;
+    },
+
+    increment,
+
+    async decrement(key) {
+      await RateLimitHit.updateOne(
+        { key: fullKey(key), hits: { $gt: 0 }, resetTime: { $gt: new Date() } },
+        { $inc: { hits: -1 } }
+      );
+    },
+
+    async resetKey(key) {
+      await RateLimitHit.deleteOne({ key: fullKey(key) });
+    }
+  };
+}
+
+function createBackend(prefix) {
+  const type = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  if (type === 'mongo') {
+    return createMongoStore(prefix);
+  }
+
+  if (type !== 'memory') {
+    console.warn(`Unknown RATE_LIMIT_STORE "${type}", using in-memory rate limiting`);
+  }
+
+  return new MemoryStore();
+}
+
+/**
+ * Store for one limiter, chosen with RATE_LIMIT_STORE ("memory" by default,
+ * "mongo" when running more than one instance).
+ * Limiters are created when the routes are imported, before dotenv runs, so
+ * the backend is only picked on the first hit.
+ * @param {string} prefix - Unique per limiter
+ */
+export function createRateLimitStore(prefix) {
+  let backend = null;
+  let limiterOptions = null;
+
+  const resolve = () => {
+    if (!backend) {
+      backend = createBackend(prefix);
+      backend.init?.(limiterOptions);
+    }
+    return backend;
+  };
+
+  return {
+    prefix,
+
+    init(options) {
+      limiterOptions = options;
+    },
+
+    get: (key) => resolve().get(key),
+    increment: (key) => resolve().increment(key),
+    decrement: (key) => resolve().decrement(key),
+    resetKey: (key) => resolve().resetKey(key)
+  };
+}
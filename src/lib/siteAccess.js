@@ -0,0 +1,244 @@
+// lib/siteAccess.js - Access control for password-protected and owner-only published sites
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import Website from "../models/Website.model.js";
+import { verifyAccessToken } from "../utils/generateTokens.js";
+
+export const ACCESS_MODES = ['public', 'password', 'owner'];
+
+// Query parameter carrying a preview token (see createPreviewToken)
+export const PREVIEW_TOKEN_PARAM = 'preview_token';
+
+const COOKIE_PREFIX = 'site_access_';
+const DEFAULT_COOKIE_HOURS = 24;
+const DEFAULT_PREVIEW_TOKEN_MINUTES = 5;
+
+function getSecret() {
+  const secret = process.env.SITE_ACCESS_SECRET || process.env.JWT_SECRET_KEY;
+  if (!secret || secret.length < 32) {
+    throw new Error('SITE_ACCESS_SECRET (or JWT_SECRET_KEY) must be at least 32 characters long');
+  }
+  return secret;
+}
+
+function getCookieMaxAge() {
+  return (parseInt(process.env.SITE_ACCESS_COOKIE_HOURS) || DEFAULT_COOKIE_HOURS) * 60 * 60 * 1000;
+}
+
+function getPreviewTokenMaxAge() {
+  return (parseInt(process.env.SITE_PREVIEW_TOKEN_MINUTES) || DEFAULT_PREVIEW_TOKEN_MINUTES) * 60 * 1000;
+}
+
+/**
+ * Access-relevant fields of a website, as used by the functions below
+ * @param {Object} website - Website with _id, userId, accessMode, accessChangedAt
+ * @returns {{ websiteId: string, ownerId: string, accessMode: string, accessChangedAt: Date|null }}
+ */
+export function getSiteAccessInfo(website) {
+  return {
+    websiteId: website._id.toString(),
+    ownerId: website.userId ? website.userId.toString() : null,
+    accessMode: website.accessMode || 'public',
+    accessChangedAt: website.accessChangedAt || null
+  };
+}
+
+/**
+ * Cookie name for a website; one cookie per site
+ */
+export function getAccessCookieName(websiteId) {
+  return `${COOKIE_PREFIX}${websiteId}`;
+}
+
+/**
+ * Version stamp mixed into the signature so password/mode changes
+ * invalidate previously issued cookies
+ */
+function getAccessVersion(site) {
+  return site.accessChangedAt ? new Date(site.accessChangedAt).getTime() : 0;
+}
+
+// purpose keeps cookie values and preview tokens from standing in for each other
+function sign(site, expires, purpose = 'cookie') {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${purpose}:${site.websiteId}:${site.accessMode}:${getAccessVersion(site)}:${expires}`)
+    .digest('base64url');
+}
+
+function verifySigned(site, value, purpose) {
+  if (!value || typeof value !== 'string') return false;
+
+  const [expires, signature] = value.split('.');
+  if (!expires || !signature || Number(expires) <= Date.now()) return false;
+
+  const expected = Buffer.from(sign(site, expires, purpose));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Signed cookie value granting access to one site
+ * @param {Object} site - { websiteId, accessMode, accessChangedAt }
+ * @returns {string} "<expires>.<signature>"
+ */
+export function createAccessCookieValue(site) {
+  const expires = Date.now() + getCookieMaxAge();
+  return `${expires}.${sign(site, expires)}`;
+}
+
+/**
+ * Verify a cookie value produced by createAccessCookieValue
+ * @returns {boolean}
+ */
+export function verifyAccessCookieValue(site, value) {
+  return verifySigned(site, value, 'cookie');
+}
+
+/**
+ * Short-lived token for an owner preview link. It opens only this site, in its
+ * current access mode, and sets the site cookie; it stays usable until it expires.
+ * Lifetime: SITE_PREVIEW_TOKEN_MINUTES (default 5)
+ * @param {Object} site - { websiteId, accessMode, accessChangedAt }
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export function createPreviewToken(site) {
+  const expires = Date.now() + getPreviewTokenMaxAge();
+  return {
+    token: `${expires}.${sign(site, expires, 'preview')}`,
+    expiresAt: new Date(expires)
+  };
+}
+
+/**
+ * Verify a token produced by createPreviewToken
+ * @returns {boolean}
+ */
+export function verifyPreviewToken(site, token) {
+  return verifySigned(site, token, 'preview');
+}
+
+/**
+ * Set the site-scoped access cookie
+ */
+export function setAccessCookie(res, site, path = '/') {
+  res.cookie(getAccessCookieName(site.websiteId), createAccessCookieValue(site), {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path,
+    maxAge: getCookieMaxAge()
+  });
+}
+
+/**
+ * Access token from the Authorization header or the app's accessToken cookie
+ */
+function getRequestAccessToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.split(' ')[1];
+  }
+  return req.cookies?.accessToken || null;
+}
+
+/**
+ * Whether an access token belongs to the site's owner
+ * @param {Object} site - { ownerId }
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isOwnerToken(site, token) {
+  if (!token) return false;
+
+  const result = verifyAccessToken(token);
+  return result.success && result.decoded.userId === String(site.ownerId);
+}
+
+/**
+ * Decide whether a request may view a site
+ * @param {Object} req
+ * @param {Object} site - { websiteId, ownerId, accessMode, accessChangedAt }
+ * @returns {'granted'|'password'|'denied'} password: show the unlock form
+ */
+export function checkSiteAccess(req, site) {
+  const mode = site.accessMode || 'public';
+  if (mode === 'public') return 'granted';
+
+  if (verifyAccessCookieValue(site, req.cookies?.[getAccessCookieName(site.websiteId)])) {
+    return 'granted';
+  }
+
+  // The owner can always view their own site
+  if (isOwnerToken(site, getRequestAccessToken(req))) {
+    return 'granted';
+  }
+
+  return mode === 'password' ? 'password' : 'denied';
+}
+
+/**
+ * Check a visitor-supplied password against the site's hashed password
+ * @param {string} websiteId
+ * @param {string} password
+ * @returns {Promise<boolean>}
+ */
+export async function verifySitePassword(websiteId, password) {
+  if (!password || typeof password !== 'string') return false;
+
+  const website = await Website.findById(websiteId)
+    .select("+accessPasswordHash accessMode")
+    .lean();
+
+  if (!website || website.accessMode !== 'password' || !website.accessPasswordHash) {
+    return false;
+  }
+
+  return bcrypt.compare(password, website.accessPasswordHash);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Minimal unlock form posting the password back to the same URL
+ * @param {Object} options - { name, error }
+ * @returns {string}
+ */
+export function renderUnlockForm({ name, error } = {}) {
+  return `<!DOCTYPE html>
+<html><head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>Password required</title>
+</head>
+<body style="font-family: Arial; text-align: center; padding: 50px;">
+  <h1>🔒 ${name ? escapeHtml(name) : 'This website'} is password protected</h1>
+  ${error ? `<p style="color: #b91c1c;">${escapeHtml(error)}</p>` : ''}
+  <form method="POST" style="margin-top: 20px;">
+    <input type="password" name="password" placeholder="Password" required autofocus
+      style="padding: 8px; font-size: 16px;">
+    <button type="submit" style="padding: 8px 16px; font-size: 16px;">Unlock</button>
+  </form>
+</body></html>`;
+}
+
+/**
+ * Page shown to visitors of an owner-only site
+ * @returns {string}
+ */
+export function renderPrivatePage() {
+  return `<!DOCTYPE html>
+<html><head><meta name="robots" content="noindex"><title>Private Website</title></head>
+<body style="font-family: Arial; text-align: center; padding: 50px;">
+  <h1>🔒 Private Website</h1>
+  <p>This website is only visible to its owner.</p>
+</body></html>`;
+}
@@ -0,0 +1,179 @@
+// lib/siteRenderer.js - Render published websites to HTML with an in-memory LRU cache
+import crypto from "crypto";
+import { getSiteAccessInfo } from "./siteAccess.js";
+import { getInlineScriptHashes, buildSiteCsp } from "./cspBuilder.js";
+
+const DEFAULT_CACHE_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_TTL_SECONDS = 300;
+const DEFAULT_CACHE_CONTROL = 'public, max-age=0, must-revalidate';
+
+// Least-recently-used order: Map iteration order is insertion order
+const cache = new Map();
+
+function getMaxEntries() {
+  return parseInt(process.env.RENDER_CACHE_MAX_ENTRIES) || DEFAULT_CACHE_MAX_ENTRIES;
+}
+
+/**
+ * Entries also expire after a TTL, bounding staleness for changes that
+ * do not invalidate explicitly (e.g. subscription expiry)
+ */
+function getTtlMs() {
+  const seconds = parseInt(process.env.RENDER_CACHE_TTL_SECONDS);
+  return (Number.isNaN(seconds) ? DEFAULT_CACHE_TTL_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Inject a snippet before a closing tag, or append it when the tag is missing
+ */
+function injectBefore(html, closingTag, snippet) {
+  const index = html.toLowerCase().lastIndexOf(closingTag);
+  if (index === -1) return `${html}\n${snippet}`;
+  return `${html.slice(0, index)}${snippet}\n${html.slice(index)}`;
+}
+
+/**
+ * Assemble the final document from a website's published snapshot
+ * @param {Object} published - website.published ({ html, css, js })
+ * @returns {string}
+ */
+export function assembleDocument(published) {
+  let html = published.html || '';
+
+  if (published.css && published.css.trim()) {
+    html = injectBefore(html, '</head>', `<style>\n${published.css}\n</style>`);
+  }
+
+  if (published.js && published.js.trim()) {
+    // Keep user code from closing the script element early
+    const js = published.js.replace(/<\/script/gi, '<\\/script');
+    html = injectBefore(html, '</body>', `<script>\n${js}\n</script>`);
+  }
+
+  if (!/^\s*<!doctype/i.test(html)) {
+    html = `<!DOCTYPE html>\n${html}`;
+  }
+
+  return html;
+}
+
+/**
+ * Render a published website
+ * @param {Object} website - Website with _id, userId, name, published, access fields, publishedAt/updatedAt
+ * @returns {Object} Page: access info (see getSiteAccessInfo) plus name, body, csp, etag, lastModified
+ */
+export function renderWebsite(website) {
+  const body = assembleDocument(website.published || {});
+  const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+  const lastModified = new Date(website.publishedAt || website.updatedAt || Date.now());
+  // HTTP dates have second precision
+  lastModified.setMilliseconds(0);
+
+  return {
+    ...getSiteAccessInfo(website),
+    name: website.name,
+    body,
+    csp: buildSiteCsp({
+      websiteId: website._id.toString(),
+      scriptHashes: getInlineScriptHashes(body),
+      allowlist: website.cspAllowlist
+    }),
+    etag: `"${hash.slice(0, 32)}"`,
+    lastModified
+  };
+}
+
+/**
+ * Cached page (or redirect) for a lookup key such as "host:example.com"
+ * @param {string} key
+ * @returns {Object|null}
+ */
+export function getCachedPage(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+
+  // Mark as most recently used
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry.page;
+}
+
+/**
+ * Store a page under a lookup key, evicting the least recently used entries
+ * @param {string} key
+ * @param {Object} page - Must carry websiteId for invalidation
+ */
+export function cachePage(key, page) {
+  const ttl = getTtlMs();
+  if (ttl <= 0) return;
+
+  cache.delete(key);
+  cache.set(key, { page, expiresAt: Date.now() + ttl });
+
+  const maxEntries = getMaxEntries();
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Drop every cached page of a website (all hosts and its slug)
+ * @param {string|Object} websiteId
+ */
+export function invalidateWebsite(websiteId) {
+  const id = String(websiteId);
+  for (const [key, entry] of cache) {
+    if (entry.page.websiteId === id) cache.delete(key);
+  }
+}
+
+/**
+ * Whether the client's cached copy is still current
+ */
+function isNotModified(req, page) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(page.etag);
+  }
+
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifModifiedSince) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && page.lastModified.getTime() <= since;
+  }
+
+  return false;
+}
+
+/**
+ * Send a rendered page with validators, answering conditional requests with 304
+ */
+export function sendPage(req, res, page) {
+  res.setHeader('ETag', page.etag);
+  res.setHeader('Last-Modified', page.lastModified.toUTCString());
+  // Protected pages must never be stored by shared caches
+  res.setHeader('Cache-Control', page.accessMode && page.accessMode !== 'public'
+    ? 'private, no-cache'
+    : process.env.SITE_CACHE_CONTROL || DEFAULT_CACHE_CONTROL);
+
+  if (page.csp) {
+    res.setHeader('Content-Security-Policy', page.csp);
+  }
+
+  if (isNotModified(req, page)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.status(200).send(page.body);
+}
@@ -0,0 +1,50 @@
+// middleware/audit.middleware.js - Record sensitive requests in the audit log
+import { recordRequestEvent } from "../lib/auditLog.js";
+
+// Targets resolved by the ownership middleware (or from the route params)
+export const websiteTarget = (req) => ({
+  type: 'website',
+  id: req.website?._id || req.params.websiteId,
+  label: req.website?.name
+});
+
+export const subscriptionTarget = (req) => ({
+  type: 'subscription',
+  id: req.subscription?._id || req.body?.subscriptionId,
+  label: req.subscription?.subscriptionId
+});
+
+export const templateTarget = (req) => ({
+  type: 'template',
+  id: req.params.id,
+  label: typeof req.body?.name === 'string' ? req.body.name.slice(0, 100) : null
+});
+
+export const workspaceTarget = (req) => ({
+  type: 'workspace',
+  id: req.workspace?._id || req.params.workspaceId,
+  label: req.workspace?.name
+});
+
+export const userTarget = (req) => ({
+  type: 'user',
+  id: req.params.userId
+});
+
+// Audit middleware: records the event once the response has been sent, so the
+// outcome is known and protectRoute (wherever it sits in the chain) has set req.user
+// Usage: router.delete('/:websiteId', protectRoute, auditAction('website_delete', { category: 'website', target: websiteTarget }), ...)
+export const auditAction = (type, { category, target, metadata } = {}) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      recordRequestEvent(req, res, {
+        type,
+        category,
+        target: typeof target === 'function' ? target(req, res) : target,
+        metadata: typeof metadata === 'function' ? metadata(req, res) : metadata
+      });
+    });
+
+    next();
+  };
+};
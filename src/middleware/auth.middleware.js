@@ -1,5 +1,8 @@
 import { verifyAccessToken } from "../utils/generateTokens.js"
 import User from "../models/User.js";
+import { hasPermission } from "../utils/permissions.js";
+import { getBlockedAccountError } from "../utils/accountStatus.js";
+import { auditAction } from "./audit.middleware.js";
 
 export const protectRoute = async(req, res, next) => {
     try {
@@ -72,12 +75,13 @@ export const protectRoute = async(req, res, next) => {
       });
     }
 
-    // 7. Check if user account is active (optional - add status field to User model)
-    if (user.status === 'suspended' || user.status === 'inactive') {
+    // 7. Check if user account is active (suspended/deactivated accounts are blocked)
+    const blocked = getBlockedAccountError(user);
+    if (blocked) {
       return res.status(403).json({ 
         success: false,
-        message: "Your account has been suspended. Please contact support.",
-        code: "ACCOUNT_SUSPENDED"
+        message: blocked.message,
+        code: blocked.code
       });
     }
 
@@ -131,23 +135,9 @@ export const securityHeaders = (req, res, next) => {
 };
 
 
-// Middleware to log authentication events
+// Middleware to log authentication events (stored in the audit log once the response is sent)
 export const logAuthEvent = (event, additionalData = {}) => {
-  return (req, res, next) => {
-    const logData = {
-      event,
-      userId: req.user?.id,
-      ip: req.ip || req.connection.remoteAddress,
-      userAgent: req.headers['user-agent'],
-      timestamp: new Date().toISOString(),
-      ...additionalData
-    };
-    
-    console.log('Auth Event:', JSON.stringify(logData));
-    // In production, send to logging service (like Winston, LogRocket, etc.)
-    
-    next();
-  };
+  return auditAction(event, { category: 'auth', metadata: additionalData });
 };
 
 
@@ -170,6 +160,32 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Permission middleware: the user's role must grant every listed permission
+// Usage: router.post('/add-template', protectRoute, requirePermission('templates:write'), addTemplate)
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ 
+        success: false,
+        message: "You don't have permission to perform this action",
+        code: "INSUFFICIENT_PERMISSIONS",
+        requiredPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
 // Middleware for soft authentication (user is optional)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -0,0 +1,182 @@
+// middleware/ownership.middleware.js - Resource-level authorization (run after protectRoute)
+import Website from "../models/Website.model.js";
+import Subscription from "../models/Subscription.model.js";
+import Workspace from "../models/Workspace.model.js";
+import { hasWorkspaceRole, getMemberRole, getWorkspaceRole } from "../utils/workspaceUtils.js";
+
+const OBJECT_ID_REGEX = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Whether a user may act on a resource.
+ * Workspaces and resources that belong to one (workspaceId) go by the user's
+ * member role; anything not yet in a workspace is owner-only (userId).
+ * @param {Object} user - req.user
+ * @param {Object} resource - Workspace, or document with workspaceId/userId fields
+ * @param {string} [role='owner'] - Minimum workspace role: 'viewer' | 'editor' | 'owner'
+ * @returns {Promise<boolean>}
+ */
+export const canAccessResource = async (user, resource, role = 'owner') => {
+  if (!user || !resource) return false;
+
+  if (resource.members) {
+    return hasWorkspaceRole(getMemberRole(resource, user._id), role);
+  }
+
+  if (resource.workspaceId) {
+    return hasWorkspaceRole(await getWorkspaceRole(resource.workspaceId, user._id), role);
+  }
+
+  if (!resource.userId) return false;
+  return resource.userId.toString() === user._id.toString();
+};
+
+/**
+ * Build a middleware that loads a resource, checks access and attaches it to req
+ * @param {Object} options
+ * @param {string} options.label - Resource name used in messages
+ * @param {string} options.attachAs - req property receiving the loaded document
+ * @param {Function} options.load - async (req) => { resource } | { error }
+ * @param {string} [options.role='owner'] - Minimum workspace role (see canAccessResource)
+ */
+export const authorizeResource = ({ label, attachAs, load, role = 'owner' }) => {
+  return async (req, res, next) => {
+    try {
+      const { resource, error } = await load(req);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`
+        });
+      }
+
+      if (!(await canAccessResource(req.user, resource, role))) {
+        return res.status(403).json({
+          success: false,
+          message: `You don't have permission to access this ${label}`,
+          code: "FORBIDDEN"
+        });
+      }
+
+      req[attachAs] = resource;
+      next();
+    } catch (error) {
+      console.error(`Authorization error (${label}):`, error);
+      res.status(500).json({
+        success: false,
+        message: "Internal server error during authorization.",
+        code: "AUTHORIZATION_ERROR"
+      });
+    }
+  };
+};
+
+/**
+ * Require at least the given workspace role on the website; attaches req.website
+ * @param {string} role - 'viewer' | 'editor' | 'owner'
+ * @param {Object} [options]
+ * @param {string} [options.param='websiteId'] - Name of the id field
+ * @param {'params'|'query'|'body'} [options.source='params'] - Where the id comes from
+ * @example router.put('/update/:websiteId', protectRoute, requireWebsiteAccess('editor'), updateTemplate)
+ */
+export const requireWebsiteAccess = (role, { param = 'websiteId', source = 'params' } = {}) => {
+  return authorizeResource({
+    label: 'website',
+    attachAs: 'website',
+    role,
+    load: async (req) => {
+      const websiteId = req[source]?.[param];
+
+      if (!websiteId || !String(websiteId).match(OBJECT_ID_REGEX)) {
+        return { error: "Valid website ID is required" };
+      }
+
+      return { resource: await Website.findById(websiteId).select("-thumbnail.data") };
+    }
+  });
+};
+
+/**
+ * Require the acting user to own the website (workspace owner); attaches req.website
+ * @example router.delete('/delete-website/:websiteId', protectRoute, requireWebsiteOwner(), deleteWebsite)
+ */
+export const requireWebsiteOwner = (options) => requireWebsiteAccess('owner', options);
+
+/**
+ * Require the acting user to own the Stripe subscription; attaches req.subscription
+ * @param {Object} [options]
+ * @param {string} [options.param='subscriptionId'] - Name of the Stripe subscription id field
+ * @param {'params'|'query'|'body'} [options.source='body']
+ */
+export const requireSubscriptionOwner = ({ param = 'subscriptionId', source = 'body' } = {}) => {
+  return authorizeResource({
+    label: 'subscription',
+    attachAs: 'subscription',
+    load: async (req) => {
+      const subscriptionId = req[source]?.[param];
+
+      if (!subscriptionId || typeof subscriptionId !== 'string') {
+        return { error: "subscriptionId is required" };
+      }
+
+      return { resource: await Subscription.findOne({ subscriptionId }) };
+    }
+  });
+};
+
+/**
+ * Require at least the given role in the :workspaceId workspace; attaches req.workspace
+ * @param {string} role - 'viewer' | 'editor' | 'owner'
+ * @example router.post('/:workspaceId/invitations', protectRoute, requireWorkspaceRole('owner'), inviteMember)
+ */
+export const requireWorkspaceRole = (role) => {
+  return authorizeResource({
+    label: 'workspace',
+    attachAs: 'workspace',
+    role,
+    load: async (req) => {
+      const { workspaceId } = req.params;
+
+      if (!workspaceId || !workspaceId.match(OBJECT_ID_REGEX)) {
+        return { error: "Invalid workspace ID" };
+      }
+
+      return { resource: await Workspace.findById(workspaceId) };
+    }
+  });
+};
+
+/**
+ * For legacy routes that carry a :userId, require it to be the acting user.
+ * Controllers still take the user from req.user.
+ * @param {string} [param='userId']
+ */
+export const requireSelf = (param = 'userId') => {
+  return (req, res, next) => {
+    const userId = req.params[param];
+
+    if (!userId || !userId.match(OBJECT_ID_REGEX)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID"
+      });
+    }
+
+    if (!req.user || userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only access your own resources",
+        code: "FORBIDDEN"
+      });
+    }
+
+    next();
+  };
+};
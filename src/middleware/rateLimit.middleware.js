@@ -0,0 +1,148 @@
+// middleware/rateLimit.middleware.js - Brute-force protection for the public auth endpoints
+import rateLimit from "express-rate-limit";
+import slowDown from "express-slow-down";
+import validator from "validator";
+import { createRateLimitStore } from "../lib/rateLimitStore.js";
+
+const MINUTE = 60 * 1000;
+
+// Account limits are keyed by the normalized email, the same way the controllers look users up
+const getAccountKey = (req) => {
+  const email = req.body?.email;
+  if (typeof email !== 'string' || !validator.isEmail(email.trim())) return null;
+  return validator.normalizeEmail(email.trim());
+};
+
+const sendRateLimited = (message, code) => (req, res, next, options) => {
+  const resetTime = req.rateLimit?.resetTime;
+  const retryAfter = resetTime
+    ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+
+  res.setHeader('Retry-After', retryAfter);
+  res.status(options.statusCode).json({
+    success: false,
+    message,
+    code,
+    retryAfter
+  });
+};
+
+/**
+ * Hard limit per client IP
+ */
+const limitByIp = (name, { windowMs, limit }) => rateLimit({
+  windowMs,
+  limit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore(`${name}-ip`),
+  // Don't take auth down with the limiter if the shared store is unreachable
+  passOnStoreError: true,
+  handler: sendRateLimited("Too many requests from this IP. Please try again later.", "RATE_LIMITED")
+});
+
+/**
+ * Hard limit per account (email in the request body).
+ * `limit` may be a function so it can be read from the environment per request.
+ */
+const limitByAccount = (name, { windowMs, limit, skipSuccessfulRequests = false, message, code = "RATE_LIMITED" }) => rateLimit({
+  windowMs,
+  limit,
+  skipSuccessfulRequests,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  store: createRateLimitStore(`${name}-account`),
+  passOnStoreError: true,
+  skip: (req) => !getAccountKey(req),
+  keyGenerator: (req) => getAccountKey(req),
+  handler: sendRateLimited(message || "Too many requests for this account. Please try again later.", code)
+});
+
+/**
+ * Progressive delay: each request over `delayAfter` waits `stepMs` longer than the last
+ */
+const delayBy = (name, { windowMs, delayAfter, stepMs, maxDelayMs, byAccount = false, skipSuccessfulRequests = false }) => slowDown({
+  windowMs,
+  delayAfter,
+  delayMs: (used) => (used - delayAfter) * stepMs,
+  maxDelayMs,
+  skipSuccessfulRequests,
+  store: createRateLimitStore(`${name}-${byAccount ? 'account' : 'ip'}-delay`),
+  passOnStoreError: true,
+  ...(byAccount && {
+    skip: (req) => !getAccountKey(req),
+    keyGenerator: (req) => getAccountKey(req)
+  })
+});
+
+/**
+ * POST /api/auth/login
+ * Per IP: delays after 10 attempts, blocked after 30 (15 min window).
+ * Per account: failed logins are delayed from the 3rd on, and after
+ * LOGIN_MAX_FAILURES (default 5) within 15 minutes the account is locked
+ * until the window ends. Successful logins don't count.
+ */
+export const loginRateLimit = [
+  limitByIp('login', { windowMs: 15 * MINUTE, limit: 30 }),
+  delayBy('login', { windowMs: 15 * MINUTE, delayAfter: 10, stepMs: 500, maxDelayMs: 5000 }),
+  limitByAccount('login', {
+    windowMs: 15 * MINUTE,
+    limit: () => parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    skipSuccessfulRequests: true,
+    message: "Too many failed login attempts. This account is temporarily locked.",
+    code: "ACCOUNT_LOCKED"
+  }),
+  delayBy('login', {
+    windowMs: 15 * MINUTE,
+    delayAfter: 2,
+    stepMs: 1000,
+    maxDelayMs: 10000,
+    byAccount: true,
+    skipSuccessfulRequests: true
+  })
+];
+
+/**
+ * POST /api/auth/login/2fa
+ * Per IP: delays after 5 attempts, blocked after 20 (15 min window).
+ * Wrong codes also lock the account's 2FA (utils/twoFactorUtils.js).
+ */
+export const twoFactorLoginRateLimit = [
+  limitByIp('login-2fa', { windowMs: 15 * MINUTE, limit: 20 }),
+  delayBy('login-2fa', { windowMs: 15 * MINUTE, delayAfter: 5, stepMs: 500, maxDelayMs: 5000 })
+];
+
+/**
+ * POST /api/auth/signup
+ */
+export const signupRateLimit = [
+  limitByIp('signup', { windowMs: 60 * MINUTE, limit: 10 }),
+  limitByAccount('signup', { windowMs: 60 * MINUTE, limit: 5 })
+];
+
+/**
+ * POST /api/auth/forgot-password
+ */
+export const forgotPasswordRateLimit = [
+  limitByIp('forgot-password', { windowMs: 15 * MINUTE, limit: 10 }),
+  limitByAccount('forgot-password', { windowMs: 15 * MINUTE, limit: 3 })
+];
+
+/**
+ * POST /api/auth/verify-email
+ * (wrong codes are also locked out per code by the one-time-code service)
+ */
+export const verifyEmailRateLimit = [
+  limitByIp('verify-email', { windowMs: 15 * MINUTE, limit: 30 }),
+  delayBy('verify-email', { windowMs: 15 * MINUTE, delayAfter: 5, stepMs: 500, maxDelayMs: 5000 }),
+  limitByAccount('verify-email', { windowMs: 15 * MINUTE, limit: 10 })
+];
+
+/**
+ * POST /api/auth/resend-verification
+ */
+export const resendVerificationRateLimit = [
+  limitByIp('resend-verification', { windowMs: 15 * MINUTE, limit: 10 }),
+  limitByAccount('resend-verification', { windowMs: 60 * MINUTE, limit: 5 })
+];
@@ -0,0 +1,31 @@
+// models/AcmeAccount.model.js - ACME account per directory URL
+import mongoose from "mongoose"
+
+const AcmeAccountSchema = new mongoose.Schema({
+  directoryUrl: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Account private key (PEM), encrypted with utils/encryption.js
+  accountKey: {
+    type: String,
+    required: true
+  },
+
+  accountUrl: {
+    type: String,
+    default: null
+  },
+
+  email: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const AcmeAccounts = mongoose.model("AcmeAccount", AcmeAccountSchema);
+export default AcmeAccounts
@@ -0,0 +1,34 @@
+// models/AcmeChallenge.model.js - Pending HTTP-01 challenge responses
+import mongoose from "mongoose"
+
+const AcmeChallengeSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  keyAuthorization: {
+    type: String,
+    required: true
+  },
+
+  domain: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+
+  // Challenges are short-lived; Mongo's TTL monitor removes stale ones
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+AcmeChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AcmeChallenges = mongoose.model("AcmeChallenge", AcmeChallengeSchema);
+export default AcmeChallenges
@@ -0,0 +1,86 @@
+// models/AuditEvent.model.js - Security audit trail (auth events and sensitive actions)
+import mongoose from "mongoose"
+
+const AuditEventSchema = new mongoose.Schema({
+  // e.g. "login_attempt", "website_delete", "admin_role_grant"
+  type: {
+    type: String,
+    required: true
+  },
+
+  category: {
+    type: String,
+    enum: ['auth', 'website', 'subscription', 'template', 'admin', 'account', 'workspace'],
+    required: true
+  },
+
+  // Who did it; public auth events only have the email that was submitted
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+    email: {
+      type: String,
+      default: null
+    }
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // What it was done to
+  target: {
+    type: {
+      type: String,
+      default: null
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    label: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Filled in once the response has been sent
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+
+  method: String,
+  path: String,
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditEventSchema.index({ "actor.userId": 1, createdAt: -1 });
+AuditEventSchema.index({ "actor.email": 1, createdAt: -1 });
+AuditEventSchema.index({ type: 1, createdAt: -1 });
+AuditEventSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 });
+AuditEventSchema.index({ ip: 1, createdAt: -1 });
+// Events are kept for a year
+AuditEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const AuditEvent = mongoose.model("AuditEvent", AuditEventSchema);
+export default AuditEvent
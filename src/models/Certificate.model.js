@@ -0,0 +1,72 @@
+// models/Certificate.model.js - TLS certificates issued for custom domains
+import mongoose from "mongoose"
+
+const CertificateSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: [true, 'Domain is required'],
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Website",
+    required: [true, 'Website ID is required'],
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'issued', 'failed'],
+    default: 'pending',
+    index: true
+  },
+
+  // PEM certificate chain and private key, encrypted with utils/encryption.js
+  certificate: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  privateKey: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  issuedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+CertificateSchema.index({ status: 1, expiresAt: 1 });
+
+const Certificates = mongoose.model("Certificate", CertificateSchema);
+export default Certificates
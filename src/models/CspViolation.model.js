@@ -0,0 +1,36 @@
+// models/CspViolation.model.js - Content Security Policy violation reports per website
+import mongoose from "mongoose"
+
+const CspViolationSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Website",
+    required: true
+  },
+
+  documentUri: { type: String, default: null },
+  violatedDirective: { type: String, default: null },
+  effectiveDirective: { type: String, default: null },
+  blockedUri: { type: String, default: null },
+  sourceFile: { type: String, default: null },
+  lineNumber: { type: Number, default: null },
+  columnNumber: { type: Number, default: null },
+  disposition: { type: String, default: null },
+  sample: { type: String, default: null },
+
+  userAgent: { type: String, default: null },
+
+  // Reports are diagnostic only; Mongo's TTL monitor removes old ones
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+CspViolationSchema.index({ websiteId: 1, createdAt: -1 });
+CspViolationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CspViolation = mongoose.model("CspViolation", CspViolationSchema);
+export default CspViolation
@@ -0,0 +1,49 @@
+// models/MagicLinkToken.model.js - Passwordless sign-in links (hashed, single use)
+import mongoose from "mongoose"
+
+const MagicLinkTokenSchema = new mongoose.Schema({
+  // SHA-256 of the emailed token; null for requests that sent nothing (unknown email)
+  tokenHash: {
+    type: String,
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  // Every request is recorded so requests can be rate limited per email and IP
+  email: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MagicLinkTokenSchema.index(
+  { tokenHash: 1 },
+  { unique: true, partialFilterExpression: { tokenHash: { $type: "string" } } }
+);
+MagicLinkTokenSchema.index({ email: 1, createdAt: -1 });
+MagicLinkTokenSchema.index({ ip: 1, createdAt: -1 });
+// Keep records a day for rate limiting, then let Mongo's TTL monitor drop them
+MagicLinkTokenSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const MagicLinkToken = mongoose.model("MagicLinkToken", MagicLinkTokenSchema);
+export default MagicLinkToken
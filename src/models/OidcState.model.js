@@ -0,0 +1,45 @@
+// models/OidcState.model.js - Pending OpenID Connect login attempts (single use, short-lived)
+import mongoose from "mongoose"
+
+const OidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+
+  nonce: {
+    type: String,
+    required: true
+  },
+
+  // PKCE code verifier sent with the code exchange
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+
+  // App path to land on after login
+  redirectPath: {
+    type: String,
+    default: null
+  },
+
+  // Mongo's TTL monitor removes abandoned attempts
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 10 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+OidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState = mongoose.model("OidcState", OidcStateSchema);
+export default OidcState
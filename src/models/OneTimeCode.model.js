@@ -0,0 +1,59 @@
+// models/OneTimeCode.model.js - Hashed one-time codes (email verification, password reset, ...)
+import mongoose from "mongoose"
+
+const OneTimeCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // What the code may be used for; a code for one purpose never works for another
+  purpose: {
+    type: String,
+    enum: ['email-verification', 'password-reset', 'email-change'],
+    required: true
+  },
+
+  // What the code confirms, e.g. the new address for an email change
+  target: {
+    type: String,
+    default: null
+  },
+
+  // HMAC of the code; null once the code is locked out
+  codeHash: {
+    type: String,
+    default: null
+  },
+
+  // Failed verification attempts against the current code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Mongo's TTL monitor removes expired codes (and lockouts once they end)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One live code per user and purpose: issuing a new one replaces the old
+OneTimeCodeSchema.index({ userId: 1, purpose: 1 }, { unique: true });
+OneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OneTimeCode = mongoose.model("OneTimeCode", OneTimeCodeSchema);
+export default OneTimeCode
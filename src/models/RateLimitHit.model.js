@@ -0,0 +1,27 @@
+// models/RateLimitHit.model.js - Shared hit counters for rate limiting across instances
+import mongoose from "mongoose"
+
+const RateLimitHitSchema = new mongoose.Schema({
+  // "<limiter prefix>:<client key>", e.g. "login-account:jane@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  hits: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the current window; Mongo's TTL monitor removes finished windows
+  resetTime: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitHitSchema.index({ resetTime: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitHit = mongoose.model("RateLimitHit", RateLimitHitSchema);
+export default RateLimitHit
@@ -0,0 +1,77 @@
+// models/RefreshToken.model.js - Issued refresh tokens, one rotation chain (family) per sign-in
+import mongoose from "mongoose"
+
+const RefreshTokenSchema = new mongoose.Schema({
+  // JWT id claim of the refresh token
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // Shared by every token rotated from the same sign-in (one device/session)
+  familyId: {
+    type: String,
+    required: true
+  },
+
+  // Session details, carried over on rotation
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 512
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the token is rotated; presenting it again is reuse
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse', 'suspended', 'session-revoked', 'password-reset', 'password-change', null],
+    default: null
+  },
+
+  // Same as the JWT exp; Mongo's TTL monitor removes expired records
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+RefreshTokenSchema.index({ familyId: 1 });
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1, replacedBy: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+export default RefreshToken
@@ -34,6 +34,14 @@ const SubscriptionSchema = new mongoose.Schema({
     required: [true, 'Website ID is required'],
     index: true
   },
+
+  // Workspace of the website when it was subscribed (userId is the payer)
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+    index: true
+  },
   
   subscriptionId: { 
     type: String, 
@@ -78,6 +86,13 @@ const SubscriptionSchema = new mongoose.Schema({
   metadata: {
     type: Object,
     default: {}
+  },
+
+  // Set when the owner's account was deleted: the record is kept for
+  // accounting with the personal fields cleared
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
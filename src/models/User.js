@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ROLES, DEFAULT_ROLE } from "../utils/permissions.js";
 
 const userSchema = new mongoose.Schema({
     fullName:{
@@ -23,40 +24,149 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    emailVerificationToken: {
-        type: String,
+    // Verification and reset codes live in OneTimeCode (lib/oneTimeCodeService.js)
+
+    // Profile picture, served by GET /api/auth/avatar/:userId
+    avatar: {
+        data: {
+            type: Buffer,
+            select: false
+        },
+        contentType: {
+            type: String,
+            default: null
+        },
+        updatedAt: {
+            type: Date,
+            default: null
+        }
+    },
+
+    isOnboarded: {
+        type: Boolean,
+        default: false
+    },
+    onboardedAt: {
+        type: Date,
         default: null
     },
-    emailVerificationExpires: {
+
+    // Role-based access control (permissions per role live in utils/permissions.js)
+    role: {
+        type: String,
+        enum: ROLES,
+        default: DEFAULT_ROLE
+    },
+    roleUpdatedAt: {
         type: Date,
         default: null
     },
-   
-    passwordResetToken: {
+    roleUpdatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+
+    // Account lifecycle (transitions go through utils/accountStatus.js)
+    status: {
         type: String,
+        enum: ['active', 'suspended', 'deactivated', 'pending-deletion'],
+        default: 'active'
+    },
+    statusReason: {
+        type: String,
+        default: null,
+        maxlength: 500
+    },
+    statusChangedAt: {
+        type: Date,
         default: null
     },
-    passwordResetExpires: {
+    statusChangedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+    suspendedAt: {
         type: Date,
         default: null
     },
-
-    
-    verificationAttempts: {
-        type: Number,
-        default: 0
+    // Set while status is 'pending-deletion': the account is purged once the grace period ends
+    deletionRequestedAt: {
+        type: Date,
+        default: null
     },
-    lastVerificationAttempt: {
+    deletionScheduledFor: {
         type: Date,
         default: null
+    },
+
+    // TOTP two-factor authentication (see utils/totp.js)
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Encrypted base32 secrets (utils/encryption.js)
+        secret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            default: null,
+            select: false
+        },
+        enabledAt: {
+            type: Date,
+            default: null
+        },
+        // Last accepted time step; a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            default: null,
+            select: false
+        },
+        // SHA-256 hashes of one-time recovery codes
+        recoveryCodes: {
+            type: [{
+                hash: { type: String, required: true },
+                usedAt: { type: Date, default: null }
+            }],
+            default: [],
+            select: false
+        },
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+        lockedUntil: {
+            type: Date,
+            default: null
+        }
+    },
+
+    // Linked OpenID Connect accounts (provider + subject identify the external account)
+    identities: {
+        type: [{
+            provider: { type: String, required: true },
+            subject: { type: String, required: true },
+            email: { type: String, default: null },
+            linkedAt: { type: Date, default: Date.now },
+            lastUsedAt: { type: Date, default: null }
+        }],
+        default: []
     }
 }, 
 { timestamps: true })
 
 // Index for faster queries
 // userSchema.index({ email: 1 });
-userSchema.index({ emailVerificationToken: 1 });
-userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ status: 1 });
+userSchema.index({ status: 1, deletionScheduledFor: 1 });
+userSchema.index({ "identities.provider": 1, "identities.subject": 1 });
 
 const User = mongoose.model("User", userSchema)
 export default User
\ No newline at end of file
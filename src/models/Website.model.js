@@ -1,5 +1,71 @@
 
 import mongoose from "mongoose"
+import { getSubdomainUrl } from "../utils/platformUtils.js"
+
+// One custom domain attached to a website, verified on its own
+const DomainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: [true, 'Domain is required'],
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/.test(v);
+      },
+      message: 'Invalid domain format'
+    }
+  },
+
+  // Non-primary domains 301-redirect to the primary one
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Expected in the _webgen-verify.<domain> TXT record (see lib/dnsVerification.js)
+  verificationToken: {
+    type: String,
+    default: null
+  },
+
+  // Background re-verification state (see lib/domainMonitor.js)
+  lastCheckedAt: {
+    type: Date,
+    default: null
+  },
+
+  checkFailures: {
+    type: Number,
+    default: 0
+  },
+
+  checkError: {
+    type: String,
+    default: null
+  },
+
+  // Set when the domain was unverified after too many failed checks
+  failedAt: {
+    type: Date,
+    default: null
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const WebsiteSchema = new mongoose.Schema({
   userId: { 
@@ -8,6 +74,14 @@ const WebsiteSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     index: true
   },
+
+  // Workspace the site belongs to; userId is that workspace's owner
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    default: null,
+    index: true
+  },
   
   templateId: { 
     type: mongoose.Schema.Types.ObjectId, 
@@ -28,6 +102,8 @@ const WebsiteSchema = new mongoose.Schema({
     contentType: String 
   },
   
+  // html/css/js/components hold the editor DRAFT.
+  // Public routes only ever serve the frozen `published` snapshot below.
   html: { 
     type: String, 
     required: [true, 'HTML content is required']
@@ -52,6 +128,8 @@ const WebsiteSchema = new mongoose.Schema({
     maxlength: [100, 'Slug cannot exceed 100 characters']
   },
   
+  // customDomain / isCustomDomainVerified / domainVerifiedAt mirror the
+  // primary entry of `domains` (kept in sync on save) for existing clients
   customDomain: { 
     type: String, 
     default: "",
@@ -73,6 +151,14 @@ const WebsiteSchema = new mongoose.Schema({
     default: {} 
   },
   
+  published: {
+    html: { type: String, default: null },
+    css: { type: String, default: "" },
+    js: { type: String, default: "" },
+    components: { type: Object, default: {} },
+    contentHash: { type: String, default: null }
+  },
+  
   isPublished: { 
     type: Boolean, 
     default: false,
@@ -84,6 +170,49 @@ const WebsiteSchema = new mongoose.Schema({
     default: null
   },
   
+  // Pending scheduled publish/unpublish (see lib/publishScheduler.js)
+  publishAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
+  unpublishAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  
+  // Who may view the published site (see lib/siteAccess.js)
+  accessMode: {
+    type: String,
+    enum: ['public', 'password', 'owner'],
+    default: 'public'
+  },
+  
+  accessPasswordHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  
+  // Bumped on password/mode changes; invalidates existing unlock cookies
+  accessChangedAt: {
+    type: Date,
+    default: null
+  },
+  
+  // Extra origins per CSP directive for the served site (see lib/cspBuilder.js)
+  cspAllowlist: {
+    scriptSrc: { type: [String], default: [] },
+    styleSrc: { type: [String], default: [] },
+    imgSrc: { type: [String], default: [] },
+    fontSrc: { type: [String], default: [] },
+    connectSrc: { type: [String], default: [] },
+    frameSrc: { type: [String], default: [] },
+    mediaSrc: { type: [String], default: [] }
+  },
+  
   isCustomDomainVerified: {
     type: Boolean,
     default: false,
@@ -95,6 +224,11 @@ const WebsiteSchema = new mongoose.Schema({
     default: null
   },
   
+  domains: {
+    type: [DomainSchema],
+    default: []
+  },
+  
   viewCount: {
     type: Number,
     default: 0
@@ -114,21 +248,36 @@ const WebsiteSchema = new mongoose.Schema({
 WebsiteSchema.index({ userId: 1, slug: 1 });
 WebsiteSchema.index({ userId: 1, isPublished: 1 });
 WebsiteSchema.index({ customDomain: 1, isCustomDomainVerified: 1 });
+WebsiteSchema.index({ 'domains.domain': 1 });
 WebsiteSchema.index({ slug: 1, isPublished: 1 });
 WebsiteSchema.index({ createdAt: -1 });
 WebsiteSchema.index({ updatedAt: -1 });
 
-// Virtual for public URL
+// Virtual for public URL (primary domain first, then any other servable domain,
+// then the <slug>.<PLATFORM_DOMAIN> subdomain)
 WebsiteSchema.virtual('publicUrl').get(function() {
-  if (this.isCustomDomainVerified && this.customDomain) {
-    return `https://${this.customDomain}`;
+  const servable = (this.domains || []).filter(d => d.isVerified && !d.failedAt);
+  const domain = servable.find(d => d.isPrimary) || servable[0];
+  if (domain) {
+    return `https://${domain.domain}`;
   }
   if (this.slug) {
-    return `${process.env.FRONTEND_URL}/site/${this.slug}`;
+    return getSubdomainUrl(this.slug);
   }
   return null;
 });
 
+// Keep the legacy single-domain fields in sync with the primary domain
+WebsiteSchema.pre('save', function(next) {
+  if (this.isModified('domains')) {
+    const primary = (this.domains || []).find(d => d.isPrimary);
+    this.customDomain = primary ? primary.domain : "";
+    this.isCustomDomainVerified = !!(primary && primary.isVerified && !primary.failedAt);
+    this.domainVerifiedAt = primary ? primary.verifiedAt : null;
+  }
+  next();
+});
+
 // Pre-save middleware to increment template usage count
 WebsiteSchema.pre('save', async function(next) {
   if (this.isNew && this.templateId) {
@@ -0,0 +1,79 @@
+// models/WebsiteRevision.model.js - Snapshot of website content per save
+import mongoose from "mongoose"
+
+const WebsiteRevisionSchema = new mongoose.Schema({
+  websiteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Website",
+    required: [true, 'Website ID is required'],
+    index: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  revisionNumber: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+
+  // What produced this snapshot
+  source: {
+    type: String,
+    enum: ['baseline', 'update', 'restore', 'discard'],
+    default: 'update'
+  },
+
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+
+  name: {
+    type: String,
+    default: ""
+  },
+
+  html: {
+    type: String,
+    default: ""
+  },
+
+  css: {
+    type: String,
+    default: ""
+  },
+
+  js: {
+    type: String,
+    default: ""
+  },
+
+  components: {
+    type: Object,
+    default: {}
+  },
+
+  // sha256 of html + js + components, used to skip duplicate autosaves
+  contentHash: {
+    type: String,
+    required: true
+  },
+
+  size: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+WebsiteRevisionSchema.index({ websiteId: 1, revisionNumber: -1 }, { unique: true });
+WebsiteRevisionSchema.index({ websiteId: 1, createdAt: -1 });
+
+const WebsiteRevisions = mongoose.model("WebsiteRevision", WebsiteRevisionSchema);
+export default WebsiteRevisions
@@ -0,0 +1,64 @@
+// models/Workspace.model.js - Team workspaces: websites and subscriptions shared by members
+import mongoose from "mongoose"
+
+const WorkspaceMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  // owner: everything incl. billing, domains and members; editor: edit and publish; viewer: read only
+  role: {
+    type: String,
+    enum: ['owner', 'editor', 'viewer'],
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  }
+}, { _id: false });
+
+const WorkspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    maxlength: [100, 'Workspace name cannot exceed 100 characters']
+  },
+
+  // The single owner; websites of the workspace are billed to (and stored under) this user
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  // Every user has one personal workspace; existing sites were moved into it
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+
+  // Includes the owner (role 'owner')
+  members: {
+    type: [WorkspaceMemberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+WorkspaceSchema.index({ "members.userId": 1 });
+WorkspaceSchema.index(
+  { ownerId: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+const Workspace = mongoose.model("Workspace", WorkspaceSchema);
+export default Workspace
@@ -0,0 +1,63 @@
+// models/WorkspaceInvitation.model.js - Email invitations to join a workspace
+import mongoose from "mongoose"
+
+const WorkspaceInvitationSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Workspace",
+    required: true
+  },
+
+  // Normalized address the invitation was sent to; only that account can answer it
+  email: {
+    type: String,
+    required: true
+  },
+
+  // Owners are never invited; ownership stays with the creator
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    required: true
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+
+  // Mongo's TTL monitor removes invitations once they expire
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One open invitation per address and workspace
+WorkspaceInvitationSchema.index(
+  { workspaceId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+WorkspaceInvitationSchema.index({ email: 1, status: 1 });
+WorkspaceInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WorkspaceInvitation = mongoose.model("WorkspaceInvitation", WorkspaceInvitationSchema);
+export default WorkspaceInvitation
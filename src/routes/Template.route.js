@@ -10,7 +10,8 @@ import {
   deleteTemplate,
 } from "../controllers/Template.controller.js";
 
-import { protectRoute, requireAdmin, optionalAuth } from "../middleware/auth.middleware.js";
+import { protectRoute, requirePermission, optionalAuth } from "../middleware/auth.middleware.js";
+import { auditAction, templateTarget } from "../middleware/audit.middleware.js";
 
 // ==================== PUBLIC TEMPLATE ROUTES ====================
 
@@ -35,26 +36,26 @@ router.get("/get-templates/:id", getTemplateById);
 
 /**
  * @route   POST /api/templates/add-template
- * @desc    Add new template (Admin only)
- * @access  Protected (Admin)
+ * @desc    Add new template
+ * @access  Protected (templates:write)
  * @body    { name, html, js?, category?, thumbnail? }
  */
-router.post("/add-template", addTemplate);
+router.post("/add-template", protectRoute, auditAction('template_create', { category: 'template', target: templateTarget }), requirePermission('templates:write'), addTemplate);
 
 /**
  * @route   PUT /api/templates/update-template/:id
- * @desc    Update existing template (Admin only)
- * @access  Protected (Admin)
+ * @desc    Update existing template
+ * @access  Protected (templates:write)
  * @body    { name?, html?, js?, category?, isActive?, thumbnail? }
  */
-router.put("/update-template/:id", protectRoute, requireAdmin, updateTemplateAdmin);
+router.put("/update-template/:id", protectRoute, auditAction('template_update', { category: 'template', target: templateTarget }), requirePermission('templates:write'), updateTemplateAdmin);
 
 /**
  * @route   DELETE /api/templates/delete-template/:id
- * @desc    Delete template (Admin only)
- * @access  Protected (Admin)
+ * @desc    Delete template
+ * @access  Protected (templates:write)
  */
-router.delete("/delete-template/:id", protectRoute, requireAdmin, deleteTemplate);
+router.delete("/delete-template/:id", protectRoute, auditAction('template_delete', { category: 'template', target: templateTarget }), requirePermission('templates:write'), deleteTemplate);
 
 
 // ==================== ADDITIONAL UTILITY ROUTES ====================
@@ -120,10 +121,10 @@ router.get("/popular", async (req, res) => {
 
 /**
  * @route   GET /api/templates/stats
- * @desc    Get template statistics (Admin only)
- * @access  Protected (Admin)
+ * @desc    Get template statistics
+ * @access  Protected (templates:stats)
  */
-router.get("/stats", protectRoute, requireAdmin, async (req, res) => {
+router.get("/stats", protectRoute, requirePermission('templates:stats'), async (req, res) => {
   try {
     const Template = (await import("../models/Template.model.js")).default;
     const Website = (await import("../models/Website.model.js")).default;
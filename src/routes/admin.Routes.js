@@ -0,0 +1,62 @@
+// routes/admin.Routes.js - Administration routes
+import express from 'express'
+const router = express.Router();
+import { listRoles, listUsers, grantRole, revokeRole, suspendUser, unsuspendUser } from '../controllers/admin.Controller.js'
+import { protectRoute, requirePermission } from '../middleware/auth.middleware.js'
+import { auditAction, userTarget } from '../middleware/audit.middleware.js'
+import { listAuditEvents } from '../controllers/audit.Controller.js'
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles and the permissions they grant
+ * @access  Protected (users:roles)
+ */
+router.get('/roles', protectRoute, requirePermission('users:roles'), listRoles);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users with their roles
+ * @access  Protected (users:read)
+ * @query   page, limit, role, status, search
+ */
+router.get('/users', protectRoute, requirePermission('users:read'), listUsers);
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Grant a role to a user
+ * @access  Protected (users:roles)
+ * @body    { role } (user | support | template-editor | admin)
+ */
+router.put('/users/:userId/role', protectRoute, auditAction('admin_role_grant', { category: 'admin', target: userTarget, metadata: (req) => ({ role: req.body?.role }) }), requirePermission('users:roles'), grantRole);
+
+/**
+ * @route   DELETE /api/admin/users/:userId/role
+ * @desc    Revoke a user's role (back to a regular user)
+ * @access  Protected (users:roles)
+ */
+router.delete('/users/:userId/role', protectRoute, auditAction('admin_role_revoke', { category: 'admin', target: userTarget }), requirePermission('users:roles'), revokeRole);
+
+/**
+ * @route   POST /api/admin/users/:userId/suspend
+ * @desc    Suspend a user (blocks sign-in, revokes refresh tokens, takes sites offline)
+ * @access  Protected (users:manage)
+ * @body    { reason }
+ */
+router.post('/users/:userId/suspend', protectRoute, auditAction('admin_user_suspend', { category: 'admin', target: userTarget, metadata: (req) => ({ reason: typeof req.body?.reason === 'string' ? req.body.reason.slice(0, 500) : null }) }), requirePermission('users:manage'), suspendUser);
+
+/**
+ * @route   POST /api/admin/users/:userId/unsuspend
+ * @desc    Lift a user's suspension
+ * @access  Protected (users:manage)
+ */
+router.post('/users/:userId/unsuspend', protectRoute, auditAction('admin_user_unsuspend', { category: 'admin', target: userTarget }), requirePermission('users:manage'), unsuspendUser);
+
+/**
+ * @route   GET /api/admin/audit-events
+ * @desc    Query the security audit log
+ * @access  Protected (audit:read)
+ * @query   page, limit, type, category, outcome, actorId, actorEmail, targetType, targetId, ip, from, to
+ */
+router.get('/audit-events', protectRoute, requirePermission('audit:read'), listAuditEvents);
+
+export default router;
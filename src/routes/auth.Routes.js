@@ -1,6 +1,13 @@
 import express from 'express'
 import { logAuthEvent, protectRoute, securityHeaders } from '../middleware/auth.middleware.js'
-import { forgotPassword, getCurrentUser, logIn, logOut, refreshAccessToken, resendVerificationOTP, resetPassword, signUp, verifyEmailOTP, verifyResetOTP } from '../controllers/auth.controller.js';
+import { forgotPassword, getCurrentUser, logIn, logOut, refreshAccessToken, resendVerificationOTP, resetPassword, signUp, verifyEmailOTP, verifyResetOTP, verifyTwoFactorLogin, requestMagicLink, verifyMagicLink } from '../controllers/auth.controller.js';
+import { getTwoFactorStatus, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes } from '../controllers/twoFactor.Controller.js';
+import { getSessions, revokeSession, revokeOtherSessions } from '../controllers/session.Controller.js';
+import { listOidcProviders, startOidcLogin, handleOidcCallback } from '../controllers/oidc.Controller.js';
+import { getMyActivity } from '../controllers/audit.Controller.js';
+import { auditAction } from '../middleware/audit.middleware.js';
+import { updateProfile, getAvatar, completeOnboarding, changePassword, requestEmailChange, confirmEmailChange, exportAccountData, requestAccountDeletion, cancelAccountDeletionRequest } from '../controllers/account.Controller.js';
+import { loginRateLimit, twoFactorLoginRateLimit, signupRateLimit, forgotPasswordRateLimit, verifyEmailRateLimit, resendVerificationRateLimit } from '../middleware/rateLimit.middleware.js';
 
 
 const router = express.Router()
@@ -13,61 +20,136 @@ router.use(securityHeaders)
 /**
  * @route   POST /api/auth/signup
  * @desc    Register a new user and send verification email
- * @access  Public
+ * @access  Public (rate limited per IP and email)
  * @body    { email, password, fullName }
  */
 router.post("/signup",                     
   logAuthEvent('signup_attempt'),
+  signupRateLimit,
   signUp
 );
 
 /**
  * @route   POST /api/auth/verify-email
  * @desc    Verify user email with OTP code
- * @access  Public
+ * @access  Public (rate limited per IP and email)
  * @body    { email, otp }
  */
 router.post("/verify-email",
   logAuthEvent('email_verification_attempt'),
+  verifyEmailRateLimit,
   verifyEmailOTP
 );
 
 /**
  * @route   POST /api/auth/resend-verification
  * @desc    Resend verification OTP to user email
- * @access  Public
+ * @access  Public (rate limited per IP and email)
  * @body    { email }
  */
 router.post("/resend-verification",
   logAuthEvent('resend_verification_attempt'),
+  resendVerificationRateLimit,
   resendVerificationOTP
 );
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user (requires verified email)
- * @access  Public
+ * @desc    Login user (requires verified email). With 2FA enabled, returns
+ *          { requiresTwoFactor, challengeToken } instead of tokens
+ * @access  Public (rate limited per IP; repeated failures delay and then lock the account)
  * @body    { email, password }
  */
 router.post("/login", 
   logAuthEvent('login_attempt'),
+  loginRateLimit,
   logIn
 );
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a 2FA login with a TOTP code or a recovery code
+ * @access  Public (uses the challenge token from /login; rate limited per IP)
+ * @body    { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post("/login/2fa",
+  logAuthEvent('login_2fa_attempt'),
+  twoFactorLoginRateLimit,
+  verifyTwoFactorLogin
+);
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a single-use sign-in link (rate limited per email and IP)
+ * @access  Public
+ * @body    { email }
+ */
+router.post("/magic-link",
+  logAuthEvent('magic_link_request'),
+  requestMagicLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/verify
+ * @desc    Sign in with the token from a magic link (same response as /login)
+ * @access  Public
+ * @body    { token }
+ */
+router.post("/magic-link/verify",
+  logAuthEvent('magic_link_verify'),
+  verifyMagicLink
+);
+
+/**
+ * @route   GET /api/auth/avatar/:userId
+ * @desc    A user's profile picture
+ * @access  Public
+ */
+router.get("/avatar/:userId", getAvatar);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List configured OpenID Connect login providers
+ * @access  Public
+ */
+router.get("/oidc/providers", listOidcProviders);
+
+/**
+ * @route   GET /api/auth/oidc/:provider
+ * @desc    Start an OpenID Connect login (redirects to the provider)
+ * @access  Public
+ * @query   redirect? (app path to land on after login)
+ */
+router.get("/oidc/:provider",
+  logAuthEvent('oidc_login_start'),
+  startOidcLogin
+);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/callback
+ * @desc    Provider callback: signs the user in (refresh cookie) and redirects to the app
+ * @access  Public (state + PKCE + nonce checked)
+ */
+router.get("/oidc/:provider/callback",
+  logAuthEvent('oidc_login_callback'),
+  handleOidcCallback
+);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset OTP
- * @access  Public
+ * @access  Public (rate limited per IP and email)
  * @body    { email }
  */
 router.post("/forgot-password",
   logAuthEvent('forgot_password_attempt'),
+  forgotPasswordRateLimit,
   forgotPassword
 );
 
 /**
  * @route   POST /api/auth/reset-password
- * @desc    Reset password using OTP
+ * @desc    Reset password using OTP (signs out every session)
  * @access  Public
  * @body    { email, otp, newPassword }
  */
@@ -91,7 +173,7 @@ router.post("/verify-reset-otp",
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user and clear cookies
+ * @desc    Logout user: revoke the refresh token's session and clear cookies
  * @access  Public (but can be called by authenticated users)
  */
 router.post("/logout", 
@@ -102,7 +184,7 @@ router.post("/logout",
 
 /**
  * @route   GET /api/auth/refresh
- * @desc    Refresh access token using refresh token
+ * @desc    Refresh access token; rotates the refresh token (reuse revokes the session)
  * @access  Public (uses refresh token from cookie)
  */
 router.get("/refresh", 
@@ -138,6 +220,201 @@ router.get("/me",
   getCurrentUser
 );
 
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Two-factor status (enabled, remaining recovery codes)
+ * @access  Protected
+ */
+router.get("/2fa",
+  protectRoute,
+  getTwoFactorStatus
+);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment: returns the secret and otpauth URI
+ * @access  Protected
+ * @body    { password }
+ */
+router.post("/2fa/setup",
+  protectRoute,
+  logAuthEvent('2fa_setup'),
+  setupTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a first code; returns recovery codes once
+ * @access  Protected
+ * @body    { code }
+ */
+router.post("/2fa/enable",
+  protectRoute,
+  logAuthEvent('2fa_enable'),
+  enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Protected
+ * @body    { password, code } or { password, recoveryCode }
+ */
+router.post("/2fa/disable",
+  protectRoute,
+  logAuthEvent('2fa_disable'),
+  disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes (old ones stop working)
+ * @access  Protected
+ * @body    { code }
+ */
+router.post("/2fa/recovery-codes",
+  protectRoute,
+  logAuthEvent('2fa_recovery_codes_regenerate'),
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (device, IP, last used)
+ * @access  Protected
+ */
+router.get("/sessions",
+  protectRoute,
+  getSessions
+);
+
+/**
+ * @route   POST /api/auth/sessions/revoke-others
+ * @desc    Log out everywhere else (all sessions but the current one)
+ * @access  Protected
+ */
+router.post("/sessions/revoke-others",
+  protectRoute,
+  logAuthEvent('revoke_other_sessions'),
+  revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Log out a single session
+ * @access  Protected
+ */
+router.delete("/sessions/:id",
+  protectRoute,
+  logAuthEvent('revoke_session'),
+  revokeSession
+);
+
+/**
+ * @route   PATCH /api/auth/profile
+ * @desc    Update your profile
+ * @access  Protected
+ * @body    { fullName?, avatar? } (avatar: image data URL, or null to remove it)
+ */
+router.patch("/profile",
+  protectRoute,
+  logAuthEvent('profile_update'),
+  updateProfile
+);
+
+/**
+ * @route   POST /api/auth/onboarding
+ * @desc    Complete onboarding (optionally setting profile details)
+ * @access  Protected
+ * @body    { fullName?, avatar? }
+ */
+router.post("/onboarding",
+  protectRoute,
+  logAuthEvent('onboarding_complete'),
+  completeOnboarding
+);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change your password; signs out all other sessions
+ * @access  Protected
+ * @body    { currentPassword, newPassword }
+ */
+router.post("/change-password",
+  protectRoute,
+  logAuthEvent('password_change'),
+  changePassword
+);
+
+/**
+ * @route   POST /api/auth/change-email
+ * @desc    Start an email change: a code is sent to the new address
+ * @access  Protected
+ * @body    { newEmail, password }
+ */
+router.post("/change-email",
+  protectRoute,
+  logAuthEvent('email_change_request'),
+  requestEmailChange
+);
+
+/**
+ * @route   POST /api/auth/change-email/verify
+ * @desc    Confirm the new email address with its code
+ * @access  Protected
+ * @body    { otp }
+ */
+router.post("/change-email/verify",
+  protectRoute,
+  logAuthEvent('email_change_confirm'),
+  confirmEmailChange
+);
+
+/**
+ * @route   GET /api/auth/activity
+ * @desc    Your security activity: sign-ins, failed attempts and account changes
+ * @access  Protected
+ * @query   page, limit, type, category, outcome, from, to
+ */
+router.get("/activity",
+  protectRoute,
+  getMyActivity
+);
+
+/**
+ * @route   GET /api/auth/export
+ * @desc    Download your data (profile, websites, subscriptions, activity) as a .tar.gz
+ * @access  Protected
+ */
+router.get("/export",
+  protectRoute,
+  auditAction('account_export', { category: 'account' }),
+  exportAccountData
+);
+
+/**
+ * @route   POST /api/auth/delete-account
+ * @desc    Schedule account deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS)
+ * @access  Protected
+ * @body    { password }
+ */
+router.post("/delete-account",
+  protectRoute,
+  auditAction('account_deletion_request', { category: 'account' }),
+  requestAccountDeletion
+);
+
+/**
+ * @route   POST /api/auth/delete-account/cancel
+ * @desc    Cancel a scheduled account deletion
+ * @access  Protected
+ */
+router.post("/delete-account/cancel",
+  protectRoute,
+  auditAction('account_deletion_cancel', { category: 'account' }),
+  cancelAccountDeletionRequest
+);
+
 
 // ================== ERROR HANDLING ==================
 /**
@@ -153,6 +430,12 @@ router.all('*', (req, res) => {
         'POST /api/auth/verify-email - Verify email with OTP',
         'POST /api/auth/resend-verification - Resend verification OTP',
         'POST /api/auth/login - Login user',
+        'POST /api/auth/login/2fa - Finish login with a 2FA code',
+        'POST /api/auth/magic-link - Email a sign-in link',
+        'POST /api/auth/magic-link/verify - Sign in with a magic link token',
+        'GET  /api/auth/avatar/:userId - User profile picture',
+        'GET  /api/auth/oidc/providers - List social login providers',
+        'GET  /api/auth/oidc/:provider - Start social login',
         'POST /api/auth/forgot-password - Request password reset',
         'POST /api/auth/reset-password - Reset password with OTP',
         'POST /api/auth/logout - Logout user',
@@ -161,7 +444,23 @@ router.all('*', (req, res) => {
       ],
       protected: [
         'GET  /api/auth/me - Get current user (requires auth)',
+        'GET  /api/auth/2fa - Two-factor status (requires auth)',
+        'POST /api/auth/2fa/setup - Start 2FA enrollment (requires auth)',
+        'POST /api/auth/2fa/enable - Confirm 2FA enrollment (requires auth)',
+        'POST /api/auth/2fa/disable - Disable 2FA (requires auth)',
+        'POST /api/auth/2fa/recovery-codes - Regenerate recovery codes (requires auth)',
+        'GET  /api/auth/sessions - List active sessions (requires auth)',
+        'DELETE /api/auth/sessions/:id - Log out a session (requires auth)',
+        'POST /api/auth/sessions/revoke-others - Log out everywhere else (requires auth)',
+        'GET  /api/auth/activity - Your security activity (requires auth)',
+        'PATCH /api/auth/profile - Update name/avatar (requires auth)',
         'POST /api/auth/onboarding - Complete profile (requires auth)',
+        'POST /api/auth/change-password - Change password (requires auth)',
+        'POST /api/auth/change-email - Request an email change (requires auth)',
+        'POST /api/auth/change-email/verify - Confirm an email change (requires auth)',
+        'GET  /api/auth/export - Download your data (requires auth)',
+        'POST /api/auth/delete-account - Schedule account deletion (requires auth)',
+        'POST /api/auth/delete-account/cancel - Cancel account deletion (requires auth)',
       ]
     }
   });
@@ -10,47 +10,50 @@ import {
   getUserSubscriptions
 } from '../controllers/subscription.Controller.js'
 import { protectRoute } from '../middleware/auth.middleware.js'
+import { requireWebsiteOwner, requireWebsiteAccess, requireSubscriptionOwner, requireSelf } from '../middleware/ownership.middleware.js'
+import { auditAction, subscriptionTarget } from '../middleware/audit.middleware.js'
 
 /**
  * @route   POST /api/templates/subscribe
  * @desc    Create subscription checkout session
- * @access  Protected
+ * @access  Protected (website owner)
+ * @body    { priceId, websiteId, email? } (defaults to the account email)
  */
-router.post('/subscribe', protectRoute, createSubscription);
+router.post('/subscribe', protectRoute, requireWebsiteOwner({ source: 'body' }), createSubscription);
 
 /**
  * @route   GET /api/templates/check/:userId/:websiteId
- * @desc    Check if user has active subscription for website
- * @access  Protected
+ * @desc    Check if the website has an active subscription
+ * @access  Protected (self, workspace member)
  */
-router.get('/check/:userId/:websiteId', protectRoute, checkSubscription);
+router.get('/check/:userId/:websiteId', protectRoute, requireSelf(), requireWebsiteAccess('viewer'), checkSubscription);
 
 /**
  * @route   POST /api/templates/cancel-subscription
  * @desc    Cancel subscription (at period end)
- * @access  Protected
+ * @access  Protected (subscription's workspace owner)
  */
-router.post("/cancel-subscription", protectRoute, cancelSubscription);
+router.post("/cancel-subscription", protectRoute, auditAction('subscription_cancel', { category: 'subscription', target: subscriptionTarget, metadata: (req) => ({ cancelImmediately: !!req.body?.cancelImmediately }) }), requireSubscriptionOwner(), cancelSubscription);
 
 /**
  * @route   POST /api/templates/reactivate-subscription
  * @desc    Reactivate canceled subscription
- * @access  Protected
+ * @access  Protected (subscription's workspace owner)
  */
-router.post("/reactivate-subscription", protectRoute, reactivateSubscription);
+router.post("/reactivate-subscription", protectRoute, auditAction('subscription_reactivate', { category: 'subscription', target: subscriptionTarget }), requireSubscriptionOwner(), reactivateSubscription);
 
 /**
  * @route   GET /api/templates/subscription-details/:userId/:websiteId
  * @desc    Get subscription details for website
- * @access  Protected
+ * @access  Protected (self, workspace member)
  */
-router.get("/subscription-details/:userId/:websiteId", protectRoute, getSubscriptionDetails);
+router.get("/subscription-details/:userId/:websiteId", protectRoute, requireSelf(), requireWebsiteAccess('viewer'), getSubscriptionDetails);
 
 /**
  * @route   GET /api/templates/user-subscriptions/:userId
  * @desc    Get all subscriptions for a user
- * @access  Protected
+ * @access  Protected (self)
  */
-router.get("/user-subscriptions/:userId", protectRoute, getUserSubscriptions);
+router.get("/user-subscriptions/:userId", protectRoute, requireSelf(), getUserSubscriptions);
 
 export default router;
\ No newline at end of file
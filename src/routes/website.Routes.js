@@ -13,9 +13,28 @@ import {
   deleteWebsite,
   getPublishedWebsiteBySlug,
   getPublishedWebsiteByDomain,
-  verifyCustomDomain
+  verifyCustomDomain,
+  discardDraftChanges,
+  getPublishSchedules,
+  cancelPublishSchedule,
+  setPrimaryDomain,
+  removeCustomDomain,
+  unlockPublishedWebsite,
+  updateAccessSettings,
+  createPreviewLink
 } from '../controllers/Website.controller.js';
+import {
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} from '../controllers/WebsiteRevision.controller.js';
+import { getWebsiteCertificates, requestDomainCertificate } from '../controllers/certificate.Controller.js';
+import { serveSiteBySlug, unlockSiteBySlug } from '../controllers/proxyController.js';
+import { getCspSettings, updateCspAllowlist, listCspReports } from '../controllers/csp.Controller.js';
 import { protectRoute } from "../middleware/auth.middleware.js";
+import { requireWebsiteOwner, requireWebsiteAccess, requireSelf } from "../middleware/ownership.middleware.js";
+import { auditAction, websiteTarget } from "../middleware/audit.middleware.js";
 
 // ==================== PUBLIC ROUTES (No Auth Required) ====================
 
@@ -27,6 +46,30 @@ import { protectRoute } from "../middleware/auth.middleware.js";
  */
 router.get("/site/:slug", getPublishedWebsiteBySlug,);
 
+/**
+ * @route   GET /api/websites/site/:slug/html
+ * @desc    Published website rendered as a full HTML document (PUBLIC, cacheable)
+ * @access  Public
+ * @example GET /api/websites/site/my-sathish-portfolio/html
+ */
+router.get("/site/:slug/html", serveSiteBySlug);
+
+/**
+ * @route   POST /api/websites/site/:slug/html
+ * @desc    Unlock form submission for a password-protected site (sets site cookie, redirects back)
+ * @access  Public
+ * @body    password (form encoded)
+ */
+router.post("/site/:slug/html", unlockSiteBySlug);
+
+/**
+ * @route   POST /api/websites/site/:slug/unlock
+ * @desc    Unlock a password-protected site for the JSON routes (sets site cookie)
+ * @access  Public
+ * @body    { password }
+ */
+router.post("/site/:slug/unlock", unlockPublishedWebsite);
+
 /**
  * @route   GET /api/websites/domain/:domain
  * @desc    Get published website by custom domain (PUBLIC)
@@ -41,63 +84,187 @@ router.get("/domain/:domain", getPublishedWebsiteByDomain);
  * @route   POST /api/websites/create-website
  * @desc    Create website from template
  * @access  Protected
- * @body    { userId, templateId, customName? }
+ * @body    { templateId, customName?, workspaceId? } (personal workspace by default; editor role required)
  */
 router.post("/create-website", protectRoute, createWebsite);
 
 /**
  * @route   GET /api/websites/website/:websiteId
  * @desc    Get website by ID for editing
- * @access  Protected
+ * @access  Protected (workspace editor)
  */
-router.get("/website/:websiteId", protectRoute, getWebsiteEdit);
+router.get("/website/:websiteId", protectRoute, requireWebsiteAccess('editor'), getWebsiteEdit);
 
 /**
  * @route   GET /api/websites/website-list/:userId
- * @desc    Get all websites for a user with pagination
- * @access  Protected
- * @query   page, limit
+ * @desc    Get the websites of all your workspaces with pagination
+ * @access  Protected (self)
+ * @query   page, limit, workspaceId?
  * @example GET /api/websites/website-list/507f1f77bcf86cd799439011?page=1&limit=20
  */
-router.get("/website-list/:userId", protectRoute, getWebsiteList);
+router.get("/website-list/:userId", protectRoute, requireSelf(), getWebsiteList);
 
 /**
  * @route   PUT /api/websites/update/:websiteId
- * @desc    Update website content (HTML/JS only - CSS forced to empty for Tailwind)
- * @access  Protected
+ * @desc    Update website draft content (HTML/JS only - CSS forced to empty for Tailwind).
+ *          Changes go live only when the website is published again.
+ * @access  Protected (workspace editor)
  * @body    { html?, css?, js?, components?, name? }
  */
-router.put("/update/:websiteId", protectRoute, updateTemplate);
+router.put("/update/:websiteId", protectRoute, requireWebsiteAccess('editor'), updateTemplate);
 
 /**
  * @route   DELETE /api/websites/delete-website/:websiteId
  * @desc    Delete website by ID
- * @access  Protected
+ * @access  Protected (owner)
  */
-router.delete("/delete-website/:websiteId", protectRoute, deleteWebsite);
+router.delete("/delete-website/:websiteId", protectRoute, auditAction('website_delete', { category: 'website', target: websiteTarget }), requireWebsiteOwner(), deleteWebsite);
 
 /**
  * @route   GET /api/websites/verify-domain/:domain
  * @desc    Verify custom domain DNS settings
- * @access  Protected (requires subscription)
+ * @access  Protected (owner, requires subscription)
  * @query   siteid
  */
-router.get("/verify-domain/:domain", protectRoute, verifyCustomDomain);
+router.get("/verify-domain/:domain", protectRoute, requireWebsiteOwner({ param: 'siteid', source: 'query' }), verifyCustomDomain);
+
+/**
+ * @route   GET /api/websites/schedules
+ * @desc    List pending scheduled publish/unpublish of the websites you can publish
+ * @access  Protected
+ */
+router.get("/schedules", protectRoute, getPublishSchedules);
+
+/**
+ * @route   DELETE /api/websites/:websiteId/schedule
+ * @desc    Cancel a pending scheduled publish and/or unpublish
+ * @access  Protected (workspace editor)
+ * @query   type? ('publish' | 'unpublish', both when omitted)
+ */
+router.delete('/:websiteId/schedule', protectRoute, requireWebsiteAccess('editor'), cancelPublishSchedule);
+
+/**
+ * @route   POST /api/websites/:websiteId/discard-draft
+ * @desc    Discard unpublished draft changes and reset the draft to the live content
+ * @access  Protected (workspace editor)
+ */
+router.post('/:websiteId/discard-draft', protectRoute, requireWebsiteAccess('editor'), discardDraftChanges);
+
+/**
+ * @route   PUT /api/websites/:websiteId/access
+ * @desc    Set who may view the published site: public, password-protected or owner-only
+ * @access  Protected (owner)
+ * @body    { accessMode: 'public' | 'password' | 'owner', password? }
+ */
+router.put('/:websiteId/access', protectRoute, auditAction('website_access_change', { category: 'website', target: websiteTarget, metadata: (req) => ({ accessMode: req.body?.accessMode }) }), requireWebsiteOwner(), updateAccessSettings);
+
+/**
+ * @route   POST /api/websites/:websiteId/preview-link
+ * @desc    Short-lived link that opens the published site for its owner, whatever its access mode
+ * @access  Protected (owner)
+ */
+router.post('/:websiteId/preview-link', protectRoute, requireWebsiteOwner(), createPreviewLink);
+
+/**
+ * @route   GET /api/websites/:websiteId/csp
+ * @desc    Content Security Policy allowlist of the served site and the resulting policy
+ * @access  Protected (workspace member)
+ */
+router.get('/:websiteId/csp', protectRoute, requireWebsiteAccess('viewer'), getCspSettings);
+
+/**
+ * @route   PUT /api/websites/:websiteId/csp
+ * @desc    Replace the site's CSP allowlist of extra https origins
+ * @access  Protected (owner)
+ * @body    { allowlist: { scriptSrc?, styleSrc?, imgSrc?, fontSrc?, connectSrc?, frameSrc?, mediaSrc? } }
+ */
+router.put('/:websiteId/csp', protectRoute, requireWebsiteOwner(), updateCspAllowlist);
+
+/**
+ * @route   GET /api/websites/:websiteId/csp-reports
+ * @desc    Recent CSP violation reports of the served site
+ * @access  Protected (workspace member)
+ * @query   page, limit, directive?
+ */
+router.get('/:websiteId/csp-reports', protectRoute, requireWebsiteAccess('viewer'), listCspReports);
+
+// ==================== REVISION HISTORY ROUTES ====================
+
+/**
+ * @route   GET /api/websites/:websiteId/revisions
+ * @desc    List saved revisions of a website (newest first)
+ * @access  Protected (workspace member)
+ * @query   page, limit
+ */
+router.get('/:websiteId/revisions', protectRoute, requireWebsiteAccess('viewer'), listRevisions);
+
+/**
+ * @route   GET /api/websites/:websiteId/revisions/diff
+ * @desc    Line-level diff of html/js/components between two revisions
+ * @access  Protected (workspace member)
+ * @query   from, to (revision IDs, or "current" for the live editor content)
+ * @example GET /api/websites/507f1f77bcf86cd799439011/revisions/diff?from=65a...&to=current
+ */
+router.get('/:websiteId/revisions/diff', protectRoute, requireWebsiteAccess('viewer'), diffRevisions);
+
+/**
+ * @route   GET /api/websites/:websiteId/revisions/:revisionId
+ * @desc    Get a single revision with full content
+ * @access  Protected (workspace member)
+ */
+router.get('/:websiteId/revisions/:revisionId', protectRoute, requireWebsiteAccess('viewer'), getRevision);
+
+/**
+ * @route   POST /api/websites/:websiteId/revisions/:revisionId/restore
+ * @desc    Restore a revision as the current website content
+ * @access  Protected (workspace editor)
+ */
+router.post('/:websiteId/revisions/:revisionId/restore', protectRoute, requireWebsiteAccess('editor'), restoreRevision);
 
 // ==================== SUBSCRIPTION-PROTECTED ROUTES ====================
 
 /**
  * @route   PUT /api/websites/:websiteId/publish
- * @desc    Publish/unpublish website (requires active subscription)
- * @access  Protected + Subscription
+ * @desc    Publish/unpublish website now and/or schedule it (requires active subscription)
+ * @access  Protected (workspace editor) + Subscription
+ * @body    { isPublished?, slug?, publishAt?, unpublishAt? } (dates as ISO 8601, null clears)
  */
-router.put('/:websiteId/publish', protectRoute, requireActiveSubscription, publishWebsite);
+router.put('/:websiteId/publish', protectRoute, requireWebsiteAccess('editor'), requireActiveSubscription, publishWebsite);
 
 /**
  * @route   POST /api/websites/:websiteId/custom-domain
- * @desc    Set custom domain (requires active subscription)
- * @access  Protected + Subscription
+ * @desc    Add a custom domain (requires active subscription)
+ * @access  Protected (owner) + Subscription
+ * @body    { domain, makePrimary?, includeWww? }
+ */
+router.post('/:websiteId/custom-domain', protectRoute, auditAction('custom_domain_add', { category: 'website', target: websiteTarget, metadata: (req) => ({ domain: req.body?.domain }) }), requireWebsiteOwner(), requireActiveSubscription, setCustomDomain);
+
+/**
+ * @route   PUT /api/websites/:websiteId/custom-domain/:domain/primary
+ * @desc    Make a verified domain primary (other domains redirect to it)
+ * @access  Protected (owner)
+ */
+router.put('/:websiteId/custom-domain/:domain/primary', protectRoute, auditAction('custom_domain_primary', { category: 'website', target: websiteTarget, metadata: (req) => ({ domain: req.params.domain }) }), requireWebsiteOwner(), setPrimaryDomain);
+
+/**
+ * @route   DELETE /api/websites/:websiteId/custom-domain/:domain
+ * @desc    Remove a custom domain from a website
+ * @access  Protected (owner)
+ */
+router.delete('/:websiteId/custom-domain/:domain', protectRoute, auditAction('custom_domain_remove', { category: 'website', target: websiteTarget, metadata: (req) => ({ domain: req.params.domain }) }), requireWebsiteOwner(), removeCustomDomain);
+
+/**
+ * @route   GET /api/websites/:websiteId/certificates
+ * @desc    TLS certificate status for each custom domain
+ * @access  Protected (workspace member)
+ */
+router.get('/:websiteId/certificates', protectRoute, requireWebsiteAccess('viewer'), getWebsiteCertificates);
+
+/**
+ * @route   POST /api/websites/:websiteId/custom-domain/:domain/certificate
+ * @desc    Request (or retry) a TLS certificate for a verified domain
+ * @access  Protected (owner) + Subscription
  */
-router.post('/:websiteId/custom-domain', protectRoute, requireActiveSubscription, setCustomDomain);
+router.post('/:websiteId/custom-domain/:domain/certificate', protectRoute, requireWebsiteOwner(), requireActiveSubscription, requestDomainCertificate);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,126 @@
+// routes/workspace.Routes.js - Team workspaces, members and invitations
+import express from 'express'
+const router = express.Router();
+import {
+  listWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  updateMemberRole,
+  removeMember,
+  inviteMember,
+  listWorkspaceInvitations,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation
+} from '../controllers/workspace.Controller.js'
+import { protectRoute } from '../middleware/auth.middleware.js'
+import { requireWorkspaceRole } from '../middleware/ownership.middleware.js'
+import { auditAction, workspaceTarget } from '../middleware/audit.middleware.js'
+
+const invitationTarget = (req) => ({ type: 'workspace-invitation', id: req.params.invitationId });
+
+/**
+ * @route   GET /api/workspaces
+ * @desc    List your workspaces (your personal workspace first) with your role in each
+ * @access  Protected
+ */
+router.get('/', protectRoute, listWorkspaces);
+
+/**
+ * @route   POST /api/workspaces
+ * @desc    Create a team workspace; you become its owner
+ * @access  Protected
+ * @body    { name }
+ */
+router.post('/', protectRoute, createWorkspace);
+
+// ==================== INVITATIONS (invitee side) ====================
+
+/**
+ * @route   GET /api/workspaces/invitations
+ * @desc    Pending invitations sent to your email address
+ * @access  Protected
+ */
+router.get('/invitations', protectRoute, getMyInvitations);
+
+/**
+ * @route   POST /api/workspaces/invitations/:invitationId/accept
+ * @desc    Accept an invitation and join the workspace with the invited role
+ * @access  Protected (the invited email address)
+ */
+router.post('/invitations/:invitationId/accept', protectRoute, auditAction('workspace_invitation_accept', { category: 'workspace', target: invitationTarget }), acceptInvitation);
+
+/**
+ * @route   POST /api/workspaces/invitations/:invitationId/decline
+ * @desc    Decline an invitation
+ * @access  Protected (the invited email address)
+ */
+router.post('/invitations/:invitationId/decline', protectRoute, auditAction('workspace_invitation_decline', { category: 'workspace', target: invitationTarget }), declineInvitation);
+
+// ==================== WORKSPACE MANAGEMENT ====================
+
+/**
+ * @route   GET /api/workspaces/:workspaceId
+ * @desc    Workspace details and members
+ * @access  Protected (workspace member)
+ */
+router.get('/:workspaceId', protectRoute, requireWorkspaceRole('viewer'), getWorkspace);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId
+ * @desc    Rename a workspace
+ * @access  Protected (workspace owner)
+ * @body    { name }
+ */
+router.patch('/:workspaceId', protectRoute, requireWorkspaceRole('owner'), updateWorkspace);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId
+ * @desc    Delete a team workspace that has no websites
+ * @access  Protected (workspace owner)
+ */
+router.delete('/:workspaceId', protectRoute, auditAction('workspace_delete', { category: 'workspace', target: workspaceTarget }), requireWorkspaceRole('owner'), deleteWorkspace);
+
+/**
+ * @route   PATCH /api/workspaces/:workspaceId/members/:userId
+ * @desc    Change a member's role
+ * @access  Protected (workspace owner)
+ * @body    { role } (editor | viewer)
+ */
+router.patch('/:workspaceId/members/:userId', protectRoute, auditAction('workspace_member_role_change', { category: 'workspace', target: workspaceTarget, metadata: (req) => ({ userId: req.params.userId, role: req.body?.role }) }), requireWorkspaceRole('owner'), updateMemberRole);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/members/:userId
+ * @desc    Remove a member, or leave the workspace (your own user ID)
+ * @access  Protected (workspace owner, or the member themselves)
+ */
+router.delete('/:workspaceId/members/:userId', protectRoute, auditAction('workspace_member_remove', { category: 'workspace', target: workspaceTarget, metadata: (req) => ({ userId: req.params.userId }) }), requireWorkspaceRole('viewer'), removeMember);
+
+// ==================== INVITATIONS (owner side) ====================
+
+/**
+ * @route   POST /api/workspaces/:workspaceId/invitations
+ * @desc    Invite someone by email
+ * @access  Protected (workspace owner)
+ * @body    { email, role } (editor | viewer)
+ */
+router.post('/:workspaceId/invitations', protectRoute, auditAction('workspace_invitation_send', { category: 'workspace', target: workspaceTarget, metadata: (req) => ({ role: req.body?.role }) }), requireWorkspaceRole('owner'), inviteMember);
+
+/**
+ * @route   GET /api/workspaces/:workspaceId/invitations
+ * @desc    Pending invitations of the workspace
+ * @access  Protected (workspace owner)
+ */
+router.get('/:workspaceId/invitations', protectRoute, requireWorkspaceRole('owner'), listWorkspaceInvitations);
+
+/**
+ * @route   DELETE /api/workspaces/:workspaceId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Protected (workspace owner)
+ */
+router.delete('/:workspaceId/invitations/:invitationId', protectRoute, auditAction('workspace_invitation_revoke', { category: 'workspace', target: workspaceTarget }), requireWorkspaceRole('owner'), revokeInvitation);
+
+export default router;
@@ -9,11 +9,26 @@ import templatesRouter from "./routes/Template.route.js"
 import websiteRouter from "./routes/website.Routes.js"
 import subscriptionRouter  from "./routes/subscription.Routes.js"
 import webhookRouter   from "./routes/webhook.Routes.js"
+import adminRouter from "./routes/admin.Routes.js"
+import workspaceRouter from "./routes/workspace.Routes.js"
 import compression from 'compression'
 import path from "path";
 import { fileURLToPath } from "url";
 import mongoose from 'mongoose'
-import { proxyCustomDomain } from './controllers/proxyController.js';
+import { proxyCustomDomain, unlockProxiedSite } from './controllers/proxyController.js';
+import { backfillPublishedSnapshots } from './utils/publishUtils.js';
+import { initPublishScheduler } from './lib/publishScheduler.js';
+import { startDomainMonitor } from './lib/domainMonitor.js';
+import { backfillDomainList } from './utils/domainUtils.js';
+import { serveAcmeChallenge } from './controllers/certificate.Controller.js';
+import { receiveCspReport } from './controllers/csp.Controller.js';
+import { startCertificateManager, createSNICallback } from './lib/certificateManager.js';
+import https from 'https';
+import { getPlatformDomain, getPlatformIp } from './utils/platformUtils.js';
+import { bootstrapAdminRoles } from './utils/adminUtils.js';
+import { purgeLegacyUserCodes } from './lib/oneTimeCodeService.js';
+import { startAccountDeletionJob } from './lib/accountData.js';
+import { backfillWorkspaces } from './utils/workspaceUtils.js';
 
 
 // Define __filename and __dirname manually (for ES modules)
@@ -26,6 +41,12 @@ dotenv.config()
 
 const PORT = process.env.PORT || 4000
 
+// Behind nginx: TRUST_PROXY (hop count or subnet list) makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // SECURITY MIDDLEWARE
 // =================================================================
 
@@ -35,14 +56,22 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false,
 }));
 
+// Browsers post CSP reports from the served sites' origins: keep this ahead of CORS
+app.post(
+  '/api/websites/csp-report/:websiteId',
+  express.json({ type: ['application/csp-report', 'application/reports+json', 'application/json'], limit: '64kb' }),
+  receiveCspReport
+);
+
+const platformDomain = getPlatformDomain();
 const allowedOrigins = [
-  "http://54.234.33.110",
+  `http://${getPlatformIp()}`,
   "http://localhost:3000",
   "http://localhost:5173",
-  "http://webgen.club",
-  "http://www.webgen.club",
-  "https://webgen.club",
-  "https://www.webgen.club"
+  `http://${platformDomain}`,
+  `http://www.${platformDomain}`,
+  `https://${platformDomain}`,
+  `https://www.${platformDomain}`
 ];
 
 app.use(
@@ -59,14 +88,11 @@ app.use(
       }
     },
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
   })
 );
 
-// Handle preflight requests
-app.options("*", cors());
-
 // BODY PARSERS & OTHER MIDDLEWARE
 // =================================================================
 
@@ -81,8 +107,12 @@ app.use(compression()); // Compress responses
 // Static files
 app.use("/templates", express.static(path.join(__dirname, "templates")));
 
+// ACME HTTP-01 challenges (must stay ahead of the custom domain proxy)
+app.get('/.well-known/acme-challenge/:token', serveAcmeChallenge);
+
 // Add this BEFORE app.use("/api/auth", authRoutes)
 app.get('/api/websites/proxy', proxyCustomDomain);
+app.post('/api/websites/proxy', unlockProxiedSite);
 
 
 
@@ -90,6 +120,8 @@ app.use("/api/auth", authRoutes)
 app.use("/api/templates", templatesRouter);
 app.use("/api/templates", subscriptionRouter);
 app.use("/api/websites", websiteRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/workspaces", workspaceRouter);
 
 
 
@@ -119,6 +151,8 @@ app.use((req, res) => {
       'GET  /health - Health check',
       'GET  /api/auth/* - Authentication routes',
       'GET  /api/templates/* - Template routes',
+      'GET  /api/admin/* - Administration routes',
+      'GET  /api/workspaces/* - Team workspaces and invitations',
       'POST /api/templates/webhook - Stripe webhook',
     ]
   });
@@ -168,4 +202,30 @@ app.use((err, req, res, next) => {
 
 
 app.listen(PORT, ()=> {console.log("Server is connected on PORT " + PORT)})
-connectDB()
\ No newline at end of file
+
+// Optional TLS listener serving custom domains with their ACME certificates
+if (process.env.HTTPS_PORT) {
+  https.createServer({ SNICallback: createSNICallback() }, app)
+    .listen(process.env.HTTPS_PORT, () => {console.log("HTTPS server is connected on PORT " + process.env.HTTPS_PORT)})
+}
+connectDB().then(async () => {
+  try {
+    await backfillPublishedSnapshots()
+    await backfillDomainList()
+    await bootstrapAdminRoles()
+    await purgeLegacyUserCodes()
+    await backfillWorkspaces()
+  } catch (error) {
+    console.error("Error running startup migrations:", error)
+  }
+
+  try {
+    await initPublishScheduler()
+  } catch (error) {
+    console.error("Error starting publish scheduler:", error)
+  }
+
+  startDomainMonitor()
+  startCertificateManager()
+  startAccountDeletionJob()
+})
\ No newline at end of file
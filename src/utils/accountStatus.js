@@ -0,0 +1,74 @@
+// utils/accountStatus.js - Account status lifecycle (active, suspended, deactivated, pending-deletion)
+import User from "../models/User.js";
+import Website from "../models/Website.model.js";
+import { invalidateWebsite } from "../lib/siteRenderer.js";
+import { revokeUserTokens } from "./refreshTokenUtils.js";
+
+/**
+ * Error response for an account that may not sign in or use an access token,
+ * or null when it may
+ * @param {Object} user
+ * @returns {{ message: string, code: string } | null}
+ */
+export function getBlockedAccountError(user) {
+  switch (user?.status) {
+    case 'suspended':
+      return {
+        message: "Your account has been suspended. Please contact support.",
+        code: "ACCOUNT_SUSPENDED"
+      };
+    case 'deactivated':
+      return {
+        message: "This account has been deactivated.",
+        code: "ACCOUNT_DEACTIVATED"
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a website owner's account is suspended or awaiting deletion
+ * (their sites are served as unpublished)
+ * @param {string|ObjectId} userId
+ */
+export async function isOwnerSuspended(userId) {
+  if (!userId) return false;
+  return !!(await User.exists({ _id: userId, status: { $in: ['suspended', 'pending-deletion'] } }));
+}
+
+/**
+ * Move an account to a new status.
+ * Suspension revokes every refresh token issued so far; every change drops
+ * the owner's cached site pages so visitors see the change.
+ * @param {Object} user - User document
+ * @param {string} status
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {string|ObjectId} [options.actorId] - Admin making the change (null for the user/system)
+ */
+export async function setAccountStatus(user, status, { reason = null, actorId = null } = {}) {
+  const now = new Date();
+
+  user.status = status;
+  user.statusReason = reason;
+  user.statusChangedAt = now;
+  user.statusChangedBy = actorId;
+
+  if (status === 'suspended') {
+    user.suspendedAt = now;
+  } else if (status === 'active') {
+    user.suspendedAt = null;
+  }
+
+  await user.save();
+
+  if (status === 'suspended') {
+    await revokeUserTokens(user._id, 'suspended');
+  }
+
+  const websites = await Website.find({ userId: user._id }).select("_id").lean();
+  websites.forEach(website => invalidateWebsite(website._id));
+
+  return user;
+}
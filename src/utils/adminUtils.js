@@ -0,0 +1,24 @@
+// utils/adminUtils.js - Administrative account helpers
+import User from "../models/User.js";
+
+/**
+ * Promote the accounts listed in ADMIN_EMAILS (comma separated) to admin.
+ * Gives a fresh deployment its first admin; runs at startup.
+ */
+export async function bootstrapAdminRoles() {
+  const emails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (emails.length === 0) return;
+
+  const result = await User.updateMany(
+    { email: { $in: emails }, role: { $ne: 'admin' } },
+    { $set: { role: 'admin', roleUpdatedAt: new Date(), roleUpdatedBy: null } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`👑 Granted admin role to ${result.modifiedCount} account(s) from ADMIN_EMAILS`);
+  }
+}
@@ -0,0 +1,71 @@
+// utils/archiveUtils.js - Minimal .tar.gz writer for downloadable exports
+import zlib from "zlib";
+
+const BLOCK_SIZE = 512;
+
+// Write a string into a fixed-width header field
+function writeField(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+// Numeric header fields are zero-padded octal terminated by NUL
+function writeOctal(header, value, offset, length) {
+  writeField(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+/**
+ * ustar header for one regular file
+ * Names longer than 100 bytes are split into prefix/name at a slash.
+ */
+function createHeader(name, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  let prefix = '';
+  let entryName = name;
+  if (Buffer.byteLength(name) > 100) {
+    const cut = name.lastIndexOf('/', 155);
+    prefix = name.slice(0, cut);
+    entryName = name.slice(cut + 1);
+  }
+
+  writeField(header, entryName, 0, 100);
+  writeOctal(header, 0o644, 100, 8);       // mode
+  writeOctal(header, 0, 108, 8);           // uid
+  writeOctal(header, 0, 116, 8);           // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156);              // checksum is computed with spaces here
+  writeField(header, '0', 156, 1);         // regular file
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+  writeField(header, prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  writeField(header, checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+
+  return header;
+}
+
+/**
+ * Build a gzipped tar archive in memory
+ * @param {Array<{ name: string, content: string|Buffer }>} files - Paths use "/" separators
+ * @returns {Buffer}
+ */
+export function createTarGz(files) {
+  const mtime = new Date();
+  const chunks = [];
+
+  for (const file of files) {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content), 'utf8');
+    chunks.push(createHeader(file.name, content.length, mtime), content);
+
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding) chunks.push(Buffer.alloc(padding));
+  }
+
+  // End of archive: two empty blocks
+  chunks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+  return zlib.gzipSync(Buffer.concat(chunks));
+}
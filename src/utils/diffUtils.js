@@ -0,0 +1,163 @@
+// utils/diffUtils.js - Line-level text diff (Myers algorithm)
+
+// Upper bound on edit distance explored by the Myers search. Beyond this the
+// remaining middle section is reported as a full replace to keep memory bounded.
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Split text into lines, accepting both LF and CRLF endings
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  return String(text).split(/\r?\n/);
+}
+
+/**
+ * Shortest edit script between two line arrays
+ * @returns {Array<Object>|null} Ops list, or null when maxEdits is exceeded
+ */
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+
+    let prevK;
+    if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'add', line: b[y - 1] });
+      } else {
+        ops.push({ type: 'remove', line: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Compute a line-level diff between two strings
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Object} { hunks, stats } where each hunk is
+ *   { type: 'equal'|'add'|'remove', oldStart, newStart, lines }
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim the common prefix and suffix so Myers only works on the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const middle = myers(midA, midB, MAX_EDIT_DISTANCE) || [
+    ...midA.map(line => ({ type: 'remove', line })),
+    ...midB.map(line => ({ type: 'add', line }))
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middle,
+    ...a.slice(endA).map(line => ({ type: 'equal', line }))
+  ];
+
+  // Group consecutive ops into hunks with 1-based line numbers
+  const hunks = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  let oldLine = 1;
+  let newLine = 1;
+
+  ops.forEach(op => {
+    let hunk = hunks[hunks.length - 1];
+    if (!hunk || hunk.type !== op.type) {
+      hunk = { type: op.type, oldStart: oldLine, newStart: newLine, lines: [] };
+      hunks.push(hunk);
+    }
+    hunk.lines.push(op.line);
+
+    if (op.type === 'equal') {
+      stats.unchanged++;
+      oldLine++;
+      newLine++;
+    } else if (op.type === 'add') {
+      stats.added++;
+      newLine++;
+    } else {
+      stats.removed++;
+      oldLine++;
+    }
+  });
+
+  return { hunks, stats };
+}
@@ -0,0 +1,132 @@
+// utils/domainUtils.js - Helpers for the per-website custom domain list
+
+import Website from "../models/Website.model.js";
+
+export const DOMAIN_REGEX = /^([a-z0-9]+(-[a-z0-9]+)*\.)+[a-z]{2,}$/;
+
+const DEFAULT_DOMAINS_PER_WEBSITE = 5;
+
+/**
+ * Lowercase a host, strip port and trailing dot
+ * @param {string} host - Domain or Host header value
+ * @returns {string}
+ */
+export function normalizeDomain(host) {
+  if (!host || typeof host !== 'string') return '';
+  return host.split(':')[0].toLowerCase().trim().replace(/\.$/, '');
+}
+
+/**
+ * Maximum number of custom domains attached to one website
+ * @returns {number}
+ */
+export function getDomainLimit() {
+  return parseInt(process.env.DOMAINS_PER_WEBSITE_LIMIT) || DEFAULT_DOMAINS_PER_WEBSITE;
+}
+
+/**
+ * Find a domain entry in a website's domain list
+ * @param {Object} website - Website document or lean object
+ * @param {string} domain
+ * @returns {Object|undefined}
+ */
+export function findDomainEntry(website, domain) {
+  const clean = normalizeDomain(domain);
+  return (website.domains || []).find(entry => entry.domain === clean);
+}
+
+/**
+ * Primary domain entry of a website
+ * @param {Object} website - Website document or lean object
+ * @returns {Object|undefined}
+ */
+export function getPrimaryDomain(website) {
+  return (website.domains || []).find(entry => entry.isPrimary);
+}
+
+/**
+ * Whether a domain entry can currently be served
+ * @param {Object} entry - Domain entry
+ * @returns {boolean}
+ */
+export function isDomainServable(entry) {
+  return !!entry && entry.isVerified && !entry.failedAt;
+}
+
+/**
+ * Make sure exactly one entry is primary, preferring a servable domain
+ * when the current primary is gone.
+ * @param {Object} website - Website document
+ */
+export function ensurePrimaryDomain(website) {
+  if (!website.domains || website.domains.length === 0) return;
+  if (website.domains.some(entry => entry.isPrimary)) return;
+
+  const next = website.domains.find(isDomainServable) || website.domains[0];
+  next.isPrimary = true;
+}
+
+/**
+ * Mongo filter matching a website that serves `domain`
+ * @param {string} domain
+ * @returns {Object}
+ */
+export function servedDomainFilter(domain) {
+  return {
+    domains: {
+      $elemMatch: {
+        domain: normalizeDomain(domain),
+        isVerified: true,
+        failedAt: null
+      }
+    }
+  };
+}
+
+/**
+ * One-off migration: copy the legacy single customDomain (and its
+ * verification fields) into the domains list.
+ * @returns {Promise<number>} Number of websites migrated
+ */
+export async function backfillDomainList() {
+  const legacy = await Website.collection.find({
+    customDomain: { $nin: [null, ""] },
+    $or: [{ domains: { $exists: false } }, { domains: { $size: 0 } }]
+  }).toArray();
+
+  for (const doc of legacy) {
+    // Raw driver update: the legacy fields are no longer in the schema
+    await Website.collection.updateOne(
+      { _id: doc._id },
+      {
+        $set: {
+          domains: [{
+            domain: doc.customDomain,
+            isPrimary: true,
+            isVerified: !!doc.isCustomDomainVerified,
+            verifiedAt: doc.domainVerifiedAt || null,
+            verificationToken: doc.domainVerificationToken || null,
+            lastCheckedAt: doc.domainLastCheckedAt || null,
+            checkFailures: doc.domainCheckFailures || 0,
+            checkError: doc.domainCheckError || null,
+            failedAt: doc.domainFailedAt || null,
+            addedAt: doc.updatedAt || new Date()
+          }]
+        },
+        $unset: {
+          domainVerificationToken: "",
+          domainLastCheckedAt: "",
+          domainCheckFailures: "",
+          domainCheckError: "",
+          domainFailedAt: ""
+        }
+      }
+    );
+  }
+
+  if (legacy.length > 0) {
+    console.log(`✅ Migrated custom domain to domain list for ${legacy.length} website(s)`);
+  }
+
+  return legacy.length;
+}
@@ -0,0 +1,56 @@
+// utils/encryption.js - AES-256-GCM encryption for secrets stored in Mongo
+import crypto from 'crypto'
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Derive the 32-byte key from ENCRYPTION_KEY (read lazily, after dotenv)
+ * @returns {Buffer}
+ */
+const getKey = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+  if (!secret || secret.length < 32) {
+    throw new Error('ENCRYPTION_KEY must be at least 32 characters long');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string or Buffer
+ * @param {string|Buffer} plaintext
+ * @returns {string} "v1:<iv>:<authTag>:<ciphertext>" (base64 parts)
+ */
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.isBuffer(plaintext) ? plaintext : Buffer.from(String(plaintext), 'utf8')),
+    cipher.final()
+  ]);
+  const authTag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload
+ * @returns {string} utf8 plaintext
+ */
+export const decrypt = (payload) => {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+
+  if (version !== VERSION || !iv || !authTag || !ciphertext) {
+    throw new Error('Invalid encrypted payload');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
@@ -16,7 +16,8 @@ export const generateSecureSecret = (length = 64) => {
   return crypto.randomBytes(length).toString('base64');
 };
 
-export const generateAccessToken = (userId) => {
+// sessionId (sid claim) is the refresh token family the access token was issued for
+export const generateAccessToken = (userId, sessionId = null) => {
     validateSecrets()
 
     const payload = {
@@ -25,6 +26,10 @@ export const generateAccessToken = (userId) => {
         iat: Math.floor(Date.now() / 1000),
     }
 
+    if (sessionId) {
+        payload.sid = sessionId
+    }
+
     const options = {
         expiresIn: process.env.ACCESS_TOKEN_EXPIRY || '15m',
         issuer: process.env.JWT_ISSUER || 'your-app-name',
@@ -36,14 +41,15 @@ export const generateAccessToken = (userId) => {
 }
 
 
-export const generateRefreshToken = (userId) => {
+// jti identifies the token in the RefreshToken collection (see refreshTokenUtils.js)
+export const generateRefreshToken = (userId, jti = crypto.randomUUID()) => {
     validateSecrets()
 
     const payload = {
         userId: userId.toString(),
         type: 'refresh',
         iat: Math.floor(Date.now() / 1000),
-        jti:crypto.randomUUID(),
+        jti,
     }
 
      const options = {
@@ -95,4 +101,45 @@ export const verifyRefreshToken = (token) => {
   } catch (error) {
     return { success: false, error: error.message };
   }
-};
\ No newline at end of file
+};
+
+
+// Short-lived proof that the password step of a 2FA login succeeded
+export const generateTwoFactorChallengeToken = (userId) => {
+    validateSecrets()
+
+    const payload = {
+        userId: userId.toString(),
+        type: '2fa_challenge',
+        jti: crypto.randomUUID(),
+    }
+
+    const options = {
+        expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '5m',
+        issuer: process.env.JWT_ISSUER || 'your-app-name',
+        audience: process.env.JWT_AUDIENCE || 'your-app-users',
+        algorithm: 'HS256'
+    }
+
+    return jwt.sign(payload, process.env.JWT_SECRET_KEY, options)
+}
+
+export const verifyTwoFactorChallengeToken = (token) => {
+    validateSecrets()
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY, {
+            issuer: process.env.JWT_ISSUER || 'your-app-name',
+            audience: process.env.JWT_AUDIENCE || 'your-app-users',
+            algorithms: ['HS256']
+        })
+
+        if (decoded.type !== '2fa_challenge') {
+            throw new Error('Invalid token type')
+        }
+
+        return { success: true, decoded }
+    } catch (error) {
+        return { success: false, error: error.message }
+    }
+}
@@ -0,0 +1,26 @@
+// utils/passwordUtils.js - Password rules shared by signup, reset and change
+
+/**
+ * Check password strength
+ * @param {string} password
+ * @returns {{ valid: boolean, message?: string }}
+ */
+export const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    return { valid: false, message: "Password must be at least 8 characters long" };
+  }
+  if (!/[A-Z]/.test(password)) {
+    return { valid: false, message: "Password must contain at least one uppercase letter" };
+  }
+  if (!/[a-z]/.test(password)) {
+    return { valid: false, message: "Password must contain at least one lowercase letter" };
+  }
+  if (!/\d/.test(password)) {
+    return { valid: false, message: "Password must contain at least one number" };
+  }
+  if (!/\W/.test(password)) {
+    return { valid: false, message: "Password must contain at least one special character" };
+  }
+
+  return { valid: true };
+};
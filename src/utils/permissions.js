@@ -0,0 +1,50 @@
+// utils/permissions.js - Roles and the permissions they grant
+
+export const PERMISSIONS = {
+  TEMPLATES_WRITE: 'templates:write',
+  TEMPLATES_STATS: 'templates:stats',
+  USERS_READ: 'users:read',
+  USERS_ROLES: 'users:roles',
+  USERS_MANAGE: 'users:manage',
+  AUDIT_READ: 'audit:read',
+};
+
+export const ROLES = ['user', 'support', 'template-editor', 'admin'];
+
+export const DEFAULT_ROLE = 'user';
+
+export const ROLE_PERMISSIONS = {
+  'user': [],
+  'support': [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.AUDIT_READ,
+  ],
+  'template-editor': [
+    PERMISSIONS.TEMPLATES_WRITE,
+    PERMISSIONS.TEMPLATES_STATS,
+  ],
+  'admin': Object.values(PERMISSIONS),
+};
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Permissions granted to a role (unknown roles get none)
+ * @param {string} role
+ * @returns {string[]}
+ */
+export function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Whether a user holds a permission through their role
+ * @param {Object} user - req.user
+ * @param {string} permission - e.g. 'templates:write'
+ */
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  return getRolePermissions(user.role || DEFAULT_ROLE).includes(permission);
+}
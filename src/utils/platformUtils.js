@@ -0,0 +1,117 @@
+// utils/platformUtils.js - Platform domain configuration and <slug>.<PLATFORM_DOMAIN> hosts
+
+// Fallbacks for deployments that predate PLATFORM_DOMAIN / PLATFORM_IP
+const DEFAULT_PLATFORM_DOMAIN = 'webgen.club';
+const DEFAULT_PLATFORM_IP = '54.234.33.110';
+
+// Subdomains that belong to the platform itself and can never be site slugs
+const DEFAULT_RESERVED_SUBDOMAINS = ['api', 'www', 'admin'];
+
+/**
+ * Platform domain sites are served under (PLATFORM_DOMAIN).
+ * Read lazily so dotenv has loaded by the time we need it.
+ * @returns {string}
+ */
+export function getPlatformDomain() {
+  return (process.env.PLATFORM_DOMAIN || process.env.PLATFORM_HOST || DEFAULT_PLATFORM_DOMAIN)
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Public IP of the platform (PLATFORM_IP), used for apex A records
+ * @returns {string}
+ */
+export function getPlatformIp() {
+  return process.env.PLATFORM_IP || DEFAULT_PLATFORM_IP;
+}
+
+/**
+ * Reserved subdomains, extendable with RESERVED_SUBDOMAINS (comma separated)
+ * @returns {Array<string>}
+ */
+export function getReservedSubdomains() {
+  const extra = (process.env.RESERVED_SUBDOMAINS || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set([...DEFAULT_RESERVED_SUBDOMAINS, ...extra])];
+}
+
+/**
+ * Whether a slug is reserved for platform use
+ * @param {string} slug
+ * @returns {boolean}
+ */
+export function isReservedSlug(slug) {
+  return getReservedSubdomains().includes(String(slug || '').toLowerCase());
+}
+
+/**
+ * Whether a (normalized) host is the platform application itself
+ * rather than a hosted site
+ * @param {string} host
+ * @returns {boolean}
+ */
+export function isPlatformHost(host) {
+  const platformDomain = getPlatformDomain();
+
+  if (!host || host === 'localhost' || host === platformDomain || host === getPlatformIp()) {
+    return true;
+  }
+
+  const label = getSubdomainLabel(host);
+  return label !== null && isReservedSlug(label);
+}
+
+/**
+ * Single subdomain label of <label>.<PLATFORM_DOMAIN>, or null
+ */
+function getSubdomainLabel(host) {
+  const suffix = `.${getPlatformDomain()}`;
+  if (!host || !host.endsWith(suffix)) return null;
+
+  const label = host.slice(0, -suffix.length);
+  return label && !label.includes('.') ? label : null;
+}
+
+/**
+ * Site slug for a <slug>.<PLATFORM_DOMAIN> host
+ * @param {string} host - Normalized host
+ * @returns {string|null} null for other hosts and reserved subdomains
+ */
+export function getSubdomainSlug(host) {
+  const label = getSubdomainLabel(host);
+  if (!label || isReservedSlug(label)) return null;
+  return label;
+}
+
+/**
+ * Public URL of a site on its platform subdomain
+ * @param {string} slug
+ * @returns {string}
+ */
+export function getSubdomainUrl(slug) {
+  return `https://${slug}.${getPlatformDomain()}`;
+}
+
+/**
+ * Public base URL of this API (API_URL), defaulting to the reserved api. subdomain
+ * @returns {string}
+ */
+export function getApiBaseUrl() {
+  return (process.env.API_URL || `https://api.${getPlatformDomain()}`).replace(/\/+$/, '');
+}
+
+/**
+ * Base URL of the web app (FRONTEND_URL_LIVE in production, FRONTEND_URL otherwise)
+ * @returns {string}
+ */
+export function getFrontendUrl() {
+  const url = process.env.NODE_ENV === "production"
+    ? process.env.FRONTEND_URL_LIVE
+    : process.env.FRONTEND_URL;
+
+  return (url || `https://${getPlatformDomain()}`).replace(/\/+$/, '');
+}
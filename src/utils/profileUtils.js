@@ -0,0 +1,66 @@
+// utils/profileUtils.js - User profile helpers (avatar images, user responses)
+import { getRolePermissions } from "./permissions.js";
+
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+// Raster formats only: an SVG "image" can carry script
+const AVATAR_SIGNATURES = {
+  'image/png': (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/jpeg': (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/gif': (buf) => ['GIF87a', 'GIF89a'].includes(buf.subarray(0, 6).toString('ascii')),
+  'image/webp': (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP'
+};
+
+/**
+ * Decode an avatar sent as a base64 data URL (the same format template thumbnails use).
+ * The bytes must match the declared type.
+ * @param {string} dataUrl - e.g. "data:image/png;base64,iVBOR..."
+ * @returns {{ avatar?: { data: Buffer, contentType: string }, error?: string }}
+ */
+export function parseAvatar(dataUrl) {
+  const matches = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/=\s]+)$/);
+
+  if (!matches || !AVATAR_SIGNATURES[matches[1]]) {
+    return { error: "Avatar must be a PNG, JPEG, GIF or WebP image (base64 data URL)" };
+  }
+
+  const data = Buffer.from(matches[2], 'base64');
+
+  if (data.length === 0 || data.length > AVATAR_MAX_BYTES) {
+    return { error: "Avatar must be at most 2 MB" };
+  }
+
+  if (!AVATAR_SIGNATURES[matches[1]](data)) {
+    return { error: "Avatar content does not match its image type" };
+  }
+
+  return { avatar: { data, contentType: matches[1] } };
+}
+
+/**
+ * Public URL of the user's avatar (versioned so browsers refetch after a change)
+ * @returns {string|null}
+ */
+export function getAvatarUrl(user) {
+  if (!user.avatar?.contentType) return null;
+  const version = user.avatar.updatedAt ? new Date(user.avatar.updatedAt).getTime() : 0;
+  return `/api/auth/avatar/${user._id}?v=${version}`;
+}
+
+/**
+ * The user fields returned by login, refresh and the account endpoints
+ */
+export function formatUserResponse(user) {
+  return {
+    _id: user._id,
+    email: user.email,
+    fullName: user.fullName,
+    avatarUrl: getAvatarUrl(user),
+    isEmailVerified: user.isEmailVerified || false,
+    isOnboarded: user.isOnboarded || false,
+    lastLogin: user.lastLogin,
+    role: user.role,
+    permissions: getRolePermissions(user.role),
+    deletionScheduledFor: user.deletionScheduledFor || null,
+  };
+}
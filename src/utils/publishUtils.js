@@ -0,0 +1,52 @@
+// utils/publishUtils.js - Draft/published content helpers
+
+import Website from "../models/Website.model.js";
+import { hashContent } from "./revisionUtils.js";
+
+/**
+ * Freeze the draft content of a website into a published snapshot
+ * @param {Object} website - Website document (draft lives in html/css/js/components)
+ * @returns {Object} Value for website.published
+ */
+export function buildPublishedSnapshot(website) {
+  return {
+    html: website.html || "",
+    css: website.css || "",
+    js: website.js || "",
+    components: website.components || {},
+    contentHash: hashContent(website)
+  };
+}
+
+/**
+ * Check whether the draft differs from what is live
+ * @param {Object} website - Website document or lean object
+ * @returns {boolean}
+ */
+export function hasUnpublishedChanges(website) {
+  if (!website.published?.contentHash) return true;
+  return hashContent(website) !== website.published.contentHash;
+}
+
+/**
+ * One-off migration: websites published before the draft/published split
+ * have no snapshot, so freeze their current content as the live version.
+ * @returns {Promise<number>} Number of websites backfilled
+ */
+export async function backfillPublishedSnapshots() {
+  const legacy = await Website.find({
+    isPublished: true,
+    'published.html': null
+  }).select("html css js components");
+
+  for (const website of legacy) {
+    website.published = buildPublishedSnapshot(website);
+    await website.save();
+  }
+
+  if (legacy.length > 0) {
+    console.log(`✅ Backfilled published snapshot for ${legacy.length} website(s)`);
+  }
+
+  return legacy.length;
+}
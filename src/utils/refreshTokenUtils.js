@@ -0,0 +1,143 @@
+// utils/refreshTokenUtils.js - Server-side refresh token store (rotation + reuse detection)
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.model.js";
+import { generateRefreshToken } from "./generateTokens.js";
+
+/**
+ * Device details recorded with a session
+ * @returns {{ userAgent: string|null, ip: string|null }}
+ */
+export function getClientInfo(req) {
+  return {
+    userAgent: req.headers['user-agent']?.slice(0, 512) || null,
+    ip: req.ip || req.socket?.remoteAddress || null
+  };
+}
+
+/**
+ * Issue a refresh token and record it
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.familyId] - Continue an existing family (rotation); new sign-ins start one
+ * @param {string} [options.jti]
+ * @param {Date} [options.sessionStartedAt] - Carried over on rotation
+ * @param {{ userAgent, ip }} [options.client] - From getClientInfo(req)
+ * @returns {Promise<{ token: string, record: Object }>}
+ */
+export async function issueRefreshToken(userId, {
+  familyId = crypto.randomUUID(),
+  jti = crypto.randomUUID(),
+  sessionStartedAt = new Date(),
+  client = {}
+} = {}) {
+  const token = generateRefreshToken(userId, jti);
+  const { exp } = jwt.decode(token);
+
+  const record = await RefreshToken.create({
+    jti,
+    userId,
+    familyId,
+    sessionStartedAt,
+    userAgent: client.userAgent || null,
+    ip: client.ip || null,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(exp * 1000)
+  });
+
+  return { token, record };
+}
+
+/**
+ * Revoke every live token of a family (one sign-in)
+ */
+export async function revokeTokenFamily(familyId, reason) {
+  await RefreshToken.updateMany(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Revoke every live refresh token of a user
+ * @param {string} [exceptFamilyId] - Keep this session signed in
+ */
+export async function revokeUserTokens(userId, reason, exceptFamilyId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptFamilyId) {
+    filter.familyId = { $ne: exceptFamilyId };
+  }
+
+  await RefreshToken.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+}
+
+/**
+ * A user's signed-in sessions: the live (unrotated, unrevoked) token of each family
+ */
+export async function listUserSessions(userId) {
+  return RefreshToken.find({
+    userId,
+    revokedAt: null,
+    replacedBy: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("familyId sessionStartedAt userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+/**
+ * Revoke the family a (verified) refresh token belongs to
+ * @param {string} jti
+ */
+export async function revokeRefreshToken(jti, reason) {
+  const record = await RefreshToken.findOne({ jti }).select("familyId").lean();
+  if (record) {
+    await revokeTokenFamily(record.familyId, reason);
+  }
+}
+
+/**
+ * Exchange a verified refresh token for a new one in the same family.
+ * A token may be used once: presenting an already-rotated token means it was
+ * copied, so the whole family is revoked and both holders must sign in again.
+ * @param {Object} decoded - Verified refresh token payload
+ * @param {{ userAgent, ip }} [client] - From getClientInfo(req)
+ * @returns {Promise<{ token?: string, record?: Object, error?: 'unknown'|'revoked'|'reused' }>}
+ */
+export async function rotateRefreshToken(decoded, client = {}) {
+  // Tokens issued before the store existed (no record) are not accepted
+  const current = await RefreshToken.findOne({ jti: decoded.jti }).lean();
+
+  if (!current || current.userId.toString() !== decoded.userId) {
+    return { error: 'unknown' };
+  }
+
+  if (current.revokedAt) {
+    return { error: 'revoked' };
+  }
+
+  const nextJti = crypto.randomUUID();
+
+  // Claim the token atomically so two concurrent refreshes can't both rotate it
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { jti: current.jti, replacedBy: null, revokedAt: null },
+    { replacedBy: nextJti, usedAt: new Date() }
+  );
+
+  if (!claimed) {
+    console.warn(`⚠️ Refresh token reuse detected for user ${current.userId}, revoking family ${current.familyId}`);
+    await revokeTokenFamily(current.familyId, 'reuse');
+    return { error: 'reused' };
+  }
+
+  return issueRefreshToken(current.userId, {
+    familyId: current.familyId,
+    jti: nextJti,
+    sessionStartedAt: current.sessionStartedAt || current.createdAt,
+    client: {
+      userAgent: client.userAgent || current.userAgent,
+      ip: client.ip || current.ip
+    }
+  });
+}
@@ -0,0 +1,149 @@
+// utils/revisionUtils.js - Website revision snapshots and retention
+
+import crypto from "crypto";
+import WebsiteRevision from "../models/WebsiteRevision.model.js";
+import { getActiveSubscription } from "./subscriptionUtils.js";
+
+const DEFAULT_RETENTION_FREE = 10;
+const DEFAULT_RETENTION_SUBSCRIBED = 100;
+const MAX_REVISION_ATTEMPTS = 5;
+
+/**
+ * Parse per-plan retention overrides from REVISION_RETENTION_PLANS
+ * Format: JSON object of Stripe productId -> number of revisions kept
+ * @example REVISION_RETENTION_PLANS='{"prod_basic": 50, "prod_pro": 500}'
+ * @returns {Object}
+ */
+function getPlanRetentionOverrides() {
+  if (!process.env.REVISION_RETENTION_PLANS) return {};
+
+  try {
+    return JSON.parse(process.env.REVISION_RETENTION_PLANS);
+  } catch (error) {
+    console.error('Invalid REVISION_RETENTION_PLANS value:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Number of revisions kept for a website, based on its subscription plan
+ * @param {string} websiteId - Website MongoDB ID
+ * @returns {Promise<number>}
+ */
+export async function getRevisionRetention(websiteId) {
+  const subscription = await getActiveSubscription(websiteId);
+
+  if (!subscription) {
+    return parseInt(process.env.REVISION_RETENTION_FREE) || DEFAULT_RETENTION_FREE;
+  }
+
+  const overrides = getPlanRetentionOverrides();
+  const planLimit = parseInt(overrides[subscription.productId]);
+  if (planLimit > 0) return planLimit;
+
+  return parseInt(process.env.REVISION_RETENTION_SUBSCRIBED) || DEFAULT_RETENTION_SUBSCRIBED;
+}
+
+/**
+ * Hash the content fields of a website or revision
+ * @param {Object} content - { html, js, components }
+ * @returns {string} sha256 hex digest
+ */
+export function hashContent(content) {
+  return crypto
+    .createHash('sha256')
+    .update(content.html || '')
+    .update('\0')
+    .update(content.js || '')
+    .update('\0')
+    .update(JSON.stringify(content.components || {}))
+    .digest('hex');
+}
+
+/**
+ * Snapshot the current content of a website as a new revision.
+ * Skips the snapshot when content is identical to the latest revision.
+ * Concurrent saves can pick the same revision number: the loser of the
+ * unique index re-reads the latest revision and tries again.
+ * @param {Object} website - Website document (or lean object)
+ * @param {Object} options - { userId, source, restoredFrom }
+ * @returns {Promise<Object|null>} Created revision or null if skipped
+ */
+export async function createRevision(website, { userId = null, source = 'update', restoredFrom = null } = {}) {
+  const contentHash = hashContent(website);
+  const html = website.html || "";
+  const js = website.js || "";
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await WebsiteRevision.findOne({ websiteId: website._id })
+      .sort({ revisionNumber: -1 })
+      .select("revisionNumber contentHash")
+      .lean();
+
+    if (latest && latest.contentHash === contentHash && source !== 'restore') {
+      return null;
+    }
+
+    try {
+      const revision = await WebsiteRevision.create({
+        websiteId: website._id,
+        userId,
+        revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+        source,
+        restoredFrom,
+        name: website.name || "",
+        html,
+        css: website.css || "",
+        js,
+        components: website.components || {},
+        contentHash,
+        size: Buffer.byteLength(html) + Buffer.byteLength(js)
+      });
+
+      await pruneRevisions(website._id);
+
+      return revision;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * createRevision for content that is already saved: a failed snapshot is
+ * logged instead of failing the request that saved it
+ * @returns {Promise<Object|null>} Created revision or null if skipped or failed
+ */
+export async function createRevisionSafely(website, options) {
+  try {
+    return await createRevision(website, options);
+  } catch (error) {
+    console.error(`Failed to snapshot revision of website ${website._id}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Delete revisions beyond the website's plan retention limit (oldest first)
+ * @param {string} websiteId - Website MongoDB ID
+ * @returns {Promise<number>} Number of revisions deleted
+ */
+export async function pruneRevisions(websiteId) {
+  const retention = await getRevisionRetention(websiteId);
+
+  const stale = await WebsiteRevision.find({ websiteId })
+    .sort({ revisionNumber: -1 })
+    .skip(retention)
+    .select("_id")
+    .lean();
+
+  if (stale.length === 0) return 0;
+
+  const result = await WebsiteRevision.deleteMany({
+    _id: { $in: stale.map(r => r._id) }
+  });
+
+  return result.deletedCount;
+}
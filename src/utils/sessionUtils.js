@@ -0,0 +1,38 @@
+// utils/sessionUtils.js - Starting a signed-in session (refresh cookie + access token)
+import { generateAccessToken } from "./generateTokens.js";
+import { issueRefreshToken, getClientInfo } from "./refreshTokenUtils.js";
+
+const REFRESH_COOKIE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+const getRefreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "strict",
+  path: "/",
+});
+
+export const setRefreshCookie = (res, token) => {
+  res.cookie("refreshToken", token, { ...getRefreshCookieOptions(), maxAge: REFRESH_COOKIE_MAX_AGE });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie("refreshToken", getRefreshCookieOptions());
+};
+
+/**
+ * Start a new session for an authenticated user: records the refresh token,
+ * sets its cookie and returns the access token
+ * @returns {Promise<{ accessToken: string, sessionId: string }>}
+ */
+export const startSession = async (req, res, user) => {
+  const { token: refreshToken, record } = await issueRefreshToken(user._id, { client: getClientInfo(req) });
+  setRefreshCookie(res, refreshToken);
+
+  // Lets the audit log attribute public auth events to the signed-in user
+  res.locals.auditUser = user;
+
+  return {
+    accessToken: generateAccessToken(user._id, record.familyId),
+    sessionId: record.familyId
+  };
+};
@@ -1,5 +1,9 @@
 
 import Website from '../models/Website.model.js'
+import { isReservedSlug } from './platformUtils.js'
+
+// Slugs double as <slug>.<PLATFORM_DOMAIN> subdomains: one DNS label at most
+const MAX_SLUG_LENGTH = 63;
 
 /**
  * Generate a URL-friendly slug from a string
@@ -12,34 +16,40 @@ const generateSlug = (text) => {
     .trim()
     .replace(/[^\w\s-]/g, '') // Remove special characters
     .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
-    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+    .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
+    .slice(0, MAX_SLUG_LENGTH - 4)
+    .replace(/-+$/g, '');
 };
 
 /**
- * Validate slug format
+ * Validate slug format (reserved platform subdomains are rejected)
  * @param {string} slug - Slug to validate
  * @returns {boolean} - True if valid
  */
 export function validateSlug  (slug)  {
   const slugRegex = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
-  return slugRegex.test(slug) && slug.length >= 3 && slug.length <= 100;
+  return slugRegex.test(slug)
+    && slug.length >= 3
+    && slug.length <= MAX_SLUG_LENGTH
+    && !isReservedSlug(slug);
 };
 
 /**
- * Generate a unique slug for a user's website
+ * Generate a globally unique slug for a website (slugs are also subdomains)
  * @param {string} name - Website name
- * @param {string} userId - User ID
  * @returns {Promise<string>} - Unique slug
  */
-export async function generateUniqueSlug   (name, userId) {
+export async function generateUniqueSlug   (name) {
   let baseSlug = generateSlug(name);
+  if (baseSlug.length < 3) {
+    baseSlug = generateRandomSlug();
+  }
   let slug = baseSlug;
   let counter = 1;
 
-  // Keep trying until we find a unique slug for this user
+  // Keep trying until we find a free, non-reserved slug
   while (true) {
-    const existing = await Website.findOne({ userId, slug });
-    if (!existing) {
+    if (!isReservedSlug(slug) && !(await Website.exists({ slug }))) {
       return slug;
     }
     slug = `${baseSlug}-${counter}`;
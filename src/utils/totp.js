@@ -0,0 +1,138 @@
+// utils/totp.js - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps)
+import crypto from 'crypto'
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * RFC 4648 base32 (no padding), the encoding authenticator apps expect
+ * @param {Buffer} buffer
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @param {string} input - Base32 string (case, spaces and padding ignored)
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random shared secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} base32
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step for a timestamp
+ * @param {number} [timestamp=Date.now()]
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ * @param {string} secret - base32
+ * @param {number} counter
+ * @returns {string} zero-padded code
+ */
+export const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return binary.toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Current TOTP code
+ * @param {string} secret - base32
+ * @param {number} [timestamp=Date.now()]
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => generateHotp(secret, getTimeStep(timestamp));
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {number} [options.window=1]
+ * @param {number} [options.afterStep] - Reject steps at or before this one (replay protection)
+ * @returns {number|null} The matching time step, or null
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeStep();
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options
+ * @param {string} options.secret - base32
+ * @param {string} options.accountName - e.g. the user's email
+ * @param {string} options.issuer - e.g. the product name
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
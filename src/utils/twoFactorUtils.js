@@ -0,0 +1,132 @@
+// utils/twoFactorUtils.js - Second-factor checks (TOTP or recovery code) with lockout
+import crypto from "crypto";
+import User from "../models/User.js";
+import { verifyTotp } from "./totp.js";
+import { decrypt } from "./encryption.js";
+import { getPlatformDomain } from "./platformUtils.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Fields verifySecondFactor needs that are not selected by default
+export const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+export function getTotpIssuer() {
+  return process.env.TOTP_ISSUER || getPlatformDomain();
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * New set of recovery codes. Only the hashes are stored; the plain codes are shown once.
+ * @returns {{ codes: string[], hashed: Array<{ hash: string }> }}
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashed: codes.map(code => ({ hash: hashRecoveryCode(code) })) };
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * The attempt is counted and the TOTP step / recovery code claimed with atomic
+ * updates, so parallel guesses can't get past the lockout or reuse a code.
+ * Persists its own changes and mirrors them on the loaded document.
+ * @param {Object} user - User document loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {Object} input
+ * @param {string} [input.code] - 6-digit TOTP code
+ * @param {string} [input.recoveryCode]
+ * @returns {Promise<{ valid: boolean, method?: 'totp'|'recovery', locked?: boolean, remainingRecoveryCodes?: number }>}
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+  const twoFactor = user.twoFactor;
+  const now = new Date();
+
+  if (twoFactor.lockedUntil && twoFactor.lockedUntil > now) {
+    return { valid: false, locked: true };
+  }
+
+  // Count the attempt before checking the code
+  const counted = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'twoFactor.enabled': true,
+      'twoFactor.failedAttempts': { $lt: MAX_FAILED_ATTEMPTS },
+      $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: now } }]
+    },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select("twoFactor.failedAttempts").lean();
+
+  if (!counted) {
+    return { valid: false, locked: true };
+  }
+
+  const reset = { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': null };
+  let method = null;
+
+  if (code) {
+    const step = verifyTotp(decrypt(twoFactor.secret), code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step !== null) {
+      // Only one request gets to use a step
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step, ...reset } }
+      );
+      if (claimed.modifiedCount === 1) {
+        twoFactor.lastUsedStep = step;
+        method = 'totp';
+      }
+    }
+  } else if (recoveryCode) {
+    const hash = Buffer.from(hashRecoveryCode(recoveryCode));
+    const match = twoFactor.recoveryCodes.find(entry =>
+      !entry.usedAt && crypto.timingSafeEqual(Buffer.from(entry.hash), hash)
+    );
+    if (match) {
+      const claimed = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: match.hash, usedAt: null } } },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': now, ...reset } }
+      );
+      if (claimed.modifiedCount === 1) {
+        match.usedAt = now;
+        method = 'recovery';
+      }
+    }
+  }
+
+  if (!method) {
+    if (counted.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.lockedUntil': lockedUntil, 'twoFactor.failedAttempts': 0 } }
+      );
+      twoFactor.lockedUntil = lockedUntil;
+      return { valid: false, locked: true };
+    }
+    return { valid: false };
+  }
+
+  twoFactor.failedAttempts = 0;
+  twoFactor.lockedUntil = null;
+
+  return {
+    valid: true,
+    method,
+    remainingRecoveryCodes: twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+  };
+}
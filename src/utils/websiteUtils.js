@@ -0,0 +1,44 @@
+// utils/websiteUtils.js - Website lifecycle helpers shared by controllers and jobs
+import Website from "../models/Website.model.js";
+import Template from "../models/Template.model.js";
+import Subscription from "../models/Subscription.model.js";
+import WebsiteRevision from "../models/WebsiteRevision.model.js";
+import CspViolation from "../models/CspViolation.model.js";
+import { clearWebsiteSchedule } from "../lib/publishScheduler.js";
+import { removeCertificates } from "../lib/certificateManager.js";
+import { invalidateWebsite } from "../lib/siteRenderer.js";
+
+/**
+ * Delete a website and everything hanging off it: revisions, CSP reports,
+ * certificates, publish schedules, cached pages and the template usage count
+ * (incremented by the Website pre-save hook when the site was created).
+ * @param {string|ObjectId} websiteId
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSubscriptions=false] - Leave the billing records in place
+ *   (account deletion anonymizes them instead)
+ * @returns {Promise<Object|null>} The deleted website, or null if it did not exist
+ */
+export async function deleteWebsiteAndData(websiteId, { keepSubscriptions = false } = {}) {
+  const deletedWebsite = await Website.findByIdAndDelete(websiteId);
+
+  if (!deletedWebsite) {
+    return null;
+  }
+
+  if (deletedWebsite.templateId) {
+    await Template.findByIdAndUpdate(deletedWebsite.templateId, {
+      $inc: { usageCount: -1 }
+    });
+  }
+
+  if (!keepSubscriptions) {
+    await Subscription.deleteMany({ websiteId: deletedWebsite._id });
+  }
+  await WebsiteRevision.deleteMany({ websiteId: deletedWebsite._id });
+  await CspViolation.deleteMany({ websiteId: deletedWebsite._id });
+  await removeCertificates((deletedWebsite.domains || []).map(d => d.domain));
+  clearWebsiteSchedule(deletedWebsite._id);
+  invalidateWebsite(deletedWebsite._id);
+
+  return deletedWebsite;
+}
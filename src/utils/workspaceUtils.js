@@ -0,0 +1,122 @@
+// utils/workspaceUtils.js - Workspace roles, membership lookups and the personal workspace
+import Workspace from "../models/Workspace.model.js";
+import Website from "../models/Website.model.js";
+import Subscription from "../models/Subscription.model.js";
+
+// Lowest to highest: each role can do everything the previous one can
+export const WORKSPACE_ROLES = ['viewer', 'editor', 'owner'];
+export const INVITABLE_ROLES = ['editor', 'viewer'];
+
+const PERSONAL_WORKSPACE_NAME = "Personal";
+
+/**
+ * Whether a member role grants at least the required role
+ * @param {string|null} role - Member's role (null for non-members)
+ * @param {string} required
+ */
+export function hasWorkspaceRole(role, required) {
+  if (!role) return false;
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+}
+
+function rolesAtLeast(required) {
+  return WORKSPACE_ROLES.slice(WORKSPACE_ROLES.indexOf(required));
+}
+
+/**
+ * Role of a user in a loaded workspace, or null if they are not a member
+ */
+export function getMemberRole(workspace, userId) {
+  const member = workspace?.members?.find(m => (m.userId?._id || m.userId)?.toString() === userId.toString());
+  return member ? member.role : null;
+}
+
+/**
+ * Role of a user in a workspace, or null if they are not a member
+ * @param {string|ObjectId} workspaceId
+ * @param {string|ObjectId} userId
+ * @returns {Promise<string|null>}
+ */
+export async function getWorkspaceRole(workspaceId, userId) {
+  const workspace = await Workspace.findOne(
+    { _id: workspaceId, "members.userId": userId },
+    { "members.$": 1 }
+  ).lean();
+
+  return workspace?.members?.[0]?.role || null;
+}
+
+/**
+ * IDs of the workspaces where a user has at least the given role
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getUserWorkspaceIds(userId, minRole = 'viewer') {
+  const workspaces = await Workspace.find({
+    members: { $elemMatch: { userId, role: { $in: rolesAtLeast(minRole) } } }
+  }).select("_id").lean();
+
+  return workspaces.map(workspace => workspace._id);
+}
+
+/**
+ * Website filter for the sites a user can reach with at least the given role:
+ * sites of their workspaces, plus their own sites not yet moved into one
+ */
+export async function websiteAccessFilter(userId, minRole = 'viewer') {
+  const workspaceIds = await getUserWorkspaceIds(userId, minRole);
+
+  return {
+    $or: [
+      { workspaceId: { $in: workspaceIds } },
+      { userId, workspaceId: null }
+    ]
+  };
+}
+
+/**
+ * The user's personal workspace, created on first use
+ * @param {string|ObjectId} userId
+ * @returns {Promise<Object>} Workspace document
+ */
+export async function getPersonalWorkspace(userId) {
+  const existing = await Workspace.findOne({ ownerId: userId, isPersonal: true });
+  if (existing) return existing;
+
+  try {
+    return await Workspace.create({
+      name: PERSONAL_WORKSPACE_NAME,
+      ownerId: userId,
+      isPersonal: true,
+      members: [{ userId, role: 'owner' }]
+    });
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) {
+      return Workspace.findOne({ ownerId: userId, isPersonal: true });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Move websites and subscriptions that predate workspaces into their owner's
+ * personal workspace. Idempotent: safe to run on every start.
+ */
+export async function backfillWorkspaces() {
+  const [websiteOwners, subscriptionOwners] = await Promise.all([
+    Website.distinct("userId", { workspaceId: null }),
+    Subscription.distinct("userId", { workspaceId: null, userId: { $ne: null } })
+  ]);
+
+  const ownerIds = [...new Set([...websiteOwners, ...subscriptionOwners].map(id => id.toString()))];
+
+  for (const ownerId of ownerIds) {
+    const workspace = await getPersonalWorkspace(ownerId);
+    await Website.updateMany({ userId: ownerId, workspaceId: null }, { workspaceId: workspace._id });
+    await Subscription.updateMany({ userId: ownerId, workspaceId: null }, { workspaceId: workspace._id });
+  }
+
+  if (ownerIds.length) {
+    console.log(`🗂️ Moved sites of ${ownerIds.length} users into personal workspaces`);
+  }
+}